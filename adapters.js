@@ -0,0 +1,165 @@
+/**
+ * adapters.js
+ *
+ * Table-feed adapters: each one maps a provider's message format to normalized table updates,
+ * so the strategy code does not depend on any single feed.
+ *
+ * A table update is { tableId, shoeId, rounds }, where `rounds` is the table's shoe history
+ * (oldest first) as round records:
+ *   { outcome: 'B'|'P'|'T', round, shoeId, pairs: { banker, player }, natural, cards: { player, banker } }
+ * Fields a feed does not provide are null.
+ *
+ * Loaded by the service worker (importScripts), the popup and the backtester.
+ */
+
+const DEFAULT_FEED_ADAPTER_ID = 'default';
+const FEED_ADAPTERS = {};
+const warnedAdapterIds = new Set(); // Unknown ids already reported by getFeedAdapter()
+
+/**
+ * Adds an adapter to the registry, replacing any adapter with the same id.
+ * @param {object} adapter
+ * @param {string} adapter.id - Stable identifier, stored in connection configs.
+ * @param {string} adapter.label - Name shown in the popup.
+ * @param {function(object): object[]} adapter.extractTables - Maps a parsed message to table updates.
+ * @param {function(object, number, ?string): object} adapter.normalizeResult - Maps one history entry to a round record.
+ */
+function registerFeedAdapter(adapter) {
+    FEED_ADAPTERS[adapter.id] = adapter;
+}
+
+/**
+ * @param {string} [id] - The adapter id.
+ * @returns {boolean} Whether an adapter with this id is registered.
+ */
+function hasFeedAdapter(id) {
+    return Object.prototype.hasOwnProperty.call(FEED_ADAPTERS, id);
+}
+
+/**
+ * @param {string} [id] - The adapter id. Missing ids fall back to the default adapter, and so do
+ *     unknown ids, with a warning the first time each is seen.
+ * @returns {object} The adapter.
+ */
+function getFeedAdapter(id) {
+    if (hasFeedAdapter(id)) return FEED_ADAPTERS[id];
+    if (id && !warnedAdapterIds.has(id)) {
+        warnedAdapterIds.add(id);
+        console.warn(`Unknown feed adapter '${id}', using '${DEFAULT_FEED_ADAPTER_ID}'.`);
+    }
+    return FEED_ADAPTERS[DEFAULT_FEED_ADAPTER_ID];
+}
+
+/**
+ * @returns {{id: string, label: string}[]} The registered adapters, for selection lists.
+ */
+function listFeedAdapters() {
+    return Object.values(FEED_ADAPTERS).map(adapter => ({ id: adapter.id, label: adapter.label }));
+}
+
+/**
+ * Builds a round record, filling fields the feed does not provide with null.
+ * @param {object} fields
+ * @returns {object}
+ */
+function createRoundRecord(fields) {
+    return {
+        outcome: null,
+        round: null,
+        shoeId: null,
+        pairs: { banker: null, player: null },
+        natural: null,
+        cards: null,
+        ...fields,
+    };
+}
+
+/**
+ * Maps the common spellings of a round winner to 'B', 'P' or 'T'.
+ * @param {*} value
+ * @returns {?string}
+ */
+function normalizeOutcome(value) {
+    if (typeof value !== 'string') return null;
+    switch (value.trim().toUpperCase()) {
+        case 'B': case 'BANKER': return 'B';
+        case 'P': case 'PLAYER': return 'P';
+        case 'T': case 'TIE': return 'T';
+        default: return null;
+    }
+}
+
+function readShoeId(tableData) {
+    const shoeId = tableData.shoeId !== undefined ? tableData.shoeId : tableData.shoe;
+    return (shoeId === undefined || shoeId === null) ? null : String(shoeId);
+}
+
+// --- Built-in adapters ---
+
+// The original lobby feed: { args: { <tableId>: { results: [{ c: 'R'|'B', ties }] } } },
+// where red ('R') is a Banker win and blue ('B') a Player win.
+registerFeedAdapter({
+    id: 'default',
+    label: 'Lobby feed (args / results)',
+    extractTables(message) {
+        if (!message || typeof message.args !== 'object' || message.args === null) return [];
+        const updates = [];
+        for (const tableId in message.args) {
+            const tableData = message.args[tableId];
+            if (!tableId.toLowerCase().includes('bac') || !tableData || !Array.isArray(tableData.results)) continue;
+            const shoeId = readShoeId(tableData);
+            updates.push({
+                tableId: tableId,
+                shoeId: shoeId,
+                rounds: tableData.results.map((result, index) => this.normalizeResult(result, index, shoeId)),
+            });
+        }
+        return updates;
+    },
+    normalizeResult(result, index, shoeId) {
+        let outcome = null;
+        if (result && result.ties) outcome = 'T';
+        else if (result && result.c === 'R') outcome = 'B';
+        else if (result && result.c === 'B') outcome = 'P';
+        return createRoundRecord({ outcome: outcome, round: index + 1, shoeId: shoeId });
+    },
+});
+
+// Feeds (or relays) that already send round records:
+// { tables: [{ tableId, shoeId, rounds: [{ outcome: 'B'|'Banker'|..., round, bankerPair, playerPair, natural, cards }] }] }.
+// `tables` may also be an object keyed by table id.
+registerFeedAdapter({
+    id: 'normalized',
+    label: 'Normalized round records',
+    extractTables(message) {
+        if (!message || typeof message.tables !== 'object' || message.tables === null) return [];
+        const tables = Array.isArray(message.tables)
+            ? message.tables
+            : Object.keys(message.tables).map(tableId => ({ tableId, ...message.tables[tableId] }));
+        return tables
+            .filter(table => table && table.tableId && Array.isArray(table.rounds))
+            .map(table => {
+                const shoeId = readShoeId(table);
+                return {
+                    tableId: String(table.tableId),
+                    shoeId: shoeId,
+                    rounds: table.rounds.map((round, index) => this.normalizeResult(round, index, shoeId)),
+                };
+            });
+    },
+    normalizeResult(round, index, shoeId) {
+        return createRoundRecord({
+            outcome: normalizeOutcome(round && (round.outcome || round.winner)),
+            round: (round && typeof round.round === 'number') ? round.round : index + 1,
+            shoeId: shoeId,
+            pairs: {
+                banker: (round && typeof round.bankerPair === 'boolean') ? round.bankerPair : null,
+                player: (round && typeof round.playerPair === 'boolean') ? round.playerPair : null,
+            },
+            natural: (round && typeof round.natural === 'boolean') ? round.natural : null,
+            cards: (round && round.cards && Array.isArray(round.cards.player) && Array.isArray(round.cards.banker))
+                ? { player: round.cards.player, banker: round.cards.banker }
+                : null,
+        });
+    },
+});
@@ -1,18 +1,31 @@
-importScripts('statistics.js', 'performance.js', 'strategy.js');
+importScripts('statistics.js', 'payouts.js', 'composition.js', 'dirichlet-posterior.js', 'changepoint.js', 'performance.js', 'strategy.js', 'decoders.js', 'recorder.js', 'decision-history.js', 'export-format.js', 'connections.js', 'profiles.js', 'message-console.js', 'persistence.js', 'adapters.js', 'roads.js', 'settings.js');
 
 // --- Global State ---
-let ws;
-let config;
-let reconnectTimeout;
+const connectionManager = new ConnectionManager({ onFrame: onConnectionFrame, onStatus: updateConnectionsStatus, onOpen: onConnectionOpen, onTableStall: onTableStall, onHealth: onConnectionsHealth });
 let isCapturing = false;
 let autoConnectMode = false;
 let discoveredUrls = [];
 let nativePort = null;
+let recordMode = false;
+let replayer = null;
+const recorder = new SessionRecorder();
+const decisionHistory = new DecisionHistory(); // Recent round logs and shoe summaries, for export
 
 // --- State Management ---
 let shoeStates = {};
 let globalPriors = {};
-const SHRINKAGE_FACTOR = 0.2;
+let globalBankrolls = {}; // Each table's variant bankrolls at the end of its last shoe, carried into the next
+let stakePolicies = { default: null, tables: {} }; // Stake policy specs from chrome.storage ('stakePolicies')
+let strategyVariants = DEFAULT_STRATEGY_VARIANTS; // Strategies run side by side on every table ('strategyVariants')
+let strategySettings = { global: {}, tables: {} }; // Options page settings: defaults and per-table overrides ('strategySettings')
+let pausedTables = new Set(); // Tables whose updates are ignored until resumed from the dashboard ('pausedTables')
+let connectionProfiles = []; // Saved connection profiles ('connectionProfiles')
+let stateRestored = Promise.all([restoreState(), loadStrategyConfig(), loadPausedTables(), loadConnectionOptions(), loadConnectionProfiles(), decisionHistory.load()]); // Frames wait for persisted state and config.
+let persistTimeout = null;
+let frameQueue = Promise.resolve(); // Frames waiting to be decoded, in arrival order
+let messageLog = []; // Recent messages for the popup's console, at most CONSOLE_MAX_ENTRIES; oldest first
+let messageLogSeq = 0;
+const PERSIST_DELAY_MS = 1000;
 const COMMON_COOKIE_NAMES = ['session', 'sess', 'sid', 'token', 'auth', 'jwt', 'id'];
 
 // --- Core Functions ---
@@ -30,6 +43,7 @@ function connectNative() {
 
     nativePort.onMessage.addListener((message) => {
         console.log("Received from native host:", message);
+        if (message && message.type === 'command') handleNativeCommand(message);
     });
 
     nativePort.onDisconnect.addListener(() => {
@@ -45,6 +59,31 @@ function sendMessageToPopup(message) {
     });
 }
 
+/**
+ * Adds a message to the console history and shows it in the popup. The history outlives the
+ * popup, so reopening it restores the log.
+ * @param {string} direction 'received' or 'sent'.
+ * @param {?string} connectionName
+ * @param {*} data The decoded message, or its text.
+ * @param {boolean} [replayed=false] Whether the message comes from a session replay.
+ */
+function logMessage(direction, connectionName, data, replayed = false) {
+  const entry = { id: ++messageLogSeq, t: Date.now(), direction: direction, connection: connectionName, data: data, replayed: replayed };
+  messageLog.push(entry);
+  if (messageLog.length > CONSOLE_MAX_ENTRIES) messageLog.shift();
+  sendMessageToPopup({ type: "WS_MSG", data: entry });
+}
+
+/**
+ * Sends a message on a connection and logs it for the console.
+ * @returns {boolean} false if the connection is not open.
+ */
+function sendOnConnection(connection, data) {
+  if (!connection.send(data)) return false;
+  logMessage('sent', connection.name, data);
+  return true;
+}
+
 function sendToNativeHost(message) {
     // If port is not connected, try to reconnect it first.
     if (!nativePort) {
@@ -75,165 +114,771 @@ function updateStatus(status, color) {
   chrome.action.setBadgeBackgroundColor({ color: color || '#777777' }).catch(e => {});
 }
 
-function disconnect() {
-  if (reconnectTimeout) clearTimeout(reconnectTimeout);
-  reconnectTimeout = null;
-  if (ws) {
-      ws.onclose = null; // Prevent reconnect logic from firing on manual disconnect
-      ws.close();
-      ws = null;
+/**
+ * Shows the connections' combined status on the badge ('1/2 ' = one of two connected) and
+ * sends each connection's own status and health to the popup.
+ */
+function updateConnectionsStatus() {
+  const connections = connectionManager.describe();
+  sendMessageToPopup({ type: "CONNECTIONS_UPDATE", data: connections });
+  if (replayer) return;
+  if (connections.length === 0) {
+    if (isCapturing) updateStatus("Capturing...", "#ff6d00");
+    else updateStatus("Disconnected", "#db4437");
+    return;
   }
-  if (nativePort) nativePort.disconnect();
-  updateStatus("Disconnected", "#db4437");
+  const open = connectionManager.openCount();
+  const healthy = connections.every(connection => connection.status === "Connected");
+  const color = healthy ? "#0f9d58" : (open > 0 ? "#f4b400" : "#db4437");
+  updateStatus(`${open}/${connections.length} Connected`, color);
 }
 
-function connect() {
-  if (ws) return;
-  if (reconnectTimeout) clearTimeout(reconnectTimeout);
-  if (!config) { updateStatus("Config?", "#f4b400"); return; }
+/**
+ * Refreshes the health metrics in the popup and, when it is running, the dashboard.
+ * Does not start the desktop app just to report health.
+ */
+function onConnectionsHealth() {
+  updateConnectionsStatus();
+  if (nativePort) sendToNativeHost({ type: 'connection_health', payload: connectionManager.describe() });
+}
 
-  connectNative();
-  updateStatus("Connecting...", "#4285f4");
+function onTableStall(connection, tableId, stalled) {
+  console.log(`[${new Date().toISOString()}] [${tableId}] Feed ${stalled ? 'stalled' : 'resumed'}.`);
+  if (nativePort) sendToNativeHost({ type: 'table_status', payload: { tableId: tableId, connection: connection.name, stalled: stalled } });
+}
 
-  chrome.cookies.get({ url: config.targetUrl, name: config.cookieName }, (cookie) => {
-    if (cookie) {
-      ws = new WebSocket(config.wsUrl);
+/**
+ * @returns {Promise<void>}
+ */
+function loadConnectionProfiles() {
+  return new Promise((resolve) => {
+    loadProfiles((profiles) => {
+      const errors = validateProfiles(profiles);
+      if (errors.length > 0) console.error("Invalid connection profiles in storage, ignoring them:", errors);
+      connectionProfiles = errors.length > 0 ? [] : profiles;
+      resolve();
+    });
+  });
+}
 
-      ws.onopen = () => {
-          updateStatus("Connected", "#0f9d58");
-      };
+/**
+ * Opens a connection from a saved profile.
+ * @param {string} name The profile name.
+ * @param {string} [wsUrl] The feed URL, required when the profile's URL is a pattern.
+ * @throws {Error} If there is no such profile or no URL to connect to.
+ */
+function connectProfile(name, wsUrl) {
+  const profile = connectionProfiles.find(candidate => candidate.name === name);
+  if (!profile) throw new Error(`Unknown profile '${name}'.`);
+  connect(profile.name, profileToConfig(profile, wsUrl));
+}
 
-      ws.onmessage = (event) => {
-        console.log(`[${new Date().toISOString()}] Received raw WebSocket message.`);
-        let data;
-        try {
-            data = JSON.parse(event.data);
-        } catch (e) {
-            console.error(`[${new Date().toISOString()}] Failed to parse WebSocket message:`, e);
-            sendMessageToPopup({ type: "WS_MSG", data: event.data });
-            return;
-        }
+/**
+ * @returns {Promise<void>}
+ */
+function loadConnectionOptions() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([CONNECTION_OPTIONS_STORAGE_KEY], (result) => {
+      connectionManager.setDefaults(result[CONNECTION_OPTIONS_STORAGE_KEY]);
+      resolve();
+    });
+  });
+}
 
-        sendMessageToPopup({ type: "WS_MSG", data: data });
+/**
+ * Opens (or replaces) a named connection. Other connections stay open.
+ * @param {string} name The connection name, which namespaces its table ids.
+ * @param {object} connectionConfig { wsUrl, targetUrl, cookieName, adapter }.
+ */
+function connect(name, connectionConfig) {
+  if (!connectionConfig) { updateStatus("Config?", "#f4b400"); return; }
+  if (!nativePort) connectNative();
+  connectionManager.open(name, connectionConfig);
+}
 
-        if (data && typeof data.args === 'object') {
-            console.log(`[${new Date().toISOString()}] Message contains 'args' object. Processing tables.`);
-            for (const tableId in data.args) {
-                const tableData = data.args[tableId];
-                if (tableId.toLowerCase().includes('bac') && tableData && Array.isArray(tableData.results)) {
-                    console.log(`[${new Date().toISOString()}] Found Baccarat data for table: ${tableId}`);
-                    processBaccaratData(tableId, tableData);
-                }
-            }
-        }
-      };
-
-      ws.onclose = () => {
-        ws = null;
-        if (nativePort) nativePort.disconnect();
-        if (config) { 
-            updateStatus("Reconnecting", "#f4b400"); 
-            reconnectTimeout = setTimeout(connect, 5000); 
-        }
-      };
+/**
+ * Closes one connection, or all of them when no name is given.
+ * @param {string} [name]
+ * @param {boolean} [keepNativePort=false] Keep the desktop app connected (closing the port quits it),
+ *     e.g. when the disconnect was requested from the dashboard itself. The port is only closed
+ *     once no connection is left.
+ */
+function disconnect(name, keepNativePort = false) {
+  if (name) connectionManager.close(name);
+  else connectionManager.closeAll();
+  if (nativePort && !keepNativePort && connectionManager.list().length === 0) {
+    // Our own disconnect() fires no onDisconnect, so the port is dropped here; otherwise the next
+    // connect() would see a closed port and not start the host again.
+    nativePort.disconnect();
+    nativePort = null;
+  }
+  updateConnectionsStatus();
+}
 
-      ws.onerror = (error) => { 
-          console.error("WebSocket error:", error); 
-          updateStatus("Error", "#db4437"); 
-      };
-    } else {
-      console.error(`Cookie '${config.cookieName}' not found for domain '${config.targetUrl}'.`);
-      updateStatus("No Cookie", "#f4b400");
-      reconnectTimeout = setTimeout(connect, 10000);
+/**
+ * Runs the connection's on_open messages (see profiles.js) and starts recording with the first
+ * connection to open; later ones join the running session.
+ */
+function onConnectionOpen(connection) {
+  if (connection.script) connection.script.stop(); // Left over from the previous socket
+  connection.script = null;
+  if (connection.config.on_open || connection.config.captures) {
+    connection.script = new OnOpenScript(connection.config, (data) => sendOnConnection(connection, data));
+    connection.script.start();
+  }
+  if (!recordMode) return;
+  if (recorder.isRecording()) recorder.addConnection(connection.config);
+  else recorder.start([connection.config], globalPriors, globalBankrolls);
+}
+
+function onConnectionFrame(rawData, connection) {
+  recorder.record(rawData, connection.name);
+  handleFrame(rawData, connection.config.adapter, connection.name, connection.config.decoder);
+}
+
+/**
+ * Decodes a raw WebSocket frame and routes any Baccarat table data to the strategy.
+ * Shared by live connections and session replay. Frames are decoded one at a time, in the
+ * order they arrived, since inflating a compressed frame is asynchronous.
+ * @param {string|ArrayBuffer|Blob} rawData The raw frame payload.
+ * @param {string} [adapterId] The feed adapter that understands this connection's messages.
+ * @param {string} [connectionName=DEFAULT_CONNECTION_NAME] The connection the frame came from; its
+ *     name prefixes the table ids, so the same table id on two connections is two tables.
+ * @param {string} [decoderId] The connection's frame decoder (see decoders.js).
+ * @param {boolean} [replayed=false] Whether the frame comes from a session replay. Replayed rounds
+ *     are neither persisted nor kept in the decision history, also when the replay has ended by
+ *     the time the frame is decoded.
+ */
+function handleFrame(rawData, adapterId, connectionName = DEFAULT_CONNECTION_NAME, decoderId = DEFAULT_FRAME_DECODER_ID, replayed = false) {
+    console.log(`[${new Date().toISOString()}] Received raw WebSocket message.`);
+    // The state the frame applies to is the one current when it arrived: a frame queued before a
+    // replay starts or ends is not applied to the state that replaces it.
+    const ready = stateRestored;
+    frameQueue = frameQueue
+        .then(() => decodeFrame(rawData, decoderId))
+        .then((decoded) => routeDecodedFrame(decoded, adapterId, connectionName, replayed, ready))
+        .catch((e) => console.error(`[${new Date().toISOString()}] Failed to handle WebSocket message:`, e));
+}
+
+/**
+ * @param {object} decoded A decoded frame from decodeFrame().
+ * @param {string} [adapterId]
+ * @param {string} connectionName
+ * @param {boolean} replayed Whether the frame comes from a session replay.
+ * @param {Promise<void>} ready Settles once the state the frame applies to is loaded.
+ * @returns {Promise<void>|undefined} Settles once the frame's tables are processed.
+ */
+function routeDecodedFrame(decoded, adapterId, connectionName, replayed, ready) {
+    const connection = connectionManager.get(connectionName); // None while replaying
+    if (connection) decoded.replies.forEach(reply => connection.send(reply));
+
+    if (decoded.error) {
+        console.error(`[${new Date().toISOString()}] Failed to parse WebSocket message:`, decoded.error);
+        logMessage('received', connectionName, decoded.text !== null ? decoded.text : `[binary frame: ${decoded.error}]`, replayed);
+        return;
     }
-  });
+    if (decoded.data === null) return; // A control packet, e.g. an Engine.IO ping
+    const data = decoded.data;
+    if (connection && connection.script) connection.script.handleMessage(data);
+
+    logMessage('received', connectionName, data, replayed);
+
+    const adapter = getFeedAdapter(adapterId);
+    const tableUpdates = adapter.extractTables(data).map(update => ({ ...update, tableId: namespaceTableId(connectionName, update.tableId), replayed: replayed }));
+    if (tableUpdates.length > 0) {
+        console.log(`[${new Date().toISOString()}] Adapter '${adapter.id}' found ${tableUpdates.length} table(s). Processing tables.`);
+        return ready.then(() => {
+            for (const tableUpdate of tableUpdates) {
+                // A paused table catches up from the feed's shoe history once it is resumed.
+                if (pausedTables.has(tableUpdate.tableId)) continue;
+                if (connection) connection.touchTable(tableUpdate.tableId);
+                console.log(`[${new Date().toISOString()}] Found Baccarat data for table: ${tableUpdate.tableId}`);
+                processBaccaratData(tableUpdate);
+            }
+            if (!replayed) schedulePersist();
+        });
+    }
+}
+
+/**
+ * Loads the persisted shoe states and priors into memory.
+ * @returns {Promise<void>} Resolves once the state is loaded (or nothing was stored).
+ */
+function restoreState() {
+    return new Promise((resolve) => {
+        loadPersistedState((snapshot) => {
+            const restored = snapshot ? deserializeState(snapshot) : null;
+            if (restored) {
+                shoeStates = restored.shoeStates;
+                globalPriors = restored.globalPriors;
+                globalBankrolls = restored.globalBankrolls;
+                console.log(`[${new Date().toISOString()}] Restored state for ${Object.keys(shoeStates).length} table(s) saved at ${snapshot.savedAt}.`);
+            }
+            resolve();
+        });
+    });
 }
 
-function processBaccaratData(tableId, tableData) {
+/**
+ * Saves the state shortly after the last change, batching bursts of table updates.
+ * Replayed sessions are never persisted, so a replay cannot overwrite what was learned live.
+ */
+function schedulePersist() {
+    if (replayer || persistTimeout) return;
+    persistTimeout = setTimeout(() => {
+        persistTimeout = null;
+        savePersistedState(serializeState(shoeStates, globalPriors, globalBankrolls));
+    }, PERSIST_DELAY_MS);
+}
+
+function clearState() {
+    if (persistTimeout) clearTimeout(persistTimeout);
+    persistTimeout = null;
+    shoeStates = {};
+    globalPriors = {};
+    globalBankrolls = {};
+    clearPersistedState(() => sendPersistedStateToPopup());
+}
+
+function sendPersistedStateToPopup() {
+    loadPersistedState((snapshot) => sendMessageToPopup({ type: "PERSISTED_STATE", data: snapshot }));
+}
+
+/**
+ * Applies the outcomes of a table message that have not been processed yet.
+ * A new shoe is started when the feed's shoe id changes or when the received history no
+ * longer extends the one already processed.
+ * @param {{tableId: string, shoeId: ?string, rounds: object[], replayed: boolean}} tableUpdate A normalized table
+ *     update from a feed adapter, flagged if it comes from a session replay.
+ */
+function processBaccaratData(tableUpdate) {
     const startTime = performance.now();
-    const currentRound = (shoeStates[tableId] && shoeStates[tableId].strategy) ? shoeStates[tableId].strategy.round + 1 : 1; // Estimate next round
+    const { tableId, shoeId, replayed = false } = tableUpdate;
+    const rounds = tableUpdate.rounds.filter(round => round.outcome);
+    const outcomes = rounds.map(round => round.outcome);
+    let state = shoeStates[tableId];
+    const currentRound = state ? state.outcomes.length + 1 : 1; // Estimate next round
     console.log(`[${new Date().toISOString()}] [${tableId}] Round: ${currentRound} - Starting processing.`);
 
-    const results = tableData.results;
-    const prior = globalPriors[tableId] || { B: 1, P: 1, T: 1 };
-    const tempStrategy = new BaccaratStrategy({ initial_prior: prior });
-    const tempTracker = new PerformanceTracker();
-    let lastDecisionLog = null;
-
-    // Process every outcome in the received list to rebuild the current state from scratch.
-    if (results && Array.isArray(results) && results.length > 0) {
-        for (const resultObject of results) {
-            const outcome = translateOutcome(resultObject);
-            if (outcome) {
-                lastDecisionLog = tempStrategy.addOutcome(outcome);
-                tempTracker.recordDecision(lastDecisionLog, outcome);
-            }
+    let loggedRounds = 0; // Rounds of a rebuilt shoe whose logs were already recorded and sent
+    if (state) {
+        const { change, offset } = detectShoeChange(state, outcomes, shoeId);
+        if (change === 'new_shoe') {
+            console.log(`[${new Date().toISOString()}] [${tableId}] Round: ${currentRound} - New shoe detected.`);
+            finishShoe(tableId, state, replayed);
+            state = null;
+        } else if (change === 'revised') {
+            // The feed corrected its latest result (e.g. a late tie); rebuild this shoe from its history.
+            // The outcomes before a capped history's window are no longer sent, so they are carried over.
+            console.log(`[${new Date().toISOString()}] [${tableId}] Round: ${currentRound} - Last result revised, rebuilding shoe.`);
+            // Only the latest result changed, so only its round onwards is logged again.
+            const earlier = state.outcomes.slice(0, offset).map(outcome => ({ outcome: outcome, cards: null }));
+            loggedRounds = state.outcomes.length - 1;
+            state = startShoe(tableId, state.shoeId, state.shoeKey, state.prior);
+            applyRounds(tableId, state, earlier, replayed, loggedRounds);
         }
-    } else {
+        if (state) state.historyOffset = offset;
+    }
+    if (!state) {
+        state = startShoe(tableId, shoeId);
+    }
+    ensureVariants(tableId, state);
+
+    const newRounds = rounds.slice(state.outcomes.length - state.historyOffset);
+    if (newRounds.length === 0) {
         console.log(`[${new Date().toISOString()}] [${tableId}] Round: ${currentRound} - No new results in this message.`);
     }
+    const roundLogs = applyRounds(tableId, state, newRounds, replayed, loggedRounds);
 
+    // Determine the log to send. The primary (first) variant drives the card; the others are
+    // summarized alongside it for comparison.
+    const roundLog = describeRound(tableId, state);
+    let finalLogPayload;
+    let messageType;
 
-    // Detect a new shoe by checking if the new round count is less than our stored one.
-    if (shoeStates[tableId] && shoeStates[tableId].strategy && tempStrategy.round < shoeStates[tableId].strategy.round) {
-        console.log(`[${new Date().toISOString()}] [${tableId}] Round: ${currentRound} - New shoe detected.`);
-        const summary = shoeStates[tableId].performanceTracker.getSummary();
-        sendToNativeHost({ type: 'shoe_summary', payload: summary });
-        const final_counts = shoeStates[tableId].strategy.counts;
-        // Update the global prior for the *next* shoe.
-        globalPriors[tableId] = { B: 1 + (final_counts.B * SHRINKAGE_FACTOR), P: 1 + (final_counts.P * SHRINKAGE_FACTOR), T: 1 + (final_counts.T * SHRINKAGE_FACTOR) };
+    if (roundLog) {
+        // Send the newest log; if this message had no new outcomes, re-send the last one
+        // so the UI stays updated with the last known good state.
+        // The shoe's outcomes so far, e.g. 'BPPBT', let the dashboard draw the full bead plate
+        // even when one message carried several new rounds; round_points lets it chart them, and
+        // round_logs (the logs of the rounds before this one) lets the desktop history keep them.
+        finalLogPayload = {
+            ...roundLog,
+            outcomes: state.outcomes.join(''),
+            roads: summarizeRoads(state.outcomes),
+            round_points: roundLogs.map(summarizeRoundPoint),
+            round_logs: roundLogs.slice(0, -1),
+        };
+        messageType = 'strategy_update';
+    } else {
+        // No valid outcomes yet in this shoe, send a placeholder.
+        finalLogPayload = { tableId: tableId, round: currentRound, shoeId: state.shoeId, shoeKey: state.shoeKey };
+        messageType = 'strategy_no_data';
     }
 
-    // Initialize state if it doesn't exist
-    if (!shoeStates[tableId]) {
-        shoeStates[tableId] = {};
+    console.log(`[${new Date().toISOString()}] [${tableId}] Round: ${finalLogPayload.round || currentRound} - Sending ${messageType} to native host.`);
+    // Replayed updates are flagged so the desktop app keeps them out of its history and alerts.
+    sendToNativeHost({ type: messageType, payload: finalLogPayload, replayed: replayed });
+
+    const endTime = performance.now();
+    console.log(`[${new Date().toISOString()}] [${tableId}] Round: ${currentRound} - Finished processing in ${endTime - startTime}ms.`);
+}
+
+/**
+ * The next hand's probabilities and EVs from the cards left in the shoe (see composition.js),
+ * under the primary variant's payout model. Computed once per round with cards.
+ * @param {object} state The table's shoe state.
+ * @returns {?object} The analysis, or null until the feed has reported cards in this shoe.
+ */
+function describeComposition(state) {
+    if (state.composition.cards_seen === 0) return null;
+    if (!state.compositionAnalysis) {
+        const primary = state.variants[Object.keys(state.variants)[0]];
+        state.compositionAnalysis = state.composition.analyze(getPayoutModel(primary.strategy.config.payout_model));
     }
+    return state.compositionAnalysis;
+}
 
-    // Persist the newly calculated state for this table.
-    shoeStates[tableId].strategy = tempStrategy;
-    shoeStates[tableId].performanceTracker = tempTracker;
-    // Also persist the last valid log we generated for this table.
-    if (lastDecisionLog) {
-        shoeStates[tableId].lastLog = lastDecisionLog;
+/**
+ * The primary (first) variant's latest log with the table, the shoe, the card-composition
+ * analysis and every variant's summary.
+ * @param {string} tableId The table identifier.
+ * @param {object} state The table's shoe state.
+ * @param {boolean} [withComposition=true] Whether to include the card-composition analysis;
+ *     without it the log's `composition` is null.
+ * @returns {?object} The log, or null before the shoe's first outcome.
+ */
+function describeRound(tableId, state, withComposition = true) {
+    const variantNames = Object.keys(state.variants);
+    const primary = state.variants[variantNames[0]];
+    if (!primary.lastLog) return null;
+    const variants = {};
+    for (const name of variantNames) {
+        variants[name] = summarizeVariantLog(state.variants[name].lastLog);
     }
+    return { ...primary.lastLog, composition: withComposition ? describeComposition(state) : null, tableId, shoeId: state.shoeId, shoeKey: state.shoeKey, variant: variantNames[0], variants };
+}
 
-    // Determine the log to send.
-    let finalLogPayload = null;
-    let messageType = 'strategy_no_data'; // Default to placeholder
+/**
+ * Applies rounds to a table's shoe, in order.
+ * @param {string} tableId The table identifier.
+ * @param {object} state The table's shoe state.
+ * @param {{outcome: string, cards: ?object}[]} rounds The rounds not applied yet.
+ * @param {boolean} [replayed=false] Whether the rounds come from a session replay.
+ * @param {number} [loggedRounds=0] When rebuilding a shoe, the rounds whose logs are unchanged;
+ *     they are neither recorded again nor returned.
+ * @returns {object[]} Each applied round's log (see describeRound()), from round loggedRounds + 1.
+ */
+function applyRounds(tableId, state, rounds, replayed = false, loggedRounds = 0) {
+    const logs = [];
+    rounds.forEach(({ outcome, cards }, index) => {
+        for (const name in state.variants) {
+            applyOutcome(state.variants[name], outcome);
+        }
+        state.outcomes.push(outcome);
+        if (state.composition.removeRound(cards)) state.compositionAnalysis = null;
+        if (state.outcomes.length <= loggedRounds) return;
+        // Every round is kept for export, also when one message carried several. Like the
+        // persisted state, replayed rounds are not kept. The composition analysis is costly, so
+        // only the batch's newest round has one; catch-up rounds log it as null.
+        const roundLog = describeRound(tableId, state, index === rounds.length - 1);
+        if (roundLog && !replayed) decisionHistory.recordRound(tableId, state.shoeKey, roundLog);
+        if (roundLog) logs.push(roundLog);
+    });
+    return logs;
+}
 
-    if (lastDecisionLog) {
-        // If new valid outcomes were processed, send the new log.
-        finalLogPayload = { ...lastDecisionLog, tableId };
-        messageType = 'strategy_update';
-    } else if (shoeStates[tableId] && shoeStates[tableId].lastLog) {
-        // If no new valid outcomes, but we have a previous valid log, re-send that.
-        // This ensures the UI stays updated with the last known good state.
-        finalLogPayload = { ...shoeStates[tableId].lastLog, tableId };
-        messageType = 'strategy_update';
-    } else {
-        // If no new valid outcomes and no previous valid log, send a placeholder.
-        finalLogPayload = { tableId: tableId, round: currentRound };
-        messageType = 'strategy_no_data';
+/**
+ * The fields of a round the dashboard charts, so it can plot every round of a message that
+ * carried several.
+ * @param {object} log A round log from describeRound().
+ * @returns {{round: number, outcome: string, confidence: number, posterior_b: number, p_b_star: number, net_profit: number}}
+ */
+function summarizeRoundPoint(log) {
+    return { round: log.round, outcome: log.outcome, confidence: log.confidence, posterior_b: log.posterior_mean.B, p_b_star: log.p_b_star, net_profit: log.net_profit };
+}
+
+// Outcomes a shifted history must share with the applied ones before it is taken for a capped
+// history (a window over the shoe's latest outcomes) rather than a new shoe. A new shoe repeats
+// this many of the old shoe's outcomes by chance well under once in a million shoes.
+const HISTORY_WINDOW_MIN_OVERLAP = 20;
+
+/**
+ * Compares a received history with the outcomes already applied for the table.
+ * Feeds that cap their history send a window over the shoe's latest outcomes; the window's
+ * start within the applied outcomes is tracked as the state's historyOffset.
+ * @param {object} state The table's shoe state.
+ * @param {string[]} outcomes The outcome history from the message.
+ * @param {?string} shoeId The shoe id from the message, if the feed provides one.
+ * @returns {{change: ?string, offset: number}} `change` is 'new_shoe', 'revised' (only the latest
+ *     applied outcome changed) or null; `offset` is the number of applied outcomes before the
+ *     received history.
+ */
+function detectShoeChange(state, outcomes, shoeId) {
+    const offset = state.historyOffset;
+    if (shoeId !== null && state.shoeId !== null && shoeId !== state.shoeId) return { change: 'new_shoe', offset: 0 };
+
+    const applied = state.outcomes;
+    const continues = (start) => applied.slice(start).every((outcome, index) => outcomes[index] === outcome);
+    if (continues(offset)) return { change: null, offset: offset };
+    for (let shift = offset + 1; applied.length - shift >= HISTORY_WINDOW_MIN_OVERLAP; shift++) {
+        if (continues(shift)) return { change: null, offset: shift };
     }
+    // A shoe id that did not change rules out a new shoe; otherwise only a difference in the
+    // very last of at least two applied outcomes, in a history that did not shrink, is treated
+    // as a correction.
+    if (shoeId !== null && shoeId === state.shoeId) return { change: 'revised', offset: offset };
+    const mismatch = applied.findIndex((outcome, index) => index >= offset && outcomes[index - offset] !== outcome);
+    if (applied.length >= 2 && mismatch === applied.length - 1 && outcomes.length + offset >= applied.length) return { change: 'revised', offset: offset };
+    return { change: 'new_shoe', offset: 0 };
+}
 
-    if (finalLogPayload) { // Should always be true now
-        console.log(`[${new Date().toISOString()}] [${tableId}] Round: ${finalLogPayload.round || currentRound} - Sending ${messageType} to native host.`);
-        sendToNativeHost({ type: messageType, payload: finalLogPayload });
-    } else {
-        // This case should ideally not be reached with the new logic, but as a fallback.
-        console.log(`[${new Date().toISOString()}] [${tableId}] Round: ${currentRound} - No payload generated. This should not happen.`);
+/**
+ * Creates a fresh shoe state for a table, starting from the table's learned prior.
+ * @param {string} tableId The table identifier.
+ * @param {?string} shoeId The feed's shoe id, if any.
+ * @param {string} [shoeKey] A stable key for the shoe; generated when the feed has no shoe id.
+ * @param {object} [prior] The prior to start from; defaults to the table's learned prior.
+ * @returns {object} The new state, also stored in shoeStates.
+ */
+function startShoe(tableId, shoeId, shoeKey, prior) {
+    shoeStates[tableId] = {
+        shoeId: shoeId,
+        shoeKey: shoeKey || (shoeId !== null ? String(shoeId) : `${tableId}-${Date.now()}`),
+        // Priors learned before connections were named are keyed by the bare table id.
+        prior: prior || globalPriors[tableId] || globalPriors[baseTableId(tableId)] || { B: 1, P: 1, T: 1 },
+        outcomes: [],
+        historyOffset: 0, // Applied outcomes before the feed's history window (see detectShoeChange())
+        composition: new ShoeComposition(resolveTableSettings(strategySettings, tableId).shoe_decks),
+        compositionAnalysis: null,
+        variants: {},
+    };
+    ensureVariants(tableId, shoeStates[tableId]);
+    return shoeStates[tableId];
+}
+
+/**
+ * Brings a table's strategy variants in line with the configured ones, in configured order,
+ * and applies the current settings to the variants it keeps.
+ * Variants added mid-shoe are caught up by replaying the outcomes already applied.
+ * @param {string} tableId The table identifier.
+ * @param {object} state The table's shoe state.
+ */
+function ensureVariants(tableId, state) {
+    const variants = {};
+    for (const spec of getVariantSpecs(tableId)) {
+        const existing = state.variants[spec.name];
+        if (existing && existing.strategy.getType() === spec.type) {
+            existing.strategy.updateConfig(spec.options); // Changed settings apply from the next outcome
+            variants[spec.name] = existing;
+            continue;
+        }
+        const variant = {
+            strategy: createStrategy(spec.type, { ...spec.options, initial_prior: state.prior, initial_bankroll: carriedBankroll(tableId, spec.name) }),
+            performanceTracker: new PerformanceTracker(),
+            lastLog: null,
+        };
+        state.outcomes.forEach(outcome => applyOutcome(variant, outcome));
+        variants[spec.name] = variant;
     }
+    state.variants = variants;
+}
 
-    const endTime = performance.now();
-    console.log(`[${new Date().toISOString()}] [${tableId}] Round: ${currentRound} - Finished processing in ${endTime - startTime}ms.`);
+/**
+ * @param {object} variant A variant's { strategy, performanceTracker, lastLog }.
+ * @param {string} outcome The round outcome.
+ */
+function applyOutcome(variant, outcome) {
+    const log = variant.strategy.addOutcome(outcome);
+    variant.performanceTracker.recordDecision(log, outcome);
+    variant.lastLog = log;
+}
+
+/**
+ * The per-variant fields sent with every update, for side-by-side comparison.
+ * @param {?object} log A variant's last decision log.
+ * @returns {?object}
+ */
+function summarizeVariantLog(log) {
+    if (!log) return null;
+    return { round: log.round, decision: log.decision, confidence: log.confidence, net_profit: log.net_profit, bankroll: log.bankroll };
+}
+
+/**
+ * Loads the configured strategy variants, stake policies and settings.
+ * @returns {Promise<void>}
+ */
+function loadStrategyConfig() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(['stakePolicies', 'strategyVariants', SETTINGS_STORAGE_KEY], (result) => {
+            stakePolicies = { default: null, tables: {}, ...result.stakePolicies };
+            const policyErrors = validateStakePolicies(stakePolicies);
+            if (policyErrors.length > 0) {
+                console.error("Invalid stake policies in storage, using the defaults:", policyErrors);
+                stakePolicies = { default: null, tables: {} };
+            }
+            const variantErrors = result.strategyVariants !== undefined ? validateVariantSpecs(result.strategyVariants) : [];
+            if (variantErrors.length > 0) console.error("Invalid strategy variants in storage, using the defaults:", variantErrors);
+            strategyVariants = result.strategyVariants !== undefined && variantErrors.length === 0 ? result.strategyVariants : DEFAULT_STRATEGY_VARIANTS;
+            const settings = { global: {}, tables: {}, ...result[SETTINGS_STORAGE_KEY] };
+            const errors = validateSettingsDocument(settings);
+            if (errors.length > 0) console.error("Invalid strategy settings in storage, using the defaults:", errors);
+            strategySettings = errors.length > 0 ? { global: {}, tables: {} } : settings;
+            resolve();
+        });
+    });
+}
+
+/**
+ * Checks variant specs by building each one, so options a strategy rejects (such as an unknown
+ * stake policy) are caught here rather than when a table's shoe starts.
+ * @param {*} specs Variant specs ([{ name, type, options }]).
+ * @returns {string[]} Error messages; empty if the specs are valid.
+ */
+function validateVariantSpecs(specs) {
+    if (!Array.isArray(specs) || specs.length === 0) return ["Strategy variants must be a non-empty list."];
+    const errors = [];
+    const names = new Set();
+    specs.forEach((spec, index) => {
+        const label = spec && typeof spec.name === 'string' ? `'${spec.name}'` : `#${index + 1}`;
+        if (!spec || typeof spec.name !== 'string' || !spec.name) {
+            errors.push(`Variant ${label} needs a 'name'.`);
+            return;
+        }
+        if (names.has(spec.name)) errors.push(`Duplicate variant name ${label}.`);
+        names.add(spec.name);
+        if (spec.options !== undefined && (!spec.options || typeof spec.options !== 'object')) {
+            errors.push(`Variant ${label}: 'options' must be an object.`);
+            return;
+        }
+        try {
+            createStrategy(spec.type, spec.options);
+        } catch (e) {
+            errors.push(`Variant ${label}: ${e.message}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * @param {{default: ?object, tables: object}} policies Stake policy specs, as stored in 'stakePolicies'.
+ * @returns {string[]} Error messages; empty if every policy can be built.
+ */
+function validateStakePolicies(policies) {
+    const errors = [];
+    for (const [key, spec] of [['default', policies.default], ...Object.entries(policies.tables || {})]) {
+        if (!spec) continue;
+        try {
+            createStakePolicy(spec);
+        } catch (e) {
+            errors.push(`${key}: ${e.message}`);
+        }
+    }
+    return errors;
 }
 
-function translateOutcome(resultObject) {
-    if (!resultObject) return null;
-    if (resultObject.ties) return 'T';
-    if (resultObject.c === 'R') return 'B';
-    if (resultObject.c === 'B') return 'P';
-    return null;
+/**
+ * The variants to run on a table. The table's settings (see settings.js) and its stake policy
+ * (or the default one) apply to every variant that does not set its own.
+ * @param {string} tableId The table identifier.
+ * @returns {{name: string, type: string, options: object}[]}
+ */
+function getVariantSpecs(tableId) {
+    const stake_policy = getStakePolicySpec(tableId);
+    const { shrinkage_factor, shoe_decks, ...settings } = resolveTableSettings(strategySettings, tableId);
+    return strategyVariants.map(spec => {
+        const options = { ...settings, ...spec.options };
+        if (!options.stake_policy && stake_policy) options.stake_policy = stake_policy;
+        return { name: spec.name, type: spec.type, options: options };
+    });
+}
+
+/**
+ * A table uses its own stake policy if one is set for it, otherwise the default policy
+ * (and each strategy's built-in sizing if neither is set). A policy set for the bare table id
+ * applies to that table on every connection.
+ * @param {string} tableId The table identifier.
+ * @returns {object|undefined} The stake policy spec for the table.
+ */
+function getStakePolicySpec(tableId) {
+    const spec = stakePolicies.tables[tableId] || stakePolicies.tables[baseTableId(tableId)] || stakePolicies.default;
+    if (!spec) return undefined;
+    try {
+        createStakePolicy(spec);
+        return spec;
+    } catch (e) {
+        console.error(`[${tableId}] Invalid stake policy, using the default ladder:`, e.message);
+        return undefined;
+    }
+}
+
+/**
+ * Sends the finished shoe's comparison report and updates the table's prior for the next shoe.
+ * @param {string} tableId The table identifier.
+ * @param {object} state The finished shoe's state.
+ * @param {boolean} [replayed=false] Whether the shoe was finished by a session replay.
+ */
+function finishShoe(tableId, state, replayed = false) {
+    const trackers = {};
+    for (const name in state.variants) {
+        trackers[name] = state.variants[name].performanceTracker;
+    }
+    const report = PerformanceTracker.compareReports(trackers);
+    sendToNativeHost({ type: 'shoe_summary', payload: report, tableId: tableId, shoeKey: state.shoeKey, replayed: replayed });
+    if (!replayed) decisionHistory.recordSummary(tableId, state.shoeKey, report);
+
+    const primary = state.variants[Object.keys(state.variants)[0]];
+    const final_counts = primary.strategy.counts;
+    const shrinkage = resolveTableSettings(strategySettings, tableId).shrinkage_factor;
+    globalPriors[tableId] = { B: 1 + (final_counts.B * shrinkage), P: 1 + (final_counts.P * shrinkage), T: 1 + (final_counts.T * shrinkage) };
+    globalBankrolls[tableId] = {};
+    for (const name in state.variants) {
+        globalBankrolls[tableId][name] = state.variants[name].strategy.getBankroll();
+    }
+}
+
+/**
+ * @param {string} tableId The table identifier.
+ * @param {string} variantName
+ * @returns {number|undefined} The variant's bankroll at the end of the table's last shoe, or undefined
+ *     to start from the configured bankroll_units.
+ */
+function carriedBankroll(tableId, variantName) {
+    return globalBankrolls[tableId] ? globalBankrolls[tableId][variantName] : undefined;
+}
+
+// --- Dashboard Commands ---
+
+/**
+ * @returns {Promise<void>}
+ */
+function loadPausedTables() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(['pausedTables'], (result) => {
+            pausedTables = new Set(result.pausedTables || []);
+            resolve();
+        });
+    });
+}
+
+function setTablePaused(tableId, paused) {
+    if (paused) pausedTables.add(tableId);
+    else pausedTables.delete(tableId);
+    chrome.storage.local.set({ pausedTables: [...pausedTables] });
+}
+
+function requireTableId(args) {
+    if (!args || typeof args.tableId !== 'string' || !args.tableId) throw new Error("Missing 'tableId'.");
+    return args.tableId;
+}
+
+/**
+ * Commands the desktop app can send over the native port, as { type: 'command', id, command, args }.
+ * Each handler returns the command's result (or a Promise of it) and throws an Error to reject it.
+ */
+const NATIVE_COMMANDS = {
+    get_status: () => ({
+        connected: connectionManager.openCount() > 0,
+        connections: connectionManager.describe(),
+        replaying: !!replayer,
+        pausedTables: [...pausedTables],
+        tables: Object.keys(shoeStates),
+    }),
+    pause_table: (args) => {
+        const tableId = requireTableId(args);
+        setTablePaused(tableId, true);
+        return { tableId: tableId, paused: true };
+    },
+    resume_table: (args) => {
+        const tableId = requireTableId(args);
+        setTablePaused(tableId, false);
+        return { tableId: tableId, paused: false };
+    },
+    // scope: 'shoe' drops the current shoe (the next update rebuilds it from the feed's history),
+    // 'priors' forgets the learned prior, 'all' does both.
+    reset_table: (args) => {
+        const tableId = requireTableId(args);
+        const scope = args.scope || 'shoe';
+        if (!['shoe', 'priors', 'all'].includes(scope)) throw new Error(`Unknown reset scope '${scope}'.`);
+        if (scope !== 'priors') delete shoeStates[tableId];
+        if (scope !== 'shoe') delete globalPriors[tableId];
+        schedulePersist();
+        return { tableId: tableId, scope: scope };
+    },
+    get_strategy_config: () => ({ strategyVariants: strategyVariants, stakePolicies: stakePolicies, strategySettings: strategySettings }),
+    // Saved to storage; the storage listener reloads it (new variants join mid-shoe, stake policies apply from the next shoe).
+    set_strategy_config: (args) => {
+        const update = {};
+        if (args && args.strategyVariants !== undefined) {
+            const errors = validateVariantSpecs(args.strategyVariants);
+            if (errors.length > 0) throw new Error(`Invalid 'strategyVariants': ${errors.join(' ')}`);
+            update.strategyVariants = args.strategyVariants;
+        }
+        if (args && args.stakePolicies !== undefined) {
+            const policies = { default: null, tables: {}, ...args.stakePolicies };
+            const errors = validateStakePolicies(policies);
+            if (errors.length > 0) throw new Error(`Invalid 'stakePolicies': ${errors.join(' ')}`);
+            update.stakePolicies = policies;
+        }
+        if (args && args.strategySettings !== undefined) {
+            const settings = { global: {}, tables: {}, ...args.strategySettings };
+            const errors = validateSettingsDocument(settings);
+            if (errors.length > 0) throw new Error(errors.join(' '));
+            update[SETTINGS_STORAGE_KEY] = settings;
+        }
+        if (Object.keys(update).length === 0) throw new Error("Nothing to change: pass 'strategyVariants', 'stakePolicies' and/or 'strategySettings'.");
+        return new Promise((resolve) => chrome.storage.local.set(update, () => resolve({ updated: Object.keys(update) })));
+    },
+    // With a profile, opens it (args.wsUrl fills in a URL pattern). With a name (and optionally
+    // a config), opens that connection; without either, reopens every connection opened before.
+    connect: (args) => {
+        if (args.profile) {
+            stopReplay();
+            connectProfile(args.profile, args.wsUrl);
+            return { connections: [args.profile] };
+        }
+        if (args.config && !args.config.wsUrl) throw new Error("The connection config needs a 'wsUrl'.");
+        const name = args.name || (args.config ? defaultConnectionName(args.config.wsUrl) : null);
+        const configs = name ? { [name]: args.config || connectionManager.lastConfigs[name] } : { ...connectionManager.lastConfigs };
+        if (Object.keys(configs).length === 0) throw new Error("No connection config yet; connect once from the popup.");
+        for (const connectionName in configs) {
+            if (!configs[connectionName]) throw new Error(`Unknown connection '${connectionName}'.`);
+        }
+        stopReplay();
+        for (const connectionName in configs) connect(connectionName, configs[connectionName]);
+        return { connections: Object.keys(configs) };
+    },
+    // Closes the named connection, or all of them.
+    disconnect: (args) => {
+        if (args.name && !connectionManager.get(args.name)) throw new Error(`Unknown connection '${args.name}'.`);
+        disconnect(args.name, true);
+        if (connectionManager.list().length === 0) recorder.stop();
+        return { disconnected: args.name ? [args.name] : 'all' };
+    },
+};
+
+/**
+ * Runs a command from the desktop app. The command is acknowledged on receipt, then answered
+ * with a command_result carrying either `result` or `error`.
+ * @param {{id: string, command: string, args: object}} message
+ */
+function handleNativeCommand(message) {
+    const { id, command, args } = message;
+    const handler = NATIVE_COMMANDS[command];
+    console.log(`[${new Date().toISOString()}] Dashboard command ${id}: ${command}`);
+    if (!handler) {
+        sendToNativeHost({ type: 'command_result', id: id, command: command, ok: false, error: `Unknown command '${command}'.` });
+        return;
+    }
+    sendToNativeHost({ type: 'command_ack', id: id, command: command });
+    stateRestored
+        .then(() => handler(args || {}))
+        .then(
+            (result) => sendToNativeHost({ type: 'command_result', id: id, command: command, ok: true, result: result }),
+            (e) => {
+                console.error(`[${new Date().toISOString()}] Dashboard command ${id} (${command}) failed:`, e.message);
+                sendToNativeHost({ type: 'command_result', id: id, command: command, ok: false, error: e.message });
+            });
 }
 
 function initiateAutoConnection(urlData) {
@@ -253,8 +898,9 @@ function initiateAutoConnection(urlData) {
             return;
         }
         sendMessageToPopup({ type: "AUTO_CONNECT_UPDATE", data: { cookieName: foundCookie.name } });
-        config = { wsUrl: urlData.wsUrl, targetUrl: httpOrigin, cookieName: foundCookie.name };
-        connect();
+        chrome.storage.local.get(['adapterId', 'decoderId'], (result) => {
+            connect(defaultConnectionName(urlData.wsUrl), { wsUrl: urlData.wsUrl, targetUrl: httpOrigin, cookieName: foundCookie.name, adapter: result.adapterId || DEFAULT_FEED_ADAPTER_ID, decoder: result.decoderId || DEFAULT_FRAME_DECODER_ID });
+        });
     });
 }
 
@@ -264,7 +910,11 @@ function onHeadersReceived(details) {
     if (!discoveredUrls.some(item => item.wsUrl === urlData.wsUrl)) {
         discoveredUrls.push(urlData);
         sendMessageToPopup({ type: "WEBSOCKET_DISCOVERED", data: urlData });
-        if (autoConnectMode && !ws) initiateAutoConnection(urlData);
+        // Every newly discovered feed gets its own connection, unless one already has its name.
+        // A feed with a saved profile connects with it instead of guessing the cookie.
+        const profile = findProfileForUrl(connectionProfiles, urlData.wsUrl);
+        if (autoConnectMode && profile && !connectionManager.get(profile.name)) connect(profile.name, profileToConfig(profile, urlData.wsUrl));
+        else if (autoConnectMode && !profile && !connectionManager.get(defaultConnectionName(urlData.wsUrl))) initiateAutoConnection(urlData);
     }
   }
 }
@@ -281,33 +931,183 @@ function stopCapture() {
   if (!isCapturing) return;
   isCapturing = false;
   chrome.webRequest.onHeadersReceived.removeListener(onHeadersReceived);
-  if (!ws) updateStatus("Disconnected", "#db4437");
+  updateConnectionsStatus();
+}
+
+function setRecording(enabled) {
+  recordMode = enabled;
+  chrome.storage.local.set({ recordMode: recordMode });
+  if (!recordMode) recorder.stop();
+  else if (connectionManager.openCount() > 0 && !recorder.isRecording()) recorder.start(connectionManager.list().map(connection => connection.config), globalPriors, globalBankrolls);
+}
+
+function sendRecordingsToPopup() {
+  SessionRecorder.listSessions((sessions) => sendMessageToPopup({ type: "RECORDINGS", data: sessions }));
+}
+
+/**
+ * Sends a stored session to the popup as a JSONL file.
+ * @param {string} [id] The session id; the most recent session if omitted.
+ */
+function sendRecordingToPopup(id) {
+  const deliver = (stored) => {
+    const data = stored ? { filename: `${stored.session.id}.jsonl`, content: SessionRecorder.toJsonl(stored.session, stored.frames) } : null;
+    sendMessageToPopup({ type: "RECORDING_DATA", data: data });
+  };
+  // The session being recorded is flushed first, so the file includes its latest frames.
+  recorder.flush().then(() => SessionRecorder.listSessions((sessions) => {
+    const target = id || (sessions.length > 0 ? sessions[sessions.length - 1].id : null);
+    if (target) SessionRecorder.loadSession(target, deliver);
+    else deliver(null);
+  }));
+}
+
+/**
+ * Replays a recorded session through the same path as live frames.
+ * The live connection is closed and the table state restarts from the priors and bankrolls
+ * stored in the session, so the replay reproduces the decisions made while it was recorded.
+ * @param {string} content The JSONL session file contents.
+ * @param {number} speed Playback speed multiplier (0 = as fast as possible).
+ */
+function startReplay(content, speed) {
+  let parsed;
+  try {
+    parsed = SessionRecorder.parseJsonl(content);
+  } catch (e) {
+    console.error("Failed to load recorded session:", e);
+    updateStatus("Bad File", "#db4437");
+    return;
+  }
+
+  stopReplay();
+  recorder.stop();
+  disconnect();
+  // Live frames still being decoded are applied first, then the replay replaces the in-memory
+  // state. Replayed frames wait for that, since they capture stateRestored when they arrive.
+  stateRestored = Promise.all([stateRestored, frameQueue]).then(() => {
+    if (persistTimeout) {
+      // Flush pending live changes before the replay replaces the in-memory state.
+      clearTimeout(persistTimeout);
+      persistTimeout = null;
+      savePersistedState(serializeState(shoeStates, globalPriors, globalBankrolls));
+    }
+    shoeStates = {};
+    globalPriors = parsed.session.priors || {};
+    globalBankrolls = parsed.session.bankrolls || {};
+  });
+  console.log(`[${new Date().toISOString()}] Replaying session ${parsed.session.id} (${parsed.frames.length} frames) at speed ${speed}.`);
+  updateStatus("Replaying", "#9c27b0");
+  const configs = SessionRecorder.getConnectionConfigs(parsed.session);
+  replayer = new SessionReplayer(parsed.frames, (rawData, connectionName = DEFAULT_CONNECTION_NAME) => {
+    const connectionConfig = configs[connectionName] || {};
+    handleFrame(rawData, connectionConfig.adapter, connectionName, connectionConfig.decoder, true);
+  }, {
+    speed: speed,
+    onDone: () => {
+      replayer = null;
+      restoreAfterReplay().then(() => updateStatus("Replayed", "#0f9d58"));
+    },
+  });
+  replayer.start();
+}
+
+function stopReplay() {
+  if (!replayer) return;
+  replayer.stop();
+  replayer = null;
+  restoreAfterReplay();
+  updateConnectionsStatus();
+}
+
+/**
+ * Restores the live state once the replayed frames still being decoded are applied.
+ * @returns {Promise<void>} The new stateRestored.
+ */
+function restoreAfterReplay() {
+  stateRestored = Promise.all([stateRestored, frameQueue]).then(restoreState);
+  return stateRestored;
 }
 
 chrome.runtime.onMessage.addListener((message) => {
   switch (message.type) {
-    case "CONNECT": if (ws) disconnect(); config = message.data; connect(); break;
-    case "DISCONNECT": config = null; disconnect(); break;
-    case "WS_SEND": if (ws && ws.readyState === WebSocket.OPEN) ws.send(message.data); else console.error("WS not connected."); break;
+    case "CONNECT": stopReplay(); connect(message.data.name || defaultConnectionName(message.data.wsUrl), message.data); break;
+    case "CONNECT_PROFILE":
+      stopReplay();
+      // The profiles are loaded with the state, which may still be loading if the popup woke the worker.
+      stateRestored.then(() => {
+        try {
+          connectProfile(message.data.name, message.data.wsUrl);
+        } catch (e) {
+          console.error(e.message);
+          updateStatus("Profile?", "#f4b400");
+        }
+      });
+      break;
+    case "DISCONNECT":
+      disconnect(message.data && message.data.name);
+      if (connectionManager.list().length === 0) recorder.stop();
+      break;
+    case "WS_SEND": {
+      // Without a connection name, the message goes to the only open connection.
+      const open = connectionManager.list().filter(connection => connection.isOpen());
+      const target = message.connection ? connectionManager.get(message.connection) : (open.length === 1 ? open[0] : null);
+      if (!target || !sendOnConnection(target, message.data)) console.error(message.connection ? `WS '${message.connection}' not connected.` : "WS not connected, or several connections open.");
+      break;
+    }
+    case "GET_EXPORT_TABLES":
+      stateRestored.then(() => sendMessageToPopup({ type: "EXPORT_TABLES", data: decisionHistory.listTables() }));
+      break;
+    case "EXPORT_HISTORY":
+      // Filtered and formatted here, so only the file content is sent to the popup.
+      stateRestored.then(() => {
+        try {
+          sendMessageToPopup({ type: "EXPORT_DATA", data: formatExport(decisionHistory.records, message.data) });
+        } catch (e) {
+          sendMessageToPopup({ type: "EXPORT_DATA", error: e.message });
+        }
+      });
+      break;
+    case "GET_MESSAGE_LOG":
+      sendMessageToPopup({ type: "MESSAGE_LOG", data: messageLog });
+      break;
+    case "CLEAR_MESSAGE_LOG":
+      messageLog = [];
+      break;
     case "GET_STATUS":
-      if (isCapturing) updateStatus("Capturing...", "#ff6d00");
-      else if (ws && ws.readyState === WebSocket.OPEN) updateStatus("Connected", "#0f9d58");
-      else if (config) updateStatus("Connecting...", "#f4b400");
-      else updateStatus("Disconnected", "#db4437");
+      if (replayer) updateStatus("Replaying", "#9c27b0");
+      else if (isCapturing && connectionManager.list().length === 0) updateStatus("Capturing...", "#ff6d00");
+      updateConnectionsStatus();
       break;
     case "START_CAPTURE": startCapture(); break;
     case "STOP_CAPTURE": stopCapture(); break;
     case "GET_DISCOVERED_LIST": sendMessageToPopup({ type: "ALL_DISCOVERED_URLS", data: discoveredUrls }); break;
     case "SET_AUTO_CONNECT": autoConnectMode = message.data.enabled; chrome.storage.local.set({ autoConnectMode: autoConnectMode }); break;
+    case "SET_RECORDING": setRecording(message.data.enabled); break;
+    case "GET_RECORDINGS": sendRecordingsToPopup(); break;
+    case "DOWNLOAD_RECORDING": sendRecordingToPopup(message.data && message.data.id); break;
+    case "START_REPLAY": startReplay(message.data.content, message.data.speed); break;
+    case "STOP_REPLAY": stopReplay(); break;
+    case "GET_PERSISTED_STATE": sendPersistedStateToPopup(); break;
+    case "CLEAR_PERSISTED_STATE": stateRestored.then(clearState); break;
   }
 });
 
 function initialize() {
-  chrome.storage.local.get(['captureMode', 'autoConnectMode'], (result) => {
+  chrome.storage.local.get(['captureMode', 'autoConnectMode', 'recordMode'], (result) => {
     autoConnectMode = !!result.autoConnectMode;
+    recordMode = !!result.recordMode;
     if (result.captureMode) startCapture();
   });
 }
 
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  // New stake policies apply from each table's next shoe; new variants join mid-shoe and
+  // changed settings apply from each table's next round.
+  if (areaName === 'local' && (changes.stakePolicies || changes.strategyVariants || changes[SETTINGS_STORAGE_KEY])) stateRestored = stateRestored.then(loadStrategyConfig);
+  // Connection options apply to open connections too; a changed keepalive starts with the next reconnect.
+  if (areaName === 'local' && changes[CONNECTION_OPTIONS_STORAGE_KEY]) loadConnectionOptions();
+  if (areaName === 'local' && changes[PROFILES_STORAGE_KEY]) loadConnectionProfiles();
+});
+
 chrome.runtime.onStartup.addListener(initialize);
 chrome.runtime.onInstalled.addListener(initialize);
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * changepoint.js
+ *
+ * Bayesian online change-point detection (Adams & MacKay, 2007) over the outcome stream.
+ * The detector keeps a posterior over the run length, the number of hands since the outcome
+ * probabilities last changed, with each run's hands drawn from Categorical(p), p ~ Dirichlet(prior).
+ * With a constant hazard H = 1 / expected_run_length, each hand x updates it as
+ *   P(r + 1) ∝ P(r) (1 - H) P(x | the run's counts)    the run goes on
+ *   P(1)     ∝ H P(x | prior)                           a new run starts with x
+ * where P(x | counts) = (prior_x + counts_x) / (Σ prior + Σ counts) is the Dirichlet-categorical
+ * predictive. Runs less likely than CHANGEPOINT_MIN_PROBABILITY are dropped.
+ *
+ * Unlike the legacy CUSUM and SPRT, nothing latches: the evidence for a change rises and falls
+ * with the stream. The strategy logs it next to them and can restart its posterior from the most
+ * likely change point once a change in the shoe is more likely than not (its
+ * restart_on_changepoint option). The single most likely run length alone is a poor trigger: after
+ * a change its probability is spread over several neighbouring run lengths, each less likely than
+ * "no change".
+ */
+
+const DEFAULT_CHANGEPOINT_CONFIG = {
+    expected_run_length: 100, // Hands between changes a priori (1 / hazard)
+    window: 10, // change_probability covers changes within this many hands
+};
+const CHANGEPOINT_MIN_PROBABILITY = 1e-10;
+
+class ChangePointDetector {
+    /**
+     * @param {object} [config={}] - Any of DEFAULT_CHANGEPOINT_CONFIG's settings.
+     * @param {{B: number, P: number, T: number}} [prior={B:1, P:1, T:1}] - Dirichlet prior of every run.
+     */
+    constructor(config = {}, prior = { B: 1, P: 1, T: 1 }) {
+        this.config = { ...DEFAULT_CHANGEPOINT_CONFIG, ...config };
+        this.prior = { ...prior };
+        this.hands = 0;
+        this.runs = []; // [{ length, probability, counts: {B, P, T} }], shortest first
+    }
+
+    /**
+     * Changes the settings; the run-length posterior so far is kept.
+     * @param {object} config - Any of DEFAULT_CHANGEPOINT_CONFIG's settings.
+     */
+    setConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Returns a JSON-safe snapshot of the detector.
+     * @returns {object}
+     */
+    serialize() {
+        return JSON.parse(JSON.stringify(this));
+    }
+
+    /**
+     * Rebuilds a detector from a snapshot produced by serialize().
+     * @param {object} snapshot
+     * @returns {ChangePointDetector}
+     */
+    static restore(snapshot) {
+        return Object.assign(new ChangePointDetector(snapshot.config, snapshot.prior), snapshot);
+    }
+
+    /**
+     * @param {object} counts - A run's outcome counts.
+     * @param {string} outcome
+     * @returns {number} The probability of the outcome as the run's next hand.
+     */
+    predictive(counts, outcome) {
+        const total = this.prior.B + this.prior.P + this.prior.T + counts.B + counts.P + counts.T;
+        return (this.prior[outcome] + counts[outcome]) / total;
+    }
+
+    /**
+     * Adds a hand to the run-length posterior.
+     * @param {string} outcome - 'B', 'P' or 'T'.
+     * @returns {object} The detector's summary after the hand (see summarize()).
+     */
+    update(outcome) {
+        const hazard = 1 / this.config.expected_run_length;
+        const empty = { B: 0, P: 0, T: 0 };
+        // The first hand of a shoe always starts a run.
+        const fresh = {
+            length: 1,
+            probability: (this.hands === 0 ? 1 : hazard) * this.predictive(empty, outcome),
+            counts: { ...empty, [outcome]: 1 },
+        };
+        const grown = this.runs.map(run => ({
+            length: run.length + 1,
+            probability: run.probability * (1 - hazard) * this.predictive(run.counts, outcome),
+            counts: { ...run.counts, [outcome]: run.counts[outcome] + 1 },
+        }));
+        const runs = [fresh, ...grown];
+        const total = runs.reduce((sum, run) => sum + run.probability, 0);
+        runs.forEach(run => { run.probability /= total; });
+        this.runs = runs.filter(run => run.probability >= CHANGEPOINT_MIN_PROBABILITY);
+        this.hands++;
+        return this.summarize();
+    }
+
+    /**
+     * @param {object[]} runs
+     * @returns {?object} The most likely of the runs, or null if there are none.
+     */
+    static mostLikely(runs) {
+        return runs.reduce((best, run) => (!best || run.probability > best.probability) ? run : best, null);
+    }
+
+    /**
+     * The current segment: the most likely run since a change point if the shoe more likely than
+     * not has changed, otherwise the run since the start of the shoe.
+     * @returns {?object} The run, or null before the first hand.
+     */
+    currentSegment() {
+        const changed = this.runs.filter(run => run.length < this.hands);
+        const changed_probability = changed.reduce((sum, run) => sum + run.probability, 0);
+        if (changed_probability > 0.5) return ChangePointDetector.mostLikely(changed);
+        return this.runs.find(run => run.length === this.hands) || ChangePointDetector.mostLikely(this.runs);
+    }
+
+    /**
+     * The Dirichlet posterior of the current segment: the prior plus the segment's counts.
+     * @returns {{B: number, P: number, T: number}}
+     */
+    segmentAlpha() {
+        const run = this.currentSegment();
+        const counts = run ? run.counts : { B: 0, P: 0, T: 0 };
+        return { B: this.prior.B + counts.B, P: this.prior.P + counts.P, T: this.prior.T + counts.T };
+    }
+
+    /**
+     * @returns {object} The detector's state for the decision log:
+     *   - change_probability: the probability that the outcome probabilities changed within the
+     *     last `window` hands (window is included);
+     *   - shoe_change_probability: the probability that they changed at any point in the shoe;
+     *   - map_run_length and mean_run_length: the most likely and the expected number of hands
+     *     since the last change (the whole shoe if none);
+     *   - segment_length and segment_counts: the current segment (see currentSegment()).
+     */
+    summarize() {
+        const map_run = ChangePointDetector.mostLikely(this.runs);
+        const segment = this.currentSegment();
+        let change_probability = 0;
+        let shoe_change_probability = 0;
+        let mean_run_length = 0;
+        for (const run of this.runs) {
+            if (run.length < this.hands) {
+                shoe_change_probability += run.probability;
+                if (run.length <= this.config.window) change_probability += run.probability;
+            }
+            mean_run_length += run.length * run.probability;
+        }
+        return {
+            change_probability: change_probability,
+            window: this.config.window,
+            shoe_change_probability: shoe_change_probability,
+            map_run_length: map_run ? map_run.length : 0,
+            mean_run_length: mean_run_length,
+            segment_length: segment ? segment.length : 0,
+            segment_counts: segment ? { ...segment.counts } : { B: 0, P: 0, T: 0 },
+        };
+    }
+}
@@ -0,0 +1,251 @@
+/**
+ * composition.js
+ *
+ * Tracks the cards left in a shoe from the dealt cards a feed reports, and computes the exact
+ * probabilities and expected values of the next hand under the full third-card rules:
+ * - Either two-card total of 8 or 9 is a natural, and both hands stand.
+ * - Otherwise the Player draws on 0-5 and stands on 6-7.
+ * - If the Player stood, the Banker draws on 0-5. If the Player drew a third card p, the
+ *   Banker draws on 0-2, on 3 unless p is 8, on 4 if p is 2-7, on 5 if p is 4-7 and on 6 if
+ *   p is 6-7; it stands on 7.
+ * Cards are dealt Player, Banker, Player, Banker, then the third cards. The main bets only
+ * depend on card values (tens and faces count 0), so the hand is enumerated over values; the
+ * pair bets depend on ranks and have a closed form.
+ *
+ * Cards that were dealt but not reported (burn cards, rounds without cards) are unknown to
+ * the model. Removing unknown cards does not change the expected composition, so the
+ * probabilities stay exact given what was seen.
+ */
+
+// Assumes payouts.js is loaded, providing winPayout().
+
+const DEFAULT_SHOE_DECKS = 8;
+const CARD_RANKS = 13; // Ace = 1, ..., King = 13
+const CARD_RANK_NAMES = { A: 1, T: 10, J: 11, Q: 12, K: 13 };
+
+/**
+ * Reads a card's rank from the common spellings: 'AS', '10h', 'Td', 'K', '7♣', a number
+ * from 1 to 13, or an object with a `rank` (or `value`) of any of these.
+ * @param {*} card
+ * @returns {?number} The rank, 1 (Ace) to 13 (King), or null if unreadable.
+ */
+function parseCardRank(card) {
+    if (card && typeof card === 'object') return parseCardRank(card.rank !== undefined ? card.rank : card.value);
+    if (typeof card === 'number') return Number.isInteger(card) && card >= 1 && card <= CARD_RANKS ? card : null;
+    if (typeof card !== 'string') return null;
+    const match = card.trim().toUpperCase().match(/^(10|[2-9]|[ATJQK])/);
+    if (!match) return null;
+    return CARD_RANK_NAMES[match[1]] || Number(match[1]);
+}
+
+/**
+ * @param {number} rank - 1 to 13.
+ * @returns {number} The card's baccarat value, 0 to 9.
+ */
+function cardValue(rank) {
+    return rank >= 10 ? 0 : rank;
+}
+
+/**
+ * Whether the Banker draws a third card.
+ * @param {number} bankerTotal - The Banker's two-card total.
+ * @param {?number} playerThird - The value of the Player's third card, or null if the Player stood.
+ * @returns {boolean}
+ */
+function bankerDraws(bankerTotal, playerThird) {
+    if (playerThird === null) return bankerTotal <= 5;
+    switch (bankerTotal) {
+        case 0: case 1: case 2: return true;
+        case 3: return playerThird !== 8;
+        case 4: return playerThird >= 2 && playerThird <= 7;
+        case 5: return playerThird >= 4 && playerThird <= 7;
+        case 6: return playerThird === 6 || playerThird === 7;
+        default: return false;
+    }
+}
+
+/**
+ * The exact outcome probabilities of the next hand dealt from the given card values.
+ * @param {number[]} valueCounts - The number of cards left of each value, 0 to 9.
+ * @returns {{B: number, P: number, T: number, banker_six: number}} `banker_six` is the
+ *     probability of a Banker win with a total of 6 (part of B).
+ */
+function handProbabilities(valueCounts) {
+    const counts = valueCounts.slice();
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const result = { B: 0, P: 0, T: 0, banker_six: 0 };
+    if (total < 6) return result;
+
+    // Plain loops rather than a recursive deal(): this runs for every round with cards.
+    for (let p1 = 0; p1 <= 9; p1++) {
+        if (counts[p1] === 0) continue;
+        const w1 = counts[p1]-- / total;
+        for (let b1 = 0; b1 <= 9; b1++) {
+            if (counts[b1] === 0) continue;
+            const w2 = w1 * counts[b1]-- / (total - 1);
+            for (let p2 = 0; p2 <= 9; p2++) {
+                if (counts[p2] === 0) continue;
+                const w3 = w2 * counts[p2]-- / (total - 2);
+                for (let b2 = 0; b2 <= 9; b2++) {
+                    if (counts[b2] === 0) continue;
+                    const weight = w3 * counts[b2]-- / (total - 3);
+                    const playerTotal = (p1 + p2) % 10;
+                    const bankerTotal = (b1 + b2) % 10;
+                    if (playerTotal >= 8 || bankerTotal >= 8) {
+                        settleHand(result, playerTotal, bankerTotal, weight);
+                    } else if (playerTotal >= 6) {
+                        bankerTurn(result, counts, total - 4, playerTotal, bankerTotal, null, weight);
+                    } else {
+                        for (let p3 = 0; p3 <= 9; p3++) {
+                            if (counts[p3] === 0) continue;
+                            const drawn = weight * counts[p3]-- / (total - 4);
+                            bankerTurn(result, counts, total - 5, (playerTotal + p3) % 10, bankerTotal, p3, drawn);
+                            counts[p3]++;
+                        }
+                    }
+                    counts[b2]++;
+                }
+                counts[p2]++;
+            }
+            counts[b1]++;
+        }
+        counts[p1]++;
+    }
+    return result;
+}
+
+/**
+ * Finishes a hand once the Player's cards are dealt: the Banker draws or stands.
+ * @param {object} result - The probabilities being summed (see handProbabilities()).
+ * @param {number[]} counts - The cards left of each value.
+ * @param {number} left - The number of cards left.
+ * @param {number} playerTotal
+ * @param {number} bankerTotal - The Banker's two-card total.
+ * @param {?number} playerThird - The value of the Player's third card, or null if the Player stood.
+ * @param {number} weight - The probability of the hand so far.
+ */
+function bankerTurn(result, counts, left, playerTotal, bankerTotal, playerThird, weight) {
+    if (!bankerDraws(bankerTotal, playerThird)) {
+        settleHand(result, playerTotal, bankerTotal, weight);
+        return;
+    }
+    for (let b3 = 0; b3 <= 9; b3++) {
+        if (counts[b3] > 0) settleHand(result, playerTotal, (bankerTotal + b3) % 10, weight * counts[b3] / left);
+    }
+}
+
+function settleHand(result, playerTotal, bankerTotal, weight) {
+    if (playerTotal > bankerTotal) {
+        result.P += weight;
+    } else if (bankerTotal > playerTotal) {
+        result.B += weight;
+        if (bankerTotal === 6) result.banker_six += weight;
+    } else {
+        result.T += weight;
+    }
+}
+
+class ShoeComposition {
+    /**
+     * @param {number} [decks=DEFAULT_SHOE_DECKS] - Decks in a full shoe.
+     */
+    constructor(decks = DEFAULT_SHOE_DECKS) {
+        this.decks = decks;
+        this.ranks = new Array(CARD_RANKS).fill(4 * decks); // Cards left of each rank, Ace first
+        this.cards_seen = 0;
+        this.unmatched_cards = 0; // Unreadable cards, or more of a rank than the shoe holds
+    }
+
+    /**
+     * Returns a JSON-safe snapshot of the composition.
+     * @returns {object}
+     */
+    serialize() {
+        return JSON.parse(JSON.stringify(this));
+    }
+
+    /**
+     * Rebuilds a composition from a snapshot produced by serialize().
+     * @param {object} snapshot
+     * @returns {ShoeComposition}
+     */
+    static restore(snapshot) {
+        return Object.assign(new ShoeComposition(snapshot.decks), snapshot);
+    }
+
+    /**
+     * @returns {number} The cards left in the shoe.
+     */
+    remaining() {
+        return this.ranks.reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Removes a round's dealt cards.
+     * @param {?{player: Array, banker: Array}} cards - The round's cards (see adapters.js), or null.
+     * @returns {boolean} Whether the round had cards.
+     */
+    removeRound(cards) {
+        if (!cards) return false;
+        for (const card of [...(cards.player || []), ...(cards.banker || [])]) {
+            const rank = parseCardRank(card);
+            if (rank === null || this.ranks[rank - 1] === 0) {
+                this.unmatched_cards++;
+                continue;
+            }
+            this.ranks[rank - 1]--;
+            this.cards_seen++;
+        }
+        return true;
+    }
+
+    /**
+     * @returns {number[]} The cards left of each value, 0 to 9.
+     */
+    valueCounts() {
+        const values = new Array(10).fill(0);
+        this.ranks.forEach((count, index) => { values[cardValue(index + 1)] += count; });
+        return values;
+    }
+
+    /**
+     * The probability that two cards dealt next have the same rank. The Player's first two cards
+     * and the Banker's are both such a pair of cards.
+     * @returns {number}
+     */
+    pairProbability() {
+        const left = this.remaining();
+        if (left < 2) return 0;
+        return this.ranks.reduce((sum, count) => sum + count * (count - 1), 0) / (left * (left - 1));
+    }
+
+    /**
+     * The next hand's exact probabilities and expected values under a payout model.
+     * @param {object} model - A payout model.
+     * @returns {{decks: number, cards_remaining: number, cards_seen: number, unmatched_cards: number,
+     *     probabilities: object, ev: object, best_bet: ?string}} `ev` is the expected net units per unit
+     *     staked on B, P, T, player_pair and banker_pair; `best_bet` is the bet with the highest
+     *     positive EV, or null if none is positive.
+     */
+    analyze(model) {
+        const hand = handProbabilities(this.valueCounts());
+        const pair = this.pairProbability();
+        const ev = {
+            B: (hand.B - hand.banker_six) * model.banker + hand.banker_six * winPayout(model, 'B', 6) - hand.P,
+            P: hand.P * winPayout(model, 'P') - hand.B,
+            T: hand.T * winPayout(model, 'T') - (1 - hand.T),
+            player_pair: pair * model.pair - (1 - pair),
+            banker_pair: pair * model.pair - (1 - pair),
+        };
+        const best_bet = Object.keys(ev).reduce((best, bet) => (ev[bet] > 0 && (!best || ev[bet] > ev[best])) ? bet : best, null);
+        return {
+            decks: this.decks,
+            cards_remaining: this.remaining(),
+            cards_seen: this.cards_seen,
+            unmatched_cards: this.unmatched_cards,
+            probabilities: { ...hand, player_pair: pair, banker_pair: pair },
+            ev: ev,
+            best_bet: best_bet,
+        };
+    }
+}
@@ -0,0 +1,424 @@
+/**
+ * connections.js
+ *
+ * Keeps several named WebSocket feed connections open at once. Each FeedConnection has its own
+ * URL, auth cookie, feed adapter, reconnect timer and status; the ConnectionManager holds them
+ * by name. Table ids are namespaced with the connection name ('lobby-a:bac1'), so tables from
+ * different lobbies never share state.
+ *
+ * Dropped sockets are retried with exponential backoff. A health check every few seconds marks
+ * connections and tables that have gone quiet as stalled, and keepalive messages can be sent on
+ * an interval for feeds that close idle sockets.
+ *
+ * Loaded by the service worker (importScripts), the popup, the options page and the desktop
+ * app's renderer (which only uses formatDuration()).
+ */
+
+const DEFAULT_CONNECTION_NAME = 'main';
+const TABLE_NAMESPACE_SEPARATOR = ':';
+const CONNECTION_OPTIONS_STORAGE_KEY = 'connectionOptions';
+const HEALTH_CHECK_INTERVAL_MS = 5000;
+
+/**
+ * Reconnect, keepalive and staleness options. The options page stores global overrides under
+ * 'connectionOptions'; a connection's config can override them again (e.g. from the dashboard).
+ */
+const DEFAULT_CONNECTION_OPTIONS = {
+    // Retry delays grow from initial_delay_ms by `multiplier` per failed attempt, up to
+    // max_delay_ms, each randomized by +/- `jitter`. max_attempts 0 retries forever.
+    reconnect: { initial_delay_ms: 1000, max_delay_ms: 60000, multiplier: 2, jitter: 0.2, max_attempts: 0 },
+    // Application-level keepalive: `message` is sent every interval_ms while open. 0 turns it off.
+    heartbeat: { interval_ms: 0, message: null },
+    // A connection with no frame for feed_after_ms is 'Stalled', and is reopened after
+    // reconnect_after_ms (0 = never). A table with no update for table_after_ms is stalled too.
+    stale: { feed_after_ms: 30000, reconnect_after_ms: 0, table_after_ms: 180000 },
+};
+
+/**
+ * The options editable on the options page, keyed by path, with their bounds (same shape as
+ * SETTING_FIELDS in settings.js). All are numbers except the `text` ones.
+ */
+const CONNECTION_OPTION_FIELDS = {
+    'reconnect.initial_delay_ms': { label: 'First retry delay (ms)', integer: true, min: 100 },
+    'reconnect.max_delay_ms': { label: 'Longest retry delay (ms)', integer: true, min: 100 },
+    'reconnect.multiplier': { label: 'Retry delay multiplier', min: 1 },
+    'reconnect.jitter': { label: 'Retry delay jitter (fraction)', min: 0, max: 1 },
+    'reconnect.max_attempts': { label: 'Retries before giving up (0 = never)', integer: true, min: 0 },
+    'heartbeat.interval_ms': { label: 'Keepalive interval (ms, 0 = off)', integer: true, min: 0 },
+    'heartbeat.message': { label: 'Keepalive message', text: true },
+    'stale.feed_after_ms': { label: 'Feed stalled after (ms)', integer: true, min: 1000 },
+    'stale.reconnect_after_ms': { label: 'Reopen stalled feed after (ms, 0 = never)', integer: true, min: 0 },
+    'stale.table_after_ms': { label: 'Table stalled after (ms)', integer: true, min: 1000 },
+};
+
+/**
+ * Merges the built-in options, the stored defaults and a connection's own options.
+ * @param {...?object} layers - Partial options, lowest precedence first.
+ * @returns {object} Complete options.
+ */
+function resolveConnectionOptions(...layers) {
+    const options = {};
+    for (const group in DEFAULT_CONNECTION_OPTIONS) {
+        options[group] = Object.assign({}, DEFAULT_CONNECTION_OPTIONS[group], ...layers.map(layer => (layer && layer[group]) || {}));
+    }
+    return options;
+}
+
+/**
+ * The delay before the given retry: exponential in the attempt number, capped and jittered.
+ * @param {object} policy - The `reconnect` options.
+ * @param {number} attempt - 1 for the first retry.
+ * @param {function(): number} [random=Math.random]
+ * @returns {number} Milliseconds.
+ */
+function computeBackoffDelay(policy, attempt, random = Math.random) {
+    const base = Math.min(policy.max_delay_ms, policy.initial_delay_ms * Math.pow(policy.multiplier, attempt - 1));
+    return Math.round(base * (1 + policy.jitter * (2 * random() - 1)));
+}
+
+/**
+ * @param {string} connectionName
+ * @param {string} tableId - The table id as the feed reports it.
+ * @returns {string} The namespaced table id.
+ */
+function namespaceTableId(connectionName, tableId) {
+    return `${connectionName}${TABLE_NAMESPACE_SEPARATOR}${tableId}`;
+}
+
+/**
+ * @param {string} tableId - A namespaced (or plain) table id.
+ * @returns {string} The table id without its connection name.
+ */
+function baseTableId(tableId) {
+    const index = tableId.indexOf(TABLE_NAMESPACE_SEPARATOR);
+    return index === -1 ? tableId : tableId.slice(index + 1);
+}
+
+/**
+ * A connection name for a feed URL when the user does not give one: the host name, followed by
+ * the path unless it is '/', so several feeds on one host each get their own connection
+ * ('live.example.com/lobby/ws'). The name only depends on the URL, so a feed's tables keep
+ * their namespace from one session to the next.
+ * @param {string} wsUrl
+ * @returns {string}
+ */
+function defaultConnectionName(wsUrl) {
+    try {
+        const url = new URL(wsUrl);
+        if (!url.hostname) return DEFAULT_CONNECTION_NAME;
+        // The separator cannot appear in a connection name (see namespaceTableId()).
+        return (url.hostname + url.pathname.replace(/\/+$/, '')).split(TABLE_NAMESPACE_SEPARATOR).join('_');
+    } catch (e) {
+        return DEFAULT_CONNECTION_NAME;
+    }
+}
+
+/**
+ * Formats a connection health duration (uptime, time since the last message) for display.
+ * @param {number} ms
+ * @returns {string} e.g. '42s', '5m 3s' or '2h 15m'.
+ */
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds / 60) % 60}m`;
+}
+
+class FeedConnection {
+    /**
+     * @param {string} name - Unique connection name, used as the table namespace.
+     * @param {object} config - { wsUrl, targetUrl, cookieName, adapter, decoder }, plus any of the
+     *     DEFAULT_CONNECTION_OPTIONS groups to override them for this connection.
+     * @param {object} handlers
+     * @param {function((string|ArrayBuffer), FeedConnection)} handlers.onFrame - Called with each received frame.
+     * @param {function(FeedConnection)} handlers.onStatus - Called whenever the status changes.
+     * @param {function(FeedConnection)} [handlers.onOpen] - Called when the socket opens.
+     * @param {function(FeedConnection, string, boolean)} [handlers.onTableStall] - Called when a
+     *     table stops receiving updates (true) and when it receives one again (false).
+     * @param {object} [defaults] - Stored connection options, under the config's own.
+     */
+    constructor(name, config, handlers, defaults) {
+        this.name = name;
+        this.config = { ...config, name: name };
+        this.handlers = handlers;
+        this.options = resolveConnectionOptions(defaults, this.config);
+        this.ws = null;
+        this.reconnectTimeout = null;
+        this.heartbeatInterval = null;
+        this.active = false; // Whether the connection should be (re)opened
+        this.status = { text: 'Idle', color: '#777777' };
+        this.health = { connected_at: null, last_message_at: null, reconnects: 0, attempts: 0 };
+        this.tableUpdates = new Map(); // tableId -> time of its last update
+        this.stalledTables = new Set();
+        this.script = null; // The running OnOpenScript (profiles.js), managed by the background script
+    }
+
+    isOpen() {
+        return !!(this.ws && this.ws.readyState === WebSocket.OPEN);
+    }
+
+    setStatus(text, color) {
+        this.status = { text, color };
+        this.handlers.onStatus(this);
+    }
+
+    /**
+     * @param {object} [defaults] - New stored options; they apply from the next (re)connect.
+     */
+    setDefaults(defaults) {
+        this.options = resolveConnectionOptions(defaults, this.config);
+    }
+
+    connect() {
+        this.active = true;
+        if (this.ws) return;
+        if (this.reconnectTimeout) clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+        this.setStatus("Connecting...", "#4285f4");
+
+        chrome.cookies.get({ url: this.config.targetUrl, name: this.config.cookieName }, (cookie) => {
+            if (!this.active || this.ws) return;
+            if (!cookie) {
+                console.error(`[${this.name}] Cookie '${this.config.cookieName}' not found for domain '${this.config.targetUrl}'.`);
+                this.scheduleReconnect("No Cookie");
+                return;
+            }
+            const ws = this.ws = new WebSocket(this.config.wsUrl);
+            ws.binaryType = 'arraybuffer'; // Binary frames are decoded (and recorded) as bytes
+            ws.onopen = () => {
+                this.health.connected_at = this.health.last_message_at = Date.now();
+                this.health.attempts = 0;
+                this.startHeartbeat();
+                this.setStatus("Connected", "#0f9d58");
+                if (this.handlers.onOpen) this.handlers.onOpen(this);
+            };
+            ws.onmessage = (event) => {
+                this.health.last_message_at = Date.now();
+                if (this.status.text === "Stalled") this.setStatus("Connected", "#0f9d58");
+                this.handlers.onFrame(event.data, this);
+            };
+            ws.onclose = () => {
+                this.ws = null;
+                this.health.connected_at = null;
+                this.stopHeartbeat();
+                if (!this.active) return;
+                this.health.reconnects++;
+                this.scheduleReconnect("Reconnecting");
+            };
+            ws.onerror = (error) => {
+                console.error(`[${this.name}] WebSocket error:`, error);
+                this.setStatus("Error", "#db4437");
+            };
+        });
+    }
+
+    /**
+     * Retries after the next backoff delay, or gives up once the attempts are used up.
+     * @param {string} reason - The status shown while waiting.
+     */
+    scheduleReconnect(reason) {
+        const policy = this.options.reconnect;
+        this.health.attempts++;
+        if (policy.max_attempts > 0 && this.health.attempts > policy.max_attempts) {
+            console.error(`[${this.name}] Giving up after ${policy.max_attempts} attempt(s).`);
+            this.active = false;
+            this.setStatus("Gave Up", "#db4437");
+            return;
+        }
+        const delay = computeBackoffDelay(policy, this.health.attempts);
+        console.log(`[${new Date().toISOString()}] [${this.name}] Retry ${this.health.attempts} in ${delay}ms.`);
+        this.setStatus(reason, "#f4b400");
+        this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null;
+            this.connect();
+        }, delay);
+    }
+
+    startHeartbeat() {
+        const heartbeat = this.options.heartbeat;
+        this.stopHeartbeat();
+        if (heartbeat.interval_ms > 0 && !heartbeat.message) {
+            console.warn(`[${this.name}] Keepalive interval set without a keepalive message; no keepalive is sent.`);
+        } else if (heartbeat.interval_ms > 0) {
+            this.heartbeatInterval = setInterval(() => this.send(heartbeat.message), heartbeat.interval_ms);
+        }
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
+        this.heartbeatInterval = null;
+    }
+
+    /**
+     * Records an update for one of this connection's tables, clearing its stalled state.
+     * @param {string} tableId - The namespaced table id.
+     */
+    touchTable(tableId) {
+        this.tableUpdates.set(tableId, Date.now());
+        if (this.stalledTables.delete(tableId) && this.handlers.onTableStall) this.handlers.onTableStall(this, tableId, false);
+    }
+
+    /**
+     * Marks the feed and its tables stalled when they have been quiet for too long, and reopens
+     * a feed that stays quiet past stale.reconnect_after_ms.
+     * @param {number} now
+     */
+    checkHealth(now) {
+        const stale = this.options.stale;
+        if (this.isOpen()) {
+            const quietFor = now - this.health.last_message_at;
+            if (stale.reconnect_after_ms > 0 && quietFor > stale.reconnect_after_ms) {
+                console.error(`[${this.name}] No frames for ${quietFor}ms, reopening the socket.`);
+                this.ws.close(); // onclose schedules the reconnect
+                return;
+            }
+            if (quietFor > stale.feed_after_ms && this.status.text === "Connected") this.setStatus("Stalled", "#f4b400");
+        }
+        for (const [tableId, updatedAt] of this.tableUpdates) {
+            if (now - updatedAt > stale.table_after_ms && !this.stalledTables.has(tableId)) {
+                this.stalledTables.add(tableId);
+                if (this.handlers.onTableStall) this.handlers.onTableStall(this, tableId, true);
+            }
+        }
+    }
+
+    /**
+     * Closes the socket and stops reconnecting.
+     */
+    disconnect() {
+        this.active = false;
+        if (this.reconnectTimeout) clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+        this.stopHeartbeat();
+        if (this.ws) {
+            this.ws.onclose = null; // Prevent reconnect logic from firing on manual disconnect
+            this.ws.close();
+            this.ws = null;
+        }
+        this.health.connected_at = null;
+        this.setStatus("Disconnected", "#db4437");
+    }
+
+    /**
+     * @param {string} data
+     * @returns {boolean} Whether the message was sent.
+     */
+    send(data) {
+        if (!this.isOpen()) return false;
+        this.ws.send(data);
+        return true;
+    }
+
+    /**
+     * @param {number} [now=Date.now()]
+     * @returns {object} The connection's name, URL, adapter, status and health metrics.
+     */
+    describe(now = Date.now()) {
+        return {
+            name: this.name,
+            wsUrl: this.config.wsUrl,
+            adapter: this.config.adapter || DEFAULT_FEED_ADAPTER_ID,
+            decoder: this.config.decoder || DEFAULT_FRAME_DECODER_ID,
+            status: this.status.text,
+            color: this.status.color,
+            open: this.isOpen(),
+            health: {
+                uptime_ms: this.health.connected_at !== null ? now - this.health.connected_at : null,
+                last_message_age_ms: this.health.last_message_at !== null ? now - this.health.last_message_at : null,
+                reconnects: this.health.reconnects,
+                attempts: this.health.attempts,
+                stalled_tables: [...this.stalledTables],
+            },
+        };
+    }
+}
+
+class ConnectionManager {
+    /**
+     * @param {object} handlers - Passed to every FeedConnection (see its constructor).
+     * @param {function(ConnectionManager)} [handlers.onHealth] - Called after every health check.
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.connections = new Map();
+        this.lastConfigs = {}; // name -> config, so a removed connection can be reopened by name
+        this.defaults = {}; // Stored connection options ('connectionOptions')
+        this.healthInterval = null;
+    }
+
+    /**
+     * @param {object} defaults - The stored connection options, applied to every connection.
+     */
+    setDefaults(defaults) {
+        this.defaults = defaults || {};
+        this.list().forEach(connection => connection.setDefaults(this.defaults));
+    }
+
+    /**
+     * Opens a connection, replacing any open connection with the same name.
+     * @param {string} name
+     * @param {object} config
+     * @returns {FeedConnection}
+     */
+    open(name, config) {
+        this.close(name);
+        const connection = new FeedConnection(name, config, this.handlers, this.defaults);
+        this.connections.set(name, connection);
+        this.lastConfigs[name] = connection.config;
+        connection.connect();
+        if (!this.healthInterval) this.healthInterval = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL_MS);
+        return connection;
+    }
+
+    /**
+     * Disconnects and forgets a connection.
+     * @param {string} name
+     * @returns {boolean} Whether the connection existed.
+     */
+    close(name) {
+        const connection = this.connections.get(name);
+        if (!connection) return false;
+        connection.disconnect();
+        this.connections.delete(name);
+        if (this.connections.size === 0 && this.healthInterval) {
+            clearInterval(this.healthInterval);
+            this.healthInterval = null;
+        }
+        this.handlers.onStatus(connection);
+        return true;
+    }
+
+    checkHealth() {
+        const now = Date.now();
+        this.list().forEach(connection => connection.checkHealth(now));
+        if (this.handlers.onHealth) this.handlers.onHealth(this);
+    }
+
+    closeAll() {
+        [...this.connections.keys()].forEach(name => this.close(name));
+    }
+
+    get(name) {
+        return this.connections.get(name) || null;
+    }
+
+    list() {
+        return [...this.connections.values()];
+    }
+
+    /**
+     * @returns {number} How many connections are open.
+     */
+    openCount() {
+        return this.list().filter(connection => connection.isOpen()).length;
+    }
+
+    /**
+     * @returns {object[]} Each connection's describe(), for the popup and the dashboard.
+     */
+    describe() {
+        const now = Date.now();
+        return this.list().map(connection => connection.describe(now));
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * decision-history.js
+ *
+ * Keeps the most recent round logs and shoe summaries in chrome.storage, so they can be
+ * exported from the popup (see export-format.js) without the desktop app. Records have the
+ * same shape as the desktop app's history (history-store.js):
+ *   { type: 'round', tableId, shoeKey, round, receivedAt, log }
+ *   { type: 'summary', tableId, shoeKey, receivedAt, report }
+ * The oldest records are dropped beyond DECISION_HISTORY_LIMIT.
+ *
+ * Records are stored in chunks of DECISION_HISTORY_CHUNK_RECORDS under
+ * `${DECISION_HISTORY_CHUNK_PREFIX}${n}`, with the range of chunks kept under
+ * DECISION_HISTORY_INDEX_KEY. A flush only writes the chunks that gained records, and the
+ * oldest chunks are removed once the newer ones hold DECISION_HISTORY_LIMIT records.
+ */
+
+const DECISION_HISTORY_INDEX_KEY = 'decisionHistoryIndex';
+const DECISION_HISTORY_CHUNK_PREFIX = 'decisionHistory:';
+const DECISION_HISTORY_LEGACY_KEY = 'decisionHistory'; // All records in one array, as stored by earlier versions
+const DECISION_HISTORY_CHUNK_RECORDS = 250;
+const DECISION_HISTORY_LIMIT = 5000;
+const DECISION_HISTORY_FLUSH_DELAY_MS = 2000;
+
+function decisionHistoryChunkKey(index) {
+    return `${DECISION_HISTORY_CHUNK_PREFIX}${index}`;
+}
+
+class DecisionHistory {
+    /**
+     * @param {number} [limit=DECISION_HISTORY_LIMIT] - The number of records kept.
+     */
+    constructor(limit = DECISION_HISTORY_LIMIT) {
+        this.limit = limit;
+        this.records = [];
+        this.unsaved = []; // Records not written to a chunk yet
+        this.firstChunk = 0; // The oldest stored chunk
+        this.chunkIndex = 0; // The chunk being filled
+        this.chunk = []; // Its records
+        this.loaded = false;
+        this.flushTimeout = null;
+    }
+
+    /**
+     * Loads the stored records. Records added before the load finishes are kept after them.
+     * @returns {Promise<void>}
+     */
+    load() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get([DECISION_HISTORY_INDEX_KEY, DECISION_HISTORY_LEGACY_KEY], (result) => {
+                const index = result[DECISION_HISTORY_INDEX_KEY];
+                if (!index) {
+                    // Nothing stored yet, or records stored whole by an earlier version: rewrite them as chunks.
+                    const legacy = Array.isArray(result[DECISION_HISTORY_LEGACY_KEY]) ? result[DECISION_HISTORY_LEGACY_KEY] : [];
+                    this.records = legacy.concat(this.records).slice(-this.limit);
+                    this.unsaved = this.records.slice();
+                    this.loaded = true;
+                    this.flush();
+                    if (result[DECISION_HISTORY_LEGACY_KEY] !== undefined) chrome.storage.local.remove(DECISION_HISTORY_LEGACY_KEY);
+                    resolve();
+                    return;
+                }
+                const keys = [];
+                for (let i = index.first; i <= index.next; i++) keys.push(decisionHistoryChunkKey(i));
+                chrome.storage.local.get(keys, (chunks) => {
+                    this.firstChunk = index.first;
+                    this.chunkIndex = index.next;
+                    this.chunk = chunks[decisionHistoryChunkKey(index.next)] || [];
+                    this.records = keys.flatMap(key => chunks[key] || []).concat(this.records).slice(-this.limit);
+                    this.loaded = true;
+                    if (this.unsaved.length > 0) this.flush();
+                    resolve();
+                });
+            });
+        });
+    }
+
+    /**
+     * @param {string} tableId
+     * @param {string} shoeKey
+     * @param {object} log - The round's strategy_update payload. The roads and the outcome string
+     *     are left out; they can be rebuilt from the shoe's rounds.
+     */
+    recordRound(tableId, shoeKey, log) {
+        const { roads, outcomes, ...kept } = log;
+        this.add({ type: 'round', tableId: tableId, shoeKey: shoeKey, round: log.round, receivedAt: new Date().toISOString(), log: kept });
+    }
+
+    /**
+     * @param {string} tableId
+     * @param {string} shoeKey
+     * @param {object} report - The shoe_summary payload.
+     */
+    recordSummary(tableId, shoeKey, report) {
+        this.add({ type: 'summary', tableId: tableId, shoeKey: shoeKey, receivedAt: new Date().toISOString(), report: report });
+    }
+
+    add(record) {
+        this.records.push(record);
+        this.unsaved.push(record);
+        if (this.records.length > this.limit) this.records.splice(0, this.records.length - this.limit);
+        this.scheduleFlush();
+    }
+
+    /**
+     * @returns {string[]} The table ids with records, sorted.
+     */
+    listTables() {
+        return [...new Set(this.records.map(record => record.tableId))].sort();
+    }
+
+    clear() {
+        if (this.flushTimeout) clearTimeout(this.flushTimeout);
+        this.flushTimeout = null;
+        const keys = [];
+        for (let i = this.firstChunk; i <= this.chunkIndex; i++) keys.push(decisionHistoryChunkKey(i));
+        this.records = [];
+        this.unsaved = [];
+        this.chunk = [];
+        this.firstChunk = this.chunkIndex = 0;
+        chrome.storage.local.remove(keys);
+        chrome.storage.local.set({ [DECISION_HISTORY_INDEX_KEY]: { first: 0, next: 0 } });
+    }
+
+    /**
+     * Saves the records shortly after the last change, batching bursts of rounds.
+     */
+    scheduleFlush() {
+        if (this.flushTimeout) return;
+        this.flushTimeout = setTimeout(() => this.flush(), DECISION_HISTORY_FLUSH_DELAY_MS);
+    }
+
+    /**
+     * Writes the unsaved records to their chunks. Waits for load(), which flushes once done.
+     */
+    flush() {
+        if (this.flushTimeout) clearTimeout(this.flushTimeout);
+        this.flushTimeout = null;
+        if (!this.loaded || this.unsaved.length === 0) return;
+        const changes = {};
+        for (const record of this.unsaved) {
+            this.chunk.push(record);
+            changes[decisionHistoryChunkKey(this.chunkIndex)] = this.chunk;
+            if (this.chunk.length >= DECISION_HISTORY_CHUNK_RECORDS) {
+                this.chunkIndex++;
+                this.chunk = [];
+            }
+        }
+        this.unsaved = [];
+        // Every chunk before the one being filled is full.
+        let stored = (this.chunkIndex - this.firstChunk) * DECISION_HISTORY_CHUNK_RECORDS + this.chunk.length;
+        const stale = [];
+        while (stored - DECISION_HISTORY_CHUNK_RECORDS >= this.limit) {
+            stale.push(decisionHistoryChunkKey(this.firstChunk++));
+            stored -= DECISION_HISTORY_CHUNK_RECORDS;
+        }
+        changes[DECISION_HISTORY_INDEX_KEY] = { first: this.firstChunk, next: this.chunkIndex };
+        chrome.storage.local.set(changes, () => {
+            if (stale.length > 0) chrome.storage.local.remove(stale);
+        });
+    }
+}
@@ -0,0 +1,376 @@
+/**
+ * decoders.js
+ *
+ * Turns raw WebSocket frames into the parsed messages the feed adapters read.
+ * - Binary frames (ArrayBuffer, typed arrays or Blobs) are read as bytes; gzip and zlib (deflate)
+ *   payloads are recognized by their headers and inflated with DecompressionStream.
+ * - The frame decoder then parses the payload: JSON text, MessagePack, or Engine.IO/Socket.IO
+ *   packets ('42["event",{...}]'), whose event arguments become the message.
+ * Each connection picks a decoder by id ('auto' detects the format per frame).
+ *
+ * A decoded frame is { data, text, event, replies, encodings, error }:
+ *   data      - the parsed message, or null if there is none (control packets, parse errors)
+ *   text      - the payload as text, when it was text
+ *   event     - the Socket.IO event name, if any
+ *   replies   - packets to send back on the connection (Engine.IO pongs and the namespace connect)
+ *   encodings - the layers removed, e.g. ['gzip', 'msgpack']
+ *   error     - why the payload could not be parsed, if it could not
+ *
+ * Loaded by the service worker (importScripts) and the popup.
+ */
+
+const DEFAULT_FRAME_DECODER_ID = 'auto';
+const FRAME_DECODERS = {};
+
+/**
+ * Adds a decoder to the registry, replacing any decoder with the same id.
+ * @param {object} decoder
+ * @param {string} decoder.id - Stable identifier, stored in connection configs.
+ * @param {string} decoder.label - Name shown in the popup.
+ * @param {function((string|Uint8Array), object): object} decoder.decode - Parses a (decompressed)
+ *     payload into the decoded frame it is given, and returns it.
+ */
+function registerFrameDecoder(decoder) {
+    FRAME_DECODERS[decoder.id] = decoder;
+}
+
+/**
+ * @param {string} [id] - The decoder id. Unknown or missing ids fall back to the 'auto' decoder.
+ * @returns {object} The decoder.
+ */
+function getFrameDecoder(id) {
+    return FRAME_DECODERS[id] || FRAME_DECODERS[DEFAULT_FRAME_DECODER_ID];
+}
+
+/**
+ * @returns {{id: string, label: string}[]} The registered decoders, for selection lists.
+ */
+function listFrameDecoders() {
+    return Object.values(FRAME_DECODERS).map(decoder => ({ id: decoder.id, label: decoder.label }));
+}
+
+/**
+ * Decodes one received frame.
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob} rawData - The frame as the WebSocket delivered it.
+ * @param {string} [decoderId] - The connection's decoder.
+ * @returns {Promise<object>} The decoded frame (see the file comment).
+ */
+async function decodeFrame(rawData, decoderId) {
+    const decoded = { data: null, text: null, event: null, replies: [], encodings: [], error: null };
+    let payload = await readFramePayload(rawData);
+    if (payload instanceof Uint8Array) {
+        const format = detectCompression(payload);
+        if (format) {
+            try {
+                payload = await decompressBytes(payload, format);
+                decoded.encodings.push(format);
+            } catch (e) {
+                decoded.error = `Failed to inflate ${format} payload: ${e.message}`;
+                return decoded;
+            }
+        }
+    }
+    try {
+        return getFrameDecoder(decoderId).decode(payload, decoded);
+    } catch (e) {
+        decoded.error = e.message;
+        if (decoded.text === null && typeof payload === 'string') decoded.text = payload;
+        return decoded;
+    }
+}
+
+/**
+ * @returns {Promise<string|Uint8Array>} Text frames as strings, binary frames as bytes.
+ */
+async function readFramePayload(rawData) {
+    if (typeof rawData === 'string') return rawData;
+    if (rawData instanceof ArrayBuffer) return new Uint8Array(rawData);
+    if (ArrayBuffer.isView(rawData)) return new Uint8Array(rawData.buffer, rawData.byteOffset, rawData.byteLength);
+    if (typeof Blob !== 'undefined' && rawData instanceof Blob) return new Uint8Array(await rawData.arrayBuffer());
+    return String(rawData);
+}
+
+/**
+ * Recognizes a gzip header (1f 8b) or a zlib header (CMF 0x78 with a valid check value).
+ * Raw deflate has no header and is not detected.
+ * @param {Uint8Array} bytes
+ * @returns {?string} 'gzip', 'deflate' or null.
+ */
+function detectCompression(bytes) {
+    if (bytes.length < 2) return null;
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+    if (bytes[0] === 0x78 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) return 'deflate';
+    return null;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} format - 'gzip', 'deflate' or 'deflate-raw'.
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompressBytes(bytes, format) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads bytes as UTF-8 text if they are valid UTF-8 without control characters
+ * (other than whitespace); binary formats such as MessagePack fail this.
+ * @param {Uint8Array} bytes
+ * @returns {?string}
+ */
+function bytesAsText(bytes) {
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        return null;
+    }
+    return /[\u0000-\u0008\u000b\u000c\u000e-\u001f]/.test(text) ? null : text;
+}
+
+function payloadText(payload) {
+    if (typeof payload === 'string') return payload;
+    const text = bytesAsText(payload);
+    if (text === null) throw new Error(`Binary payload (${payload.length} bytes) is not text.`);
+    return text;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// --- MessagePack ---
+
+/**
+ * Decodes one MessagePack value. Binary values become Uint8Arrays, the timestamp extension
+ * (type -1) a Date, and other extensions { type, data }. 64-bit integers outside the safe
+ * integer range lose precision.
+ * @param {Uint8Array} bytes
+ * @returns {*}
+ * @throws {Error} If the bytes are not exactly one MessagePack value.
+ */
+function decodeMsgpack(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const textDecoder = new TextDecoder('utf-8');
+    let offset = 0;
+
+    const need = (length) => {
+        if (offset + length > bytes.length) throw new Error('Truncated MessagePack data.');
+    };
+    const readBytes = (length) => {
+        need(length);
+        const slice = bytes.subarray(offset, offset + length);
+        offset += length;
+        return slice;
+    };
+    const readUint = (size) => {
+        need(size);
+        let value;
+        if (size === 1) value = view.getUint8(offset);
+        else if (size === 2) value = view.getUint16(offset);
+        else if (size === 4) value = view.getUint32(offset);
+        else value = Number(view.getBigUint64(offset));
+        offset += size;
+        return value;
+    };
+    const readInt = (size) => {
+        need(size);
+        let value;
+        if (size === 1) value = view.getInt8(offset);
+        else if (size === 2) value = view.getInt16(offset);
+        else if (size === 4) value = view.getInt32(offset);
+        else value = Number(view.getBigInt64(offset));
+        offset += size;
+        return value;
+    };
+    const readArray = (length) => {
+        const array = [];
+        for (let i = 0; i < length; i++) array.push(readValue());
+        return array;
+    };
+    const readMap = (length) => {
+        const map = {};
+        for (let i = 0; i < length; i++) {
+            const key = readValue();
+            map[key] = readValue();
+        }
+        return map;
+    };
+    const readExt = (length) => {
+        const type = readInt(1);
+        const data = readBytes(length);
+        if (type === -1) return decodeMsgpackTimestamp(data);
+        return { type: type, data: data };
+    };
+    const readValue = () => {
+        const byte = readUint(1);
+        if (byte <= 0x7f) return byte;
+        if (byte <= 0x8f) return readMap(byte & 0x0f);
+        if (byte <= 0x9f) return readArray(byte & 0x0f);
+        if (byte <= 0xbf) return textDecoder.decode(readBytes(byte & 0x1f));
+        if (byte >= 0xe0) return byte - 0x100;
+        switch (byte) {
+            case 0xc0: return null;
+            case 0xc2: return false;
+            case 0xc3: return true;
+            case 0xc4: return readBytes(readUint(1)).slice();
+            case 0xc5: return readBytes(readUint(2)).slice();
+            case 0xc6: return readBytes(readUint(4)).slice();
+            case 0xc7: return readExt(readUint(1));
+            case 0xc8: return readExt(readUint(2));
+            case 0xc9: return readExt(readUint(4));
+            case 0xca: need(4); offset += 4; return view.getFloat32(offset - 4);
+            case 0xcb: need(8); offset += 8; return view.getFloat64(offset - 8);
+            case 0xcc: return readUint(1);
+            case 0xcd: return readUint(2);
+            case 0xce: return readUint(4);
+            case 0xcf: return readUint(8);
+            case 0xd0: return readInt(1);
+            case 0xd1: return readInt(2);
+            case 0xd2: return readInt(4);
+            case 0xd3: return readInt(8);
+            case 0xd4: return readExt(1);
+            case 0xd5: return readExt(2);
+            case 0xd6: return readExt(4);
+            case 0xd7: return readExt(8);
+            case 0xd8: return readExt(16);
+            case 0xd9: return textDecoder.decode(readBytes(readUint(1)));
+            case 0xda: return textDecoder.decode(readBytes(readUint(2)));
+            case 0xdb: return textDecoder.decode(readBytes(readUint(4)));
+            case 0xdc: return readArray(readUint(2));
+            case 0xdd: return readArray(readUint(4));
+            case 0xde: return readMap(readUint(2));
+            case 0xdf: return readMap(readUint(4));
+            default: throw new Error(`Invalid MessagePack byte 0x${byte.toString(16)} at offset ${offset - 1}.`);
+        }
+    };
+
+    const value = readValue();
+    if (offset !== bytes.length) throw new Error(`Unexpected ${bytes.length - offset} byte(s) after the MessagePack value.`);
+    return value;
+}
+
+function decodeMsgpackTimestamp(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (data.length === 4) return new Date(view.getUint32(0) * 1000);
+    if (data.length === 8) {
+        // 30-bit nanoseconds, then 34-bit seconds
+        const high = view.getUint32(0);
+        const seconds = (high & 0x3) * 0x100000000 + view.getUint32(4);
+        return new Date(seconds * 1000 + Math.floor((high >>> 2) / 1e6));
+    }
+    if (data.length === 12) return new Date(Number(view.getBigInt64(4)) * 1000 + Math.floor(view.getUint32(0) / 1e6));
+    return { type: -1, data: data };
+}
+
+// --- Engine.IO / Socket.IO ---
+
+const ENGINE_IO_PACKETS = { '0': 'open', '1': 'close', '2': 'ping', '3': 'pong', '4': 'message', '5': 'upgrade', '6': 'noop' };
+const SOCKET_IO_PACKETS = { '0': 'connect', '1': 'disconnect', '2': 'event', '3': 'ack', '4': 'connect_error', '5': 'binary_event', '6': 'binary_ack' };
+
+/**
+ * Parses an Engine.IO packet and the Socket.IO packet it carries.
+ * Pings are answered with a pong, and the open packet with a connect to the default namespace,
+ * as a Socket.IO client would. An event's arguments become the message: the single argument
+ * itself, or the array of arguments if there are several. Binary attachments of binary events
+ * are not reassembled; their placeholders are passed on as they are.
+ * @param {string} text
+ * @param {object} decoded - The decoded frame to fill in.
+ * @returns {object} The decoded frame.
+ */
+function decodeSocketIoPacket(text, decoded) {
+    const engineType = ENGINE_IO_PACKETS[text[0]];
+    if (!engineType) throw new Error(`Not an Engine.IO packet: '${text.slice(0, 20)}'.`);
+    decoded.encodings.push('socket.io');
+    const body = text.slice(1);
+    if (engineType === 'ping') {
+        decoded.replies.push('3' + body); // Echo the payload, e.g. the '2probe' upgrade check
+        return decoded;
+    }
+    if (engineType === 'open') {
+        decoded.replies.push('40');
+        return decoded;
+    }
+    if (engineType !== 'message') return decoded;
+
+    const socketType = SOCKET_IO_PACKETS[body[0]];
+    if (!socketType) {
+        // A plain Engine.IO message without Socket.IO framing
+        decoded.data = JSON.parse(body);
+        return decoded;
+    }
+    // <type>[<attachments>-][/<namespace>,][<ack id>]<JSON payload>
+    const match = /^\d(?:\d+-)?(?:(\/[^,]*),)?(\d*)([\s\S]*)$/.exec(body);
+    const json = match[3];
+    if (socketType === 'event' || socketType === 'binary_event') {
+        const args = JSON.parse(json);
+        if (!Array.isArray(args) || args.length === 0) throw new Error('Socket.IO event without a name.');
+        decoded.event = String(args[0]);
+        decoded.data = args.length === 2 ? args[1] : args.slice(1);
+    } else if (socketType === 'ack' || socketType === 'binary_ack') {
+        const args = JSON.parse(json);
+        decoded.data = Array.isArray(args) && args.length === 1 ? args[0] : args;
+    } else if (socketType === 'connect_error') {
+        decoded.error = `Socket.IO connect error: ${json}`;
+    }
+    return decoded;
+}
+
+// --- Built-in decoders ---
+
+registerFrameDecoder({
+    id: 'auto',
+    label: 'Auto-detect',
+    decode(payload, decoded) {
+        const text = typeof payload === 'string' ? payload : bytesAsText(payload);
+        if (text === null) return getFrameDecoder('msgpack').decode(payload, decoded);
+        // Engine.IO packets start with their type digit; JSON messages with '{' or '['.
+        if (/^[0-6]/.test(text)) {
+            decoded.text = text;
+            return decodeSocketIoPacket(text, decoded);
+        }
+        return getFrameDecoder('json').decode(text, decoded);
+    },
+});
+
+registerFrameDecoder({
+    id: 'json',
+    label: 'JSON text',
+    decode(payload, decoded) {
+        decoded.text = payloadText(payload);
+        decoded.data = JSON.parse(decoded.text);
+        return decoded;
+    },
+});
+
+registerFrameDecoder({
+    id: 'msgpack',
+    label: 'MessagePack',
+    decode(payload, decoded) {
+        if (typeof payload === 'string') throw new Error('MessagePack frames must be binary.');
+        decoded.data = decodeMsgpack(payload);
+        decoded.encodings.push('msgpack');
+        return decoded;
+    },
+});
+
+registerFrameDecoder({
+    id: 'socketio',
+    label: 'Socket.IO / Engine.IO',
+    decode(payload, decoded) {
+        decoded.text = payloadText(payload);
+        return decodeSocketIoPacket(decoded.text, decoded);
+    },
+});
@@ -0,0 +1,315 @@
+/**
+ * alerts.js
+ *
+ * User-defined alert rules for the desktop app, evaluated in the main process on the messages
+ * from the extension and on the native connection state. A rule that matches fires a native
+ * notification and/or a sound (played by the renderer), unless its table is muted or the rule
+ * fired for that table too recently.
+ *
+ * The rules are stored in <userData>/alerts.json:
+ *   {
+ *     version: 1,
+ *     rules: [{
+ *       id: 'high-confidence',      // Unique; used for rate limiting
+ *       event: 'confidence_cross',  // A key of ALERT_EVENTS
+ *       threshold: 0.95,            // confidence_cross only (0-1)
+ *       direction: 'up',            // confidence_cross only: 'up' or 'down'
+ *       tables: [],                 // Only these tables (namespaced or bare ids); empty for all
+ *       notify: true, sound: false,
+ *       cooldown_ms: 60000,         // Per table; 0 fires every time
+ *       enabled: true            // Optional; false turns the rule off
+ *     }],
+ *     muted_tables: ['lobby-a:bac1'],
+ *     max_per_minute: 10            // Across all rules, so a burst cannot flood the desktop
+ *   }
+ */
+const fs = require('fs');
+const path = require('path');
+const log = require('electron-log');
+
+const ALERTS_FILE = 'alerts.json';
+const ALERTS_VERSION = 1;
+const DEFAULT_COOLDOWN_MS = 60000;
+const RATE_WINDOW_MS = 60000;
+const CONNECTION_EVENT_KEY = '*'; // Rate-limit key for events that belong to no table
+
+const DEFAULT_ALERT_CONFIG = {
+  version: ALERTS_VERSION,
+  rules: [
+    { id: 'high-confidence', event: 'confidence_cross', threshold: 0.95, direction: 'up', tables: [], notify: true, sound: false, cooldown_ms: DEFAULT_COOLDOWN_MS, enabled: true },
+    { id: 'bet', event: 'bet_decision', tables: [], notify: true, sound: true, cooldown_ms: 0, enabled: true },
+    { id: 'adaptive-stop', event: 'adaptive_stop', tables: [], notify: true, sound: true, cooldown_ms: DEFAULT_COOLDOWN_MS, enabled: true },
+    { id: 'connection-lost', event: 'connection_lost', tables: [], notify: true, sound: true, cooldown_ms: DEFAULT_COOLDOWN_MS, enabled: true },
+    { id: 'new-shoe', event: 'new_shoe', tables: [], notify: false, sound: false, cooldown_ms: 0, enabled: true },
+  ],
+  muted_tables: [],
+  max_per_minute: 10,
+};
+
+const SIDE_NAMES = { B: 'BANKER', P: 'PLAYER', T: 'TIE' };
+
+/**
+ * The events a rule can watch. Each one compares a table's new update with the previous one
+ * (`previous` is null for a table's first update) and returns the alert text, or null.
+ * Connection events get the new and previous native connection states instead.
+ * @type {Object<string, {label: string, source: string, check: function}>}
+ */
+const ALERT_EVENTS = {
+  confidence_cross: {
+    label: 'Confidence crosses a threshold',
+    source: 'table',
+    check: (rule, update, previous) => {
+      if (!previous || previous.confidence === null || update.confidence === null) return null;
+      const up = rule.direction !== 'down';
+      const crossed = up
+        ? previous.confidence < rule.threshold && update.confidence >= rule.threshold
+        : previous.confidence >= rule.threshold && update.confidence < rule.threshold;
+      if (!crossed) return null;
+      return `Confidence ${up ? 'rose above' : 'fell below'} ${(rule.threshold * 100).toFixed(1)}%: now ${(update.confidence * 100).toFixed(1)}% (round ${update.round}).`;
+    },
+  },
+  bet_decision: {
+    label: 'A table starts a BET decision',
+    source: 'table',
+    check: (rule, update, previous) => {
+      if (update.stake <= 0 || (previous && previous.stake > 0 && previous.shoeKey === update.shoeKey)) return null;
+      return `BET ${SIDE_NAMES[update.betOn] || update.betOn} (${update.stake} units) for round ${update.round + 1}.`;
+    },
+  },
+  adaptive_stop: {
+    label: 'ADAPTIVE STOP fired',
+    source: 'table',
+    check: (rule, update, previous) => {
+      if (!update.stopped || (previous && previous.stopped && previous.shoeKey === update.shoeKey)) return null;
+      return `${update.reason} (round ${update.round}).`;
+    },
+  },
+  new_shoe: {
+    label: 'New shoe detected',
+    source: 'table',
+    check: (rule, update, previous) => {
+      if (!previous || previous.shoeKey === update.shoeKey) return null;
+      return `New shoe ${update.shoeKey}.`;
+    },
+  },
+  feed_stalled: {
+    label: 'A table stopped updating',
+    source: 'table',
+    check: (rule, update, previous) => (update.stalled && !(previous && previous.stalled) ? 'No updates from the feed for this table.' : null),
+  },
+  connection_lost: {
+    label: 'Native connection went to disconnected',
+    source: 'connection',
+    check: (rule, state, previousState) => {
+      if (previousState !== 'connected' || (state !== 'disconnected' && state !== 'terminated')) return null;
+      return `The extension stopped sending data (${state}).`;
+    },
+  },
+};
+
+/**
+ * Checks an alert configuration.
+ * @param {*} config
+ * @returns {string[]} One message per problem; empty if valid.
+ */
+function validateAlertConfig(config) {
+  if (!config || typeof config !== 'object') return ['The alert configuration must be an object.'];
+  const errors = [];
+  if (!Array.isArray(config.rules)) errors.push("'rules' must be a list.");
+  const ids = new Set();
+  for (const [index, rule] of (Array.isArray(config.rules) ? config.rules : []).entries()) {
+    const label = rule && typeof rule.id === 'string' && rule.id ? rule.id : `rules[${index}]`;
+    if (!rule || typeof rule.id !== 'string' || !rule.id) { errors.push(`rules[${index}]: missing 'id'.`); continue; }
+    if (ids.has(rule.id)) errors.push(`${label}: duplicate id.`);
+    ids.add(rule.id);
+    if (!ALERT_EVENTS[rule.event]) errors.push(`${label}: unknown event '${rule.event}' (one of ${Object.keys(ALERT_EVENTS).join(', ')}).`);
+    if (rule.event === 'confidence_cross' && !(typeof rule.threshold === 'number' && rule.threshold > 0 && rule.threshold < 1)) {
+      errors.push(`${label}: 'threshold' must be between 0 and 1.`);
+    }
+    if (rule.direction !== undefined && rule.direction !== 'up' && rule.direction !== 'down') errors.push(`${label}: 'direction' must be 'up' or 'down'.`);
+    if (rule.tables !== undefined && !(Array.isArray(rule.tables) && rule.tables.every(id => typeof id === 'string'))) errors.push(`${label}: 'tables' must be a list of table ids.`);
+    if (rule.cooldown_ms !== undefined && !(Number.isFinite(rule.cooldown_ms) && rule.cooldown_ms >= 0)) errors.push(`${label}: 'cooldown_ms' must be a number of milliseconds.`);
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') errors.push(`${label}: 'enabled' must be true or false.`);
+    if (!rule.notify && !rule.sound) errors.push(`${label}: enable 'notify', 'sound' or both.`);
+  }
+  if (config.muted_tables !== undefined && !(Array.isArray(config.muted_tables) && config.muted_tables.every(id => typeof id === 'string'))) {
+    errors.push("'muted_tables' must be a list of table ids.");
+  }
+  if (config.max_per_minute !== undefined && !(Number.isInteger(config.max_per_minute) && config.max_per_minute > 0)) {
+    errors.push("'max_per_minute' must be a positive whole number.");
+  }
+  return errors;
+}
+
+/**
+ * @param {string} tableId A namespaced table id ('connection:table').
+ * @param {string[]} ids Namespaced or bare table ids.
+ * @returns {boolean}
+ */
+function tableMatches(tableId, ids) {
+  return ids.includes(tableId) || ids.includes(tableId.slice(tableId.indexOf(':') + 1));
+}
+
+class AlertEngine {
+  /**
+   * @param {string} dir Where alerts.json is kept, e.g. app.getPath('userData').
+   * @param {function(object)} onAlert Receives each alert that fires: { ruleId, event, tableId, title, body, notify, sound, at }.
+   */
+  constructor(dir, onAlert) {
+    this.file = path.join(dir, ALERTS_FILE);
+    this.onAlert = onAlert;
+    this.config = DEFAULT_ALERT_CONFIG;
+    this.tables = new Map(); // tableId -> the fields of its last update the events compare
+    this.connectionState = null;
+    this.lastFired = new Map(); // `${ruleId}\n${tableId}` -> time
+    this.recent = []; // Times of the alerts fired in the last RATE_WINDOW_MS
+  }
+
+  /**
+   * Loads the rules, falling back to the defaults if the file is missing or invalid.
+   */
+  load() {
+    try {
+      const config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const errors = validateAlertConfig(config);
+      if (errors.length > 0) throw new Error(errors.join(' '));
+      this.config = config;
+    } catch (e) {
+      if (e.code !== 'ENOENT') log.warn(`Alert rules unusable (${e.message}), using the defaults.`);
+      this.config = DEFAULT_ALERT_CONFIG;
+    }
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * Validates and saves new rules.
+   * @param {object} config
+   * @returns {{ok: boolean, error?: string}}
+   */
+  setConfig(config) {
+    const errors = validateAlertConfig(config);
+    if (errors.length > 0) return { ok: false, error: errors.join('\n') };
+    this.config = { ...config, version: ALERTS_VERSION };
+    this.save();
+    return { ok: true };
+  }
+
+  /**
+   * Mutes or unmutes every alert for a table.
+   * @param {string} tableId
+   * @param {boolean} muted
+   * @returns {string[]} The muted tables.
+   */
+  setTableMuted(tableId, muted) {
+    const mutedTables = new Set(this.config.muted_tables || []);
+    if (muted) mutedTables.add(tableId);
+    else mutedTables.delete(tableId);
+    this.config = { ...this.config, muted_tables: [...mutedTables] };
+    this.save();
+    return this.config.muted_tables;
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(this.config, null, 2));
+      fs.renameSync(`${this.file}.tmp`, this.file);
+    } catch (e) {
+      log.error('Failed to save alert rules:', e.message);
+    }
+  }
+
+  /**
+   * Evaluates the table rules on a message from the extension. Messages from a session replay
+   * are ignored and leave the tables' last updates as they were, so the live feed resuming
+   * compares with live updates only.
+   * @param {object} message The native message ({ type, payload, replayed, ... }).
+   */
+  handleMessage(message) {
+    if (!message || !message.payload || message.replayed) return;
+    let tableId, fields;
+    if (message.type === 'strategy_update') {
+      const { tableId: id, round, shoeKey, confidence, decision } = message.payload;
+      tableId = id;
+      fields = {
+        shoeKey: shoeKey,
+        round: round,
+        confidence: typeof confidence === 'number' && Number.isFinite(confidence) ? confidence : null,
+        stake: decision ? decision.stake : 0,
+        betOn: decision ? decision.betOn : null,
+        reason: decision ? decision.reason : '',
+        stopped: !!decision && decision.reason.startsWith('ADAPTIVE STOP'),
+      };
+    } else if (message.type === 'strategy_no_data') {
+      tableId = message.payload.tableId;
+      fields = { shoeKey: message.payload.shoeKey, round: 0, confidence: null, stake: 0, betOn: null, reason: '', stopped: false };
+    } else if (message.type === 'table_status') {
+      tableId = message.payload.tableId;
+      const previous = this.tables.get(tableId);
+      if (!previous) return;
+      fields = { ...previous, stalled: message.payload.stalled };
+    } else {
+      return;
+    }
+    if (!tableId) return;
+
+    const previous = this.tables.get(tableId) || null;
+    const update = { stalled: false, ...fields };
+    this.tables.set(tableId, update);
+    for (const rule of this.config.rules) {
+      const event = ALERT_EVENTS[rule.event];
+      if (rule.enabled === false || event.source !== 'table') continue;
+      if (rule.tables && rule.tables.length > 0 && !tableMatches(tableId, rule.tables)) continue;
+      const body = event.check(rule, update, previous);
+      if (body) this.fire(rule, tableId, body);
+    }
+  }
+
+  /**
+   * Evaluates the connection rules on a native connection state change.
+   * @param {string} state 'waiting', 'connected', 'disconnected' or 'terminated'.
+   */
+  handleConnectionState(state) {
+    const previous = this.connectionState;
+    this.connectionState = state;
+    for (const rule of this.config.rules) {
+      const event = ALERT_EVENTS[rule.event];
+      if (rule.enabled === false || event.source !== 'connection') continue;
+      const body = event.check(rule, state, previous);
+      if (body) this.fire(rule, null, body);
+    }
+  }
+
+  /**
+   * Sends an alert unless its table is muted or it is rate limited.
+   */
+  fire(rule, tableId, body, now = Date.now()) {
+    if (tableId && tableMatches(tableId, this.config.muted_tables || [])) return;
+    const key = `${rule.id}\n${tableId || CONNECTION_EVENT_KEY}`;
+    const cooldown = rule.cooldown_ms !== undefined ? rule.cooldown_ms : DEFAULT_COOLDOWN_MS;
+    if (this.lastFired.has(key) && now - this.lastFired.get(key) < cooldown) return;
+    this.recent = this.recent.filter(time => now - time < RATE_WINDOW_MS);
+    if (this.recent.length >= (this.config.max_per_minute || DEFAULT_ALERT_CONFIG.max_per_minute)) {
+      log.warn(`Alert '${rule.id}' for ${tableId || 'the connection'} dropped: more than ${this.config.max_per_minute} alerts in a minute.`);
+      return;
+    }
+    this.lastFired.set(key, now);
+    this.recent.push(now);
+    const alert = {
+      ruleId: rule.id,
+      event: rule.event,
+      tableId: tableId,
+      title: tableId ? `${tableId}: ${ALERT_EVENTS[rule.event].label}` : ALERT_EVENTS[rule.event].label,
+      body: body,
+      notify: !!rule.notify,
+      sound: !!rule.sound,
+      at: new Date(now).toISOString(),
+    };
+    log.info(`Alert '${rule.id}': ${alert.title} – ${body}`);
+    this.onAlert(alert);
+  }
+}
+
+module.exports = { AlertEngine, ALERT_EVENTS, DEFAULT_ALERT_CONFIG, validateAlertConfig };
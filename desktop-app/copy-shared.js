@@ -0,0 +1,26 @@
+/**
+ * copy-shared.js
+ *
+ * Copies the extension's scripts that the renderer shares with it into desktop-app/shared/, so
+ * the app loads them from its own directory and still has them when packaged on its own.
+ * Runs on `npm install` (prepare) and before `npm start`; run it again after changing them.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+const SHARED_DIR = path.join(__dirname, 'shared');
+const SHARED_SCRIPTS = ['connections.js', 'roads.js', 'export-format.js'];
+
+fs.mkdirSync(SHARED_DIR, { recursive: true });
+for (const script of SHARED_SCRIPTS) {
+  const source = path.join(EXTENSION_DIR, script);
+  const target = path.join(SHARED_DIR, script);
+  if (fs.existsSync(source)) {
+    fs.copyFileSync(source, target);
+  } else if (!fs.existsSync(target)) {
+    // Outside a source checkout the copies made before packaging are all there is.
+    console.error(`Missing ${script}: not found in ${EXTENSION_DIR} and not copied before.`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * history-store.js
+ *
+ * Append-only history of round logs and shoe summaries for the desktop app.
+ * Each shoe is stored in its own JSONL file under <userData>/history/<table>/<shoe>.jsonl,
+ * and index.json lists every table and shoe so the history view can browse them without
+ * reading the shoe files. If the index is missing or unreadable it is rebuilt from the files.
+ */
+const fs = require('fs');
+const path = require('path');
+const log = require('electron-log');
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+const INDEX_SAVE_DELAY_MS = 1000;
+
+class HistoryStore {
+  /**
+   * @param {string} dir The history directory, e.g. path.join(app.getPath('userData'), 'history').
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.index = { version: INDEX_VERSION, tables: {} };
+    this.saveTimer = null;
+    this.lastRounds = {}; // tableId -> the shoe, round and outcomes of the last round stored
+  }
+
+  /**
+   * Creates the history directory and loads (or rebuilds) the index.
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    try {
+      const index = JSON.parse(fs.readFileSync(path.join(this.dir, INDEX_FILE), 'utf8'));
+      if (index.version !== INDEX_VERSION) throw new Error(`unsupported index version ${index.version}`);
+      this.index = index;
+    } catch (e) {
+      if (e.code !== 'ENOENT') log.warn(`History index unusable (${e.message}), rebuilding.`);
+      this.rebuildIndex();
+    }
+  }
+
+  /**
+   * Stores a message from the extension if it carries history: round logs and shoe summaries.
+   * Messages from a session replay are not history and are skipped.
+   * @param {object} message The native message ({ type, payload, replayed, ... }).
+   */
+  recordMessage(message) {
+    if (!message || !message.payload || message.replayed) return;
+    try {
+      if (message.type === 'strategy_update') {
+        // The shoe-wide fields grow with the shoe; they can be rebuilt from the shoe's rounds.
+        const { roads, outcomes, round_points, round_logs, ...log } = message.payload;
+        const { tableId, shoeKey, round } = log;
+        // The extension re-sends its last update on every feed message, also without a new round.
+        // A revised round has the same number but different outcomes, so it is still stored.
+        const last = this.lastRounds[tableId];
+        if (last && last.shoeKey === shoeKey && last.round === round && last.outcomes === outcomes) return;
+        this.lastRounds[tableId] = { shoeKey: shoeKey, round: round, outcomes: outcomes };
+        const receivedAt = new Date().toISOString();
+        // A message that applied several rounds (catching up) carries the earlier ones' logs.
+        for (const earlier of round_logs || []) {
+          this.append(tableId, shoeKey, { type: 'round', round: earlier.round, receivedAt: receivedAt, log: earlier });
+        }
+        this.append(tableId, shoeKey, { type: 'round', round: round, receivedAt: receivedAt, log: log });
+      } else if (message.type === 'shoe_summary') {
+        this.append(message.tableId, message.shoeKey, { type: 'summary', receivedAt: new Date().toISOString(), report: message.payload });
+      }
+    } catch (e) {
+      log.error('Failed to store history record:', e.message);
+    }
+  }
+
+  append(tableId, shoeKey, record) {
+    if (!tableId) return;
+    const key = shoeKey || 'unknown';
+    fs.mkdirSync(path.join(this.dir, fileName(tableId)), { recursive: true });
+    fs.appendFileSync(this.shoeFile(tableId, key), JSON.stringify(record) + '\n');
+    this.updateIndex(tableId, key, record);
+    this.scheduleSave();
+  }
+
+  updateIndex(tableId, shoeKey, record) {
+    const table = this.index.tables[tableId] || (this.index.tables[tableId] = { shoes: {} });
+    const shoe = table.shoes[shoeKey] || (table.shoes[shoeKey] = {
+      shoeKey: shoeKey,
+      startedAt: record.receivedAt,
+      updatedAt: record.receivedAt,
+      rounds: 0,
+      netProfit: null,
+      finished: false,
+    });
+    shoe.updatedAt = record.receivedAt;
+    if (record.type === 'round') {
+      // A revised shoe is replayed from round 1, so keep the highest round seen.
+      shoe.rounds = Math.max(shoe.rounds, record.round || 0);
+      shoe.netProfit = record.log.net_profit;
+    } else if (record.type === 'summary') {
+      shoe.finished = true;
+    }
+    table.updatedAt = record.receivedAt;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), INDEX_SAVE_DELAY_MS);
+  }
+
+  /**
+   * Writes the index now. The write goes through a temporary file so a crash cannot leave a partial index.
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const file = path.join(this.dir, INDEX_FILE);
+    try {
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.index));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+      log.error('Failed to save history index:', e.message);
+    }
+  }
+
+  /**
+   * Rebuilds the index by reading every shoe file.
+   */
+  rebuildIndex() {
+    this.index = { version: INDEX_VERSION, tables: {} };
+    for (const tableDir of readDir(this.dir)) {
+      if (!fs.statSync(path.join(this.dir, tableDir)).isDirectory()) continue;
+      for (const shoeFile of readDir(path.join(this.dir, tableDir))) {
+        if (!shoeFile.endsWith('.jsonl')) continue;
+        const tableId = decodeURIComponent(tableDir);
+        const shoeKey = decodeURIComponent(shoeFile.slice(0, -'.jsonl'.length));
+        for (const record of readRecords(path.join(this.dir, tableDir, shoeFile))) {
+          this.updateIndex(tableId, shoeKey, record);
+        }
+      }
+    }
+    this.flush();
+    log.info(`History index rebuilt: ${Object.keys(this.index.tables).length} tables.`);
+  }
+
+  /**
+   * @returns {object[]} Tables with their shoe counts, most recently updated first.
+   */
+  listTables() {
+    return Object.keys(this.index.tables)
+      .map(tableId => {
+        const table = this.index.tables[tableId];
+        return { tableId: tableId, shoes: Object.keys(table.shoes).length, updatedAt: table.updatedAt };
+      })
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * @param {string} tableId
+   * @returns {object[]} The table's shoes, most recent first.
+   */
+  listShoes(tableId) {
+    const table = this.index.tables[tableId];
+    if (!table) return [];
+    return Object.values(table.shoes).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * Reads one shoe's history.
+   * @param {string} tableId
+   * @param {string} shoeKey
+   * @returns {?{tableId: string, shoeKey: string, rounds: object[], summary: ?object}} The round logs in round
+   *     order (a revised round keeps its latest log) and the shoe summary, or null if the shoe is unknown.
+   */
+  getShoe(tableId, shoeKey) {
+    const table = this.index.tables[tableId];
+    if (!table || !table.shoes[shoeKey]) return null;
+    const rounds = new Map();
+    let summary = null;
+    for (const record of readRecords(this.shoeFile(tableId, shoeKey))) {
+      if (record.type === 'round') rounds.set(record.round, record.log);
+      else if (record.type === 'summary') summary = record.report;
+    }
+    return {
+      tableId: tableId,
+      shoeKey: shoeKey,
+      rounds: [...rounds.keys()].sort((a, b) => a - b).map(round => rounds.get(round)),
+      summary: summary,
+    };
+  }
+
+  /**
+   * Reads the records of every stored shoe that overlaps a time range, for export (see export-format.js).
+   * @param {object} [filter]
+   * @param {string} [filter.tableId] Only this table.
+   * @param {number} [filter.from] Milliseconds since the epoch.
+   * @param {number} [filter.to] Milliseconds since the epoch.
+   * @returns {object[]} The shoes' records, each with its tableId and shoeKey. Records outside the
+   *     range are left to the exporter, which also drops superseded round logs.
+   */
+  queryRecords(filter = {}) {
+    const records = [];
+    const tableIds = filter.tableId ? [filter.tableId] : Object.keys(this.index.tables);
+    for (const tableId of tableIds) {
+      const table = this.index.tables[tableId];
+      if (!table) continue;
+      for (const shoe of Object.values(table.shoes)) {
+        if (filter.from != null && Date.parse(shoe.updatedAt) < filter.from) continue;
+        if (filter.to != null && Date.parse(shoe.startedAt) > filter.to) continue;
+        for (const record of readRecords(this.shoeFile(tableId, shoe.shoeKey))) {
+          records.push({ ...record, tableId: tableId, shoeKey: shoe.shoeKey });
+        }
+      }
+    }
+    return records;
+  }
+
+  shoeFile(tableId, shoeKey) {
+    return path.join(this.dir, fileName(tableId), `${fileName(shoeKey)}.jsonl`);
+  }
+}
+
+/**
+ * Table ids and shoe keys come from the feed, so they are encoded before being used as file names
+ * (dots included, so an id like '..' cannot leave the history directory).
+ */
+function fileName(id) {
+  return encodeURIComponent(String(id)).replace(/\./g, '%2E');
+}
+
+function readDir(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Reads a JSONL file, skipping a truncated last line left by a crash.
+ */
+function readRecords(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return [];
+  }
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      log.warn(`Skipping unreadable history line in ${file}.`);
+    }
+  }
+  return records;
+}
+
+module.exports = { HistoryStore };
@@ -2,9 +2,11 @@
  * Main process for the Electron desktop app.
  * Handles window creation and native messaging communication with the Chrome extension.
  */
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, ipcMain, Notification } = require('electron');
 const path = require('path');
 const log = require('electron-log');
+const { HistoryStore } = require('./history-store');
+const { AlertEngine } = require('./alerts');
 
 
 // Configure logging to a file and disable console output to prevent EPIPE errors.
@@ -15,6 +17,11 @@ log.info('App starting...');
 let mainWindow;
 let connectionState = 'waiting'; // states: waiting, connected, disconnected, terminated
 let watchdogTimer = null;
+let historyStore = null;
+let alertEngine = null;
+let nextCommandId = 1;
+const pendingCommands = new Map(); // command id -> { resolve, timer, acknowledged }
+const COMMAND_TIMEOUT_MS = 10000;
 
 /**
  * Updates the connection state and notifies the renderer process.
@@ -25,6 +32,7 @@ function updateConnectionState(newState) {
 
   connectionState = newState;
   log.info(`Connection state changed to: ${newState}`);
+  if (alertEngine) alertEngine.handleConnectionState(newState);
   if (mainWindow && !mainWindow.isDestroyed()) {
     mainWindow.webContents.send('connection-status-changed', newState);
   }
@@ -79,9 +87,88 @@ function sendToChrome(message) {
     }
 }
 
+/**
+ * Opens the round/shoe history and answers the history view's queries.
+ */
+function setupHistory() {
+  historyStore = new HistoryStore(path.join(app.getPath('userData'), 'history'));
+  historyStore.open();
+
+  ipcMain.handle('history:list-tables', () => historyStore.listTables());
+  ipcMain.handle('history:list-shoes', (event, tableId) => historyStore.listShoes(tableId));
+  ipcMain.handle('history:get-shoe', (event, tableId, shoeKey) => historyStore.getShoe(tableId, shoeKey));
+  ipcMain.handle('history:get-records', (event, filter) => historyStore.queryRecords(filter));
+}
+
+/**
+ * Loads the alert rules and answers the dashboard's alert settings requests.
+ * Notifications are shown from here; sounds are played by the renderer.
+ */
+function setupAlerts() {
+  alertEngine = new AlertEngine(app.getPath('userData'), (alert) => {
+    if (alert.notify && Notification.isSupported()) {
+      new Notification({ title: alert.title, body: alert.body, silent: true }).show();
+    }
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('alert-fired', alert);
+  });
+  alertEngine.load();
+
+  ipcMain.handle('alerts:get-config', () => alertEngine.getConfig());
+  ipcMain.handle('alerts:set-config', (event, config) => alertEngine.setConfig(config));
+  ipcMain.handle('alerts:set-table-muted', (event, tableId, muted) => alertEngine.setTableMuted(tableId, muted));
+}
+
+/**
+ * Sends a dashboard command to the extension and waits for its result.
+ * @param {string} command The command name (see NATIVE_COMMANDS in the extension's background.js).
+ * @param {object} args The command arguments.
+ * @returns {Promise<object>} { ok, result } or { ok: false, error }; never rejects.
+ */
+function sendCommand(command, args) {
+  const id = String(nextCommandId++);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      const pending = pendingCommands.get(id);
+      pendingCommands.delete(id);
+      const error = pending && pending.acknowledged
+        ? 'The extension accepted the command but did not finish it in time.'
+        : 'No answer from the extension.';
+      log.warn(`Command ${id} (${command}) timed out.`);
+      resolve({ ok: false, error: error });
+    }, COMMAND_TIMEOUT_MS);
+    pendingCommands.set(id, { resolve, timer, acknowledged: false });
+    sendToChrome({ type: 'command', id: id, command: command, args: args || {} });
+  });
+}
+
+/**
+ * Settles pending commands from the extension's command_ack / command_result messages.
+ * @param {object} message
+ * @returns {boolean} True if the message belonged to the command channel.
+ */
+function handleCommandReply(message) {
+  if (message.type !== 'command_ack' && message.type !== 'command_result') return false;
+  const pending = pendingCommands.get(message.id);
+  if (!pending) {
+    log.warn(`Reply for unknown or expired command ${message.id}.`);
+    return true;
+  }
+  if (message.type === 'command_ack') {
+    pending.acknowledged = true;
+    return true;
+  }
+  clearTimeout(pending.timer);
+  pendingCommands.delete(message.id);
+  pending.resolve(message.ok ? { ok: true, result: message.result } : { ok: false, error: message.error });
+  return true;
+}
+
 // --- App Lifecycle Events ---
 
 app.whenReady().then(() => {
+  setupHistory();
+  setupAlerts();
+  ipcMain.handle('command', (event, command, args) => sendCommand(command, args));
   createWindow();
 
   app.on('activate', () => {
@@ -135,6 +222,9 @@ app.whenReady().then(() => {
       try {
         const message = JSON.parse(messageContent.toString());
         log.info(`[${new Date().toISOString()}] Received message from Chrome: ${JSON.stringify(message)}`);
+        if (handleCommandReply(message)) continue;
+        historyStore.recordMessage(message);
+        alertEngine.handleMessage(message);
         if (mainWindow && !mainWindow.isDestroyed()) {
           // Send the parsed message to the renderer process for display.
           mainWindow.webContents.send('ws-message', message);
@@ -154,6 +244,10 @@ app.whenReady().then(() => {
   });
 });
 
+app.on('will-quit', () => {
+  if (historyStore) historyStore.flush();
+});
+
 app.on('window-all-closed', () => {
   log.info('All windows closed.');
   // Quit when all windows are closed, except on macOS.
@@ -15,5 +15,25 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onWsMessage: (callback) => ipcRenderer.on('ws-message', (event, ...args) => callback(...args)),
 
   // Also expose the connection status channel
-  onConnectionStatusChanged: (callback) => ipcRenderer.on('connection-status-changed', (event, ...args) => callback(...args))
+  onConnectionStatusChanged: (callback) => ipcRenderer.on('connection-status-changed', (event, ...args) => callback(...args)),
+
+  // Sends a command to the extension; resolves to { ok, result } or { ok: false, error }
+  sendCommand: (command, args) => ipcRenderer.invoke('command', command, args),
+
+  // Read-only access to the stored round and shoe history
+  history: {
+    listTables: () => ipcRenderer.invoke('history:list-tables'),
+    listShoes: (tableId) => ipcRenderer.invoke('history:list-shoes', tableId),
+    getShoe: (tableId, shoeKey) => ipcRenderer.invoke('history:get-shoe', tableId, shoeKey),
+    // Raw records for export: { tableId, from, to } with times in ms since the epoch
+    getRecords: (filter) => ipcRenderer.invoke('history:get-records', filter)
+  },
+
+  // Alert rules (see alerts.js) and the alerts that fire
+  alerts: {
+    getConfig: () => ipcRenderer.invoke('alerts:get-config'),
+    setConfig: (config) => ipcRenderer.invoke('alerts:set-config', config),
+    setTableMuted: (tableId, muted) => ipcRenderer.invoke('alerts:set-table-muted', tableId, muted),
+    onAlert: (callback) => ipcRenderer.on('alert-fired', (event, ...args) => callback(...args))
+  }
 });
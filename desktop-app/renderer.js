@@ -6,6 +6,26 @@
 // --- DOM Elements ---
 const logContainer = document.getElementById('log-container');
 const connectionStatusSpan = document.getElementById('connection-status');
+const historyContainer = document.getElementById('history-container');
+const historyToggle = document.getElementById('history-toggle');
+
+const commandStatusSpan = document.getElementById('command-status');
+const feedHealthSpan = document.getElementById('feed-health');
+const strategyEditor = document.getElementById('strategy-editor');
+const strategyConfigText = document.getElementById('strategy-config-text');
+const alertEditor = document.getElementById('alert-editor');
+const alertConfigText = document.getElementById('alert-config-text');
+const alertStatusSpan = document.getElementById('alert-status');
+
+// Tables paused from the dashboard, kept in sync with the extension's get_status
+let pausedTables = new Set();
+// Tables whose alerts are muted (see alerts.js)
+let mutedTables = new Set();
+
+// Per-table series of the current shoe's round logs, for the card charts.
+// { [tableId]: { shoeKey, points: [{ round, outcome, confidence, posterior_b, p_b_star, net_profit }] } }
+const tableSeries = {};
+const BEAD_PLATE_ROWS = 6;
 
 /**
  * Creates or updates a dashboard card for a specific table.
@@ -25,6 +45,7 @@ function createOrUpdateDashboardCard(logData) {
         card.className = 'card';
         logContainer.appendChild(card); // ALWAYS APPEND TO THE BOTTOM
     }
+    const series = updateTableSeries(logData);
 
     // --- Determine UI states ---
     const confidenceValue = confidence * 100;
@@ -32,8 +53,10 @@ function createOrUpdateDashboardCard(logData) {
     const isBlocked = !isBet && (decision.reason !== 'Confidence too low');
 
     let actionClass, actionText, riskText, riskIcon;
-    let betOnSide = decision.betOn === 'B' ? 'BANKER' : 'PLAYER';
-    let betOnColorClass = decision.betOn === 'B' ? 'bet-banker' : 'bet-player';
+    const sideNames = { B: 'BANKER', P: 'PLAYER', T: 'TIE' };
+    const sideColorClasses = { B: 'bet-banker', P: 'bet-player', T: 'bet-tie' };
+    let betOnSide = sideNames[decision.betOn];
+    let betOnColorClass = sideColorClasses[decision.betOn];
 
     if (isBet) {
         actionClass = 'bet-yes';
@@ -80,20 +103,215 @@ function createOrUpdateDashboardCard(logData) {
                 <span>${riskIcon} ${riskText}</span>
                 <span></span>
             </div>
+            <div class="card-charts">
+                ${renderLineChart('Confidence', series.points, [{ key: 'confidence', color: '#ffeb3b' }], { min: 0, max: 1 })}
+                ${renderLineChart('P(B) vs break-even', series.points, [{ key: 'posterior_b', color: 'var(--bet-banker-color)' }, { key: 'p_b_star', color: '#888', dashed: true }])}
+                ${renderLineChart('Net profit', series.points, [{ key: 'net_profit', color: '#4caf50' }], { zero: true })}
+            </div>
+            ${renderBeadPlate(logData.outcomes || series.points.map(point => point.outcome).join(''))}
+            ${logData.outcomes !== undefined ? renderRoads(logData.outcomes, logData.roads) : ''}
+            ${renderTableControls(tableId)}
             <div class="details-toggle" onclick="toggleDetails('${tableId}')">Show Details ▼</div>
             <div class="details-panel" id="details-${tableId}">
                 <div class="stat"><strong>Last Outcome:</strong> ${outcome}</div>
+                ${logData.variant ? `<div class="stat"><strong>Variant:</strong> ${logData.variant}</div>` : ''}
                 <div class="stat"><strong>Net Profit:</strong> ${net_profit.toFixed(2)} units</div>
+                ${logData.bankroll !== undefined ? `<div class="stat"><strong>Bankroll:</strong> ${logData.bankroll.toFixed(2)} units</div>` : ''}
+                ${decision.stake_policy ? `<div class="stat"><strong>Stake Policy:</strong> ${formatStakePolicy(decision.stake_policy)}</div>` : ''}
                 <div class="stat"><strong>Strict Signal:</strong> ${analysis.strict_signal ? 'YES' : 'NO'}</div>
                 <div class="stat"><strong>SPRT Decision:</strong> ${analysis.sprt_state.decision}</div>
                 <div class="stat"><strong>CUSUM Sum:</strong> ${analysis.cusum_sum.toFixed(2)}</div>
+                ${analysis.changepoint ? `<div class="stat"><strong>Change-Point Probability:</strong> ${(analysis.changepoint.change_probability * 100).toFixed(1)}% within ${analysis.changepoint.window} hands, ${(analysis.changepoint.shoe_change_probability * 100).toFixed(1)}% in the shoe${analysis.changepoint.restarted ? `, posterior restarted ${analysis.changepoint.segment_length} hands ago` : ''}</div>` : ''}
                 <div class="stat"><strong>P(B*):</strong> ${logData.p_b_star.toFixed(3)}</div>
+                ${logData.predictive ? `<div class="stat"><strong>Next Hand:</strong> ${Object.keys(logData.predictive).map(side => `${side} ${(logData.predictive[side] * 100).toFixed(1)}%`).join(' / ')}</div>` : ''}
+                ${logData.sides ? Object.keys(logData.sides).map(side => formatSideStat(sideNames[side], logData.sides[side])).join('') : ''}
+                ${logData.composition ? formatCompositionStat(logData.composition) : ''}
                 <div class="stat"><strong>Posterior Mean (B):</strong> ${logData.posterior_mean.B.toFixed(3)}</div>
+                ${logData.variants ? Object.keys(logData.variants).map(name => formatVariantStat(name, logData.variants[name], sideNames)).join('') : ''}
             </div>
         </div>
     `;
 }
 
+/**
+ * Adds an update's rounds to its table's series: every round the update applied (its
+ * round_points), or just its own round. A new shoe starts a new series, and a revised shoe
+ * (rounds replayed from an earlier round) drops the points being replaced.
+ * @param {object} logData A strategy_update payload.
+ * @returns {object} The table's series.
+ */
+function updateTableSeries(logData) {
+    let series = tableSeries[logData.tableId];
+    if (!series || series.shoeKey !== logData.shoeKey) {
+        series = tableSeries[logData.tableId] = { shoeKey: logData.shoeKey, points: [] };
+    }
+    const points = logData.round_points && logData.round_points.length > 0 ? logData.round_points : [{
+        round: logData.round,
+        outcome: logData.outcome,
+        confidence: logData.confidence,
+        posterior_b: logData.posterior_mean.B,
+        p_b_star: logData.p_b_star,
+        net_profit: logData.net_profit,
+    }];
+    series.points = series.points.filter(point => point.round < points[0].round);
+    series.points.push(...points);
+    return series;
+}
+
+/**
+ * Renders a small SVG line chart of one or more series over the shoe's rounds.
+ * @param {string} title The chart label.
+ * @param {object[]} points The series points, each with a `round`.
+ * @param {{key: string, color: string, dashed: boolean}[]} lines The point fields to plot.
+ * @param {{min: number, max: number, zero: boolean}} [range] A fixed y range; by default it fits the data
+ *     (including 0 when `zero` is set).
+ * @returns {string} The chart markup.
+ */
+function renderLineChart(title, points, lines, range = {}) {
+    const width = 240, height = 60;
+    const values = points.flatMap(point => lines.map(line => point[line.key])).filter(Number.isFinite);
+    if (range.zero) values.push(0);
+    let min = range.min !== undefined ? range.min : Math.min(...values);
+    let max = range.max !== undefined ? range.max : Math.max(...values);
+    if (!(max > min)) { min -= 0.5; max += 0.5; }
+    const lastRound = points.length > 0 ? points[points.length - 1].round : 1;
+    const x = round => (lastRound > 1 ? ((round - 1) / (lastRound - 1)) * width : width / 2);
+    const y = value => height - ((Math.min(Math.max(value, min), max) - min) / (max - min)) * height;
+
+    const paths = lines.map(line => {
+        const coords = points.filter(point => Number.isFinite(point[line.key])).map(point => `${x(point.round).toFixed(1)},${y(point[line.key]).toFixed(1)}`);
+        return coords.length > 0
+            ? `<polyline points="${coords.join(' ')}" fill="none" stroke="${line.color}" stroke-width="1.5" ${line.dashed ? 'stroke-dasharray="4 3"' : ''}/>`
+            : '';
+    }).join('');
+    const zeroLine = range.zero ? `<line x1="0" x2="${width}" y1="${y(0)}" y2="${y(0)}" stroke="#555" stroke-width="1"/>` : '';
+    const last = points.length > 0 ? points[points.length - 1][lines[0].key] : null;
+
+    return `
+        <div class="chart">
+            <div class="chart-title"><span>${title}</span><span>${Number.isFinite(last) ? last.toFixed(3) : ''}</span></div>
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${zeroLine}${paths}</svg>
+        </div>
+    `;
+}
+
+/**
+ * Renders the shoe's outcomes as a bead plate: columns of six, filled top to bottom, left to right.
+ * @param {string} outcomes The shoe's outcomes in order, e.g. 'BPPBT'.
+ * @returns {string} The bead plate markup.
+ */
+function renderBeadPlate(outcomes) {
+    const beadClasses = { B: 'bead-banker', P: 'bead-player', T: 'bead-tie' };
+    const columns = Math.max(Math.ceil(outcomes.length / BEAD_PLATE_ROWS), 1);
+    const beads = outcomes.split('').map(outcome => `<span class="bead ${beadClasses[outcome] || ''}">${outcome}</span>`);
+    return `<div class="bead-plate" style="grid-template-columns: repeat(${columns}, 18px);">${beads.join('')}</div>`;
+}
+
+/**
+ * Renders a table card's command buttons.
+ * @param {string} tableId
+ * @returns {string}
+ */
+function renderTableControls(tableId) {
+    const paused = pausedTables.has(tableId);
+    const muted = mutedTables.has(tableId);
+    return `
+        <div class="table-controls">
+            ${paused ? '<span class="table-paused">⏸ PAUSED</span>' : ''}
+            <button onclick="sendTableCommand('${paused ? 'resume_table' : 'pause_table'}', '${tableId}')">${paused ? 'Resume' : 'Pause'}</button>
+            <button onclick="sendTableCommand('reset_table', '${tableId}', { scope: 'shoe' })">Reset Shoe</button>
+            <button onclick="sendTableCommand('reset_table', '${tableId}', { scope: 'priors' })">Reset Priors</button>
+            <button onclick="setTableMuted('${tableId}', ${!muted})">${muted ? 'Unmute Alerts' : 'Mute Alerts'}</button>
+        </div>
+    `;
+}
+
+/**
+ * Renders the Big Road and the derived roads (computed with roads.js), plus what each derived
+ * road would show after a Banker or a Player win.
+ * @param {string} outcomes The shoe's outcomes in order.
+ * @param {?object} summary The road summary from the update (summarizeRoads()).
+ * @returns {string} The roads markup.
+ */
+function renderRoads(outcomes, summary) {
+    const roads = computeRoads(outcomes);
+    const placeCells = (cells, render) => cells
+        .map(cell => `<span class="road-cell ${render(cell.item)}" style="grid-row: ${cell.row + 1}; grid-column: ${cell.col + 1};">${cell.text || ''}</span>`)
+        .join('');
+    const bigRoadCells = layoutRoad(roads.big_road.columns).map(cell => ({ ...cell, text: cell.item.ties > 0 ? `<span class="road-ties">${cell.item.ties}</span>` : '' }));
+    const derivedRoadNames = { big_eye_boy: 'Big Eye Boy', small_road: 'Small Road', cockroach_pig: 'Cockroach Pig' };
+    const derived = Object.keys(derivedRoadNames).map(name => `
+        <div>
+            <div class="road-title">${derivedRoadNames[name]}</div>
+            <div class="road road-small">${placeCells(layoutRoad(groupRoadColumns(roads[name])), entry => `road-${entry}`)}</div>
+        </div>
+    `).join('');
+    const ask = summary
+        ? ['B', 'P'].map(side => `${side === 'B' ? 'Banker' : 'Player'} next: ${Object.keys(derivedRoadNames).map(name => summary.next[side][name] || '-').join(' ')}`).join(' | ')
+        : '';
+
+    return `
+        <div class="roads">
+            <div class="road-title">Big Road${roads.big_road.leading_ties > 0 ? ` (${roads.big_road.leading_ties} opening ties)` : ''}</div>
+            <div class="road">${placeCells(bigRoadCells, cell => `road-big-${cell.side}`)}</div>
+            <div class="derived-roads">${derived}</div>
+            ${ask ? `<div class="road-ask">${ask}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Formats a stake policy spec from the decision log, e.g. "kelly (fraction 0.25, max_units 10)".
+ * @param {object} policy The stake policy spec ({ type, ...params }).
+ * @returns {string}
+ */
+function formatStakePolicy(policy) {
+    const { type, ...params } = policy;
+    const details = Object.keys(params).map(key => {
+        const value = params[key];
+        if (Array.isArray(value)) return value.map(step => `${step.units}u@${(step.confidence * 100).toFixed(0)}%`).join(' / ');
+        return `${key} ${value}`;
+    });
+    return details.length > 0 ? `${type} (${details.join(', ')})` : type;
+}
+
+/**
+ * Formats one bet side's analysis for the details panel. Logs from before the Dirichlet
+ * posterior have no expected edge.
+ * @param {string} name The side's display name.
+ * @param {object} side The side's analysis ({ p_star, confidence, edge }).
+ * @returns {string}
+ */
+function formatSideStat(name, side) {
+    const edge = side.edge !== undefined ? `, edge ${side.edge >= 0 ? '+' : ''}${(side.edge * 100).toFixed(2)}%` : '';
+    return `<div class="stat"><strong>${name} Confidence:</strong> ${(side.confidence * 100).toFixed(1)}% (break-even ${side.p_star.toFixed(3)}${edge})</div>`;
+}
+
+/**
+ * Formats the card-composition EVs of the next hand (see composition.js) for the details panel.
+ * @param {object} composition The log's composition analysis.
+ * @returns {string}
+ */
+function formatCompositionStat(composition) {
+    const betNames = { B: 'B', P: 'P', T: 'T', player_pair: 'PP', banker_pair: 'BP' };
+    const evs = Object.keys(betNames).map(bet => `${betNames[bet]} ${composition.ev[bet] >= 0 ? '+' : ''}${(composition.ev[bet] * 100).toFixed(2)}%`).join(' / ');
+    const best = composition.best_bet ? `, positive: ${betNames[composition.best_bet]}` : '';
+    return `<div class="stat"><strong>Card EV (${composition.cards_remaining} cards left):</strong> ${evs}${best}</div>`;
+}
+
+/**
+ * Formats one strategy variant's latest decision for the details panel.
+ * @param {string} name The variant name.
+ * @param {object} summary The variant summary ({ decision, confidence, net_profit }).
+ * @param {object} sideNames Display names keyed by side.
+ * @returns {string}
+ */
+function formatVariantStat(name, summary, sideNames) {
+    const { decision } = summary;
+    const action = decision.stake > 0 ? `BET ${sideNames[decision.betOn]} (${decision.stake}u)` : 'NO BET';
+    return `<div class="stat"><strong>[${name}]:</strong> ${action}, ${(summary.confidence * 100).toFixed(1)}%, net ${summary.net_profit.toFixed(2)} units</div>`;
+}
+
 /**
  * Toggles the visibility of the details panel for a card.
  * @param {string} tableId The ID of the table to toggle.
@@ -172,21 +390,391 @@ function createOrUpdatePlaceholderCard(payload) {
 
 /**
  * Creates a card to display the shoe summary report.
- * @param {string} summaryText The formatted summary text from PerformanceTracker.getSummary().
+ * @param {object} report The shoe report from PerformanceTracker.compareReports().
+ * @param {string} [tableId] The table the shoe was played on.
+ * @param {HTMLElement} [container=logContainer] Where to append the card.
  */
-function createShoeSummaryCard(summaryText) {
+function createShoeSummaryCard(report, tableId, container = logContainer) {
     const card = document.createElement('div');
     card.className = 'card';
     card.innerHTML = `
-        <div class="card-header">SHOE SUMMARY REPORT (${new Date().toLocaleTimeString()})</div>
+        <div class="card-header">
+            <span>SHOE SUMMARY REPORT (${new Date().toLocaleTimeString()})</span>
+            <span>${tableId ? `TABLE: ${tableId}` : ''}</span>
+        </div>
         <div class="card-body">
-            <pre style="white-space: pre-wrap; word-wrap: break-word; font-size: 12px;">${summaryText}</pre>
+            <div class="stat"><strong>Rounds:</strong> ${report.rounds}</div>
+            <table class="report-table">
+                <tr><th>Variant</th><th>Bets</th><th>W/L/P</th><th>Win %</th><th>Net</th><th>Max DD</th><th>Losing Run</th></tr>
+                ${report.variants.map(variant => `
+                <tr class="${variant.variant === report.best_variant ? 'report-best' : ''}">
+                    <td>${variant.variant}</td>
+                    <td>${variant.bets.made}</td>
+                    <td>${variant.bets.wins}/${variant.bets.losses}/${variant.bets.pushes}</td>
+                    <td>${(variant.bets.win_rate * 100).toFixed(1)}%</td>
+                    <td>${variant.net_profit.toFixed(2)}</td>
+                    <td>${variant.risk.max_drawdown.toFixed(2)}</td>
+                    <td>${variant.risk.longest_losing_run}</td>
+                </tr>`).join('')}
+            </table>
+            ${report.variants.map(formatVariantReport).join('')}
         </div>
     `;
-    logContainer.appendChild(card);
+    container.appendChild(card);
+}
+
+/**
+ * Formats the signal review, stake tiers and calibration of one variant's report.
+ * @param {object} report A variant report from PerformanceTracker.getReport().
+ * @returns {string}
+ */
+function formatVariantReport(report) {
+    const { signals, calibration } = report;
+    const formatNumber = (value, digits) => (value === null ? 'N/A' : value.toFixed(digits));
+    const tiers = report.stake_tiers.map(tier => `${tier.units}u: ${tier.bets} bets, ${tier.wins}/${tier.losses}/${tier.pushes}, net ${tier.net.toFixed(2)}`);
+    const bins = calibration.bins
+        .filter(bin => bin.count > 0)
+        .map(bin => `<tr><td>${(bin.from * 100).toFixed(0)}–${(bin.to * 100).toFixed(0)}%</td><td>${bin.count}</td><td>${(bin.mean_confidence * 100).toFixed(1)}%</td><td>${(bin.banker_win_rate * 100).toFixed(1)}%</td></tr>`);
+
+    return `
+        <div class="details-panel show">
+            <div class="stat"><strong>[${report.variant}]</strong> EV/bet ${report.bets.ev_per_bet.toFixed(3)} units, ${report.bets.units_staked} units staked</div>
+            <div class="stat"><strong>False Signals:</strong> ${signals.false_signals}</div>
+            <div class="stat"><strong>Missed Opportunities:</strong> ${signals.missed_opportunities} (no bet, Banker won)</div>
+            <div class="stat"><strong>Stake Tiers:</strong> ${tiers.length > 0 ? tiers.join('; ') : 'none'}</div>
+            <div class="stat"><strong>Brier Score:</strong> ${formatNumber(calibration.brier_score, 4)} (${calibration.samples} rounds)</div>
+            <div class="stat"><strong>Log Loss:</strong> ${formatNumber(calibration.log_loss, 4)}</div>
+            <div class="stat"><strong>Suggested Cutoff:</strong> ${calibration.suggested_min_confidence === null ? 'none profitable' : `${(calibration.suggested_min_confidence * 100).toFixed(0)}%`}</div>
+            ${bins.length > 0 ? `
+            <table class="report-table">
+                <tr><th>Confidence</th><th>Rounds</th><th>Mean Conf.</th><th>Banker Won</th></tr>
+                ${bins.join('')}
+            </table>` : ''}
+        </div>
+    `;
+}
+
+// --- Feed Health ---
+
+/**
+ * Shows each connection's status and health in the toolbar, e.g. "lobby-a up 5m 3s · 1 rc · 2s"
+ * (durations formatted by formatDuration() in connections.js).
+ * @param {object[]} connections The extension's connection descriptions.
+ */
+function renderFeedHealth(connections) {
+    feedHealthSpan.innerHTML = '';
+    for (const connection of connections) {
+        const { health } = connection;
+        const span = document.createElement('span');
+        span.className = connection.status === 'Connected' ? 'feed-health-connected'
+            : (connection.status === 'Stalled' || connection.open ? 'feed-health-stalled' : 'feed-health-down');
+        const parts = [health.uptime_ms !== null ? `up ${formatDuration(health.uptime_ms)}` : connection.status.toLowerCase(), `${health.reconnects} rc`];
+        if (health.last_message_age_ms !== null) parts.push(formatDuration(health.last_message_age_ms));
+        span.textContent = `${connection.name} ${parts.join(' · ')}`;
+        span.title = `${connection.wsUrl}\nStatus: ${connection.status}\nReconnects: ${health.reconnects}` +
+            (health.stalled_tables.length > 0 ? `\nStalled tables: ${health.stalled_tables.join(', ')}` : '');
+        feedHealthSpan.appendChild(span);
+    }
+}
+
+/**
+ * Flags a table card whose feed stopped sending updates; the flag clears when updates resume.
+ */
+function markTableStalled(tableId, stalled) {
+    const card = document.getElementById('table-' + tableId);
+    if (card) card.classList.toggle('card-stalled', stalled);
+}
+
+// --- Commands ---
+
+/**
+ * Sends a command to the extension and shows its outcome in the toolbar.
+ * @param {string} command
+ * @param {object} [args]
+ * @returns {Promise<?object>} The command's result, or null if it failed.
+ */
+async function runCommand(command, args) {
+    commandStatusSpan.textContent = `${command}…`;
+    commandStatusSpan.className = '';
+    const reply = await window.electronAPI.sendCommand(command, args);
+    commandStatusSpan.textContent = reply.ok ? `${command}: OK` : `${command}: ${reply.error}`;
+    commandStatusSpan.className = reply.ok ? 'command-ok' : 'command-error';
+    return reply.ok ? reply.result : null;
 }
 
+async function sendTableCommand(command, tableId, args = {}) {
+    if (command === 'reset_table' && !confirm(`Reset the ${args.scope} of table ${tableId}?`)) return;
+    const result = await runCommand(command, { ...args, tableId });
+    if (result && typeof result.paused === 'boolean') {
+        if (result.paused) pausedTables.add(tableId);
+        else pausedTables.delete(tableId);
+        refreshTableControls(tableId);
+    }
+}
+
+/**
+ * Re-renders a card's command buttons without waiting for the next round update.
+ */
+function refreshTableControls(tableId) {
+    const controls = document.querySelector(`#table-${CSS.escape(tableId)} .table-controls`);
+    if (controls) controls.outerHTML = renderTableControls(tableId);
+}
+
+async function syncStatus() {
+    const status = await runCommand('get_status');
+    if (!status) return;
+    const previous = pausedTables;
+    pausedTables = new Set(status.pausedTables);
+    new Set([...previous, ...pausedTables]).forEach(refreshTableControls);
+}
+
+async function openStrategyEditor() {
+    const config = await runCommand('get_strategy_config');
+    if (!config) return;
+    strategyConfigText.value = JSON.stringify(config, null, 2);
+    strategyEditor.hidden = false;
+}
+
+async function saveStrategyConfig() {
+    let config;
+    try {
+        config = JSON.parse(strategyConfigText.value);
+    } catch (e) {
+        commandStatusSpan.textContent = `Invalid JSON: ${e.message}`;
+        commandStatusSpan.className = 'command-error';
+        return;
+    }
+    if (await runCommand('set_strategy_config', config)) strategyEditor.hidden = true;
+}
+
+// --- Alerts ---
+
+/**
+ * Mutes or unmutes a table's alerts.
+ */
+async function setTableMuted(tableId, muted) {
+    mutedTables = new Set(await window.electronAPI.alerts.setTableMuted(tableId, muted));
+    refreshTableControls(tableId);
+}
+
+async function openAlertEditor() {
+    const config = await window.electronAPI.alerts.getConfig();
+    alertConfigText.value = JSON.stringify(config, null, 2);
+    alertEditor.hidden = false;
+}
+
+async function saveAlertConfig() {
+    let config;
+    try {
+        config = JSON.parse(alertConfigText.value);
+    } catch (e) {
+        commandStatusSpan.textContent = `Invalid JSON: ${e.message}`;
+        commandStatusSpan.className = 'command-error';
+        return;
+    }
+    const reply = await window.electronAPI.alerts.setConfig(config);
+    commandStatusSpan.textContent = reply.ok ? 'Alert rules saved' : `Alert rules: ${reply.error}`;
+    commandStatusSpan.className = reply.ok ? 'command-ok' : 'command-error';
+    if (!reply.ok) return;
+    alertEditor.hidden = true;
+    const previous = mutedTables;
+    mutedTables = new Set(config.muted_tables || []);
+    new Set([...previous, ...mutedTables]).forEach(refreshTableControls);
+}
+
+/**
+ * A short two-tone chime, so no sound files need to ship with the app.
+ */
+function playAlertSound() {
+    const context = new AudioContext();
+    const gain = context.createGain();
+    gain.connect(context.destination);
+    gain.gain.setValueAtTime(0.2, context.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.5);
+    [880, 1320].forEach((frequency, index) => {
+        const oscillator = context.createOscillator();
+        oscillator.frequency.value = frequency;
+        oscillator.connect(gain);
+        oscillator.start(context.currentTime + index * 0.15);
+        oscillator.stop(context.currentTime + 0.5);
+    });
+    setTimeout(() => context.close(), 1000);
+}
+
+window.electronAPI.alerts.onAlert((alert) => {
+    if (alert.sound) playAlertSound();
+    alertStatusSpan.textContent = `🔔 ${alert.title}`;
+    alertStatusSpan.title = `${new Date(alert.at).toLocaleTimeString()} – ${alert.body}`;
+});
+
+window.electronAPI.alerts.getConfig().then((config) => {
+    mutedTables = new Set(config.muted_tables || []);
+    mutedTables.forEach(refreshTableControls);
+});
+
+document.getElementById('connect-button').addEventListener('click', () => runCommand('connect'));
+document.getElementById('disconnect-button').addEventListener('click', () => runCommand('disconnect'));
+document.getElementById('strategy-button').addEventListener('click', openStrategyEditor);
+document.getElementById('strategy-save').addEventListener('click', saveStrategyConfig);
+document.getElementById('strategy-cancel').addEventListener('click', () => { strategyEditor.hidden = true; });
+document.getElementById('alerts-button').addEventListener('click', openAlertEditor);
+document.getElementById('alert-save').addEventListener('click', saveAlertConfig);
+document.getElementById('alert-cancel').addEventListener('click', () => { alertEditor.hidden = true; });
+
+// --- History View ---
+
+/**
+ * Switches between the live dashboard and the history view.
+ */
+function toggleHistoryView() {
+    const showHistory = historyContainer.hidden;
+    historyContainer.hidden = !showHistory;
+    logContainer.hidden = showHistory;
+    historyToggle.textContent = showHistory ? 'Live' : 'History';
+    if (showHistory) showHistoryTables();
+}
+
+/**
+ * Replaces the history view's content with a header (with an optional back link) and a body.
+ * @param {string} title
+ * @param {?function} onBack
+ * @returns {HTMLElement} The body element to fill.
+ */
+function resetHistoryView(title, onBack) {
+    historyContainer.innerHTML = `
+        <div class="history-header">
+            ${onBack ? '<span class="history-link history-back">◀ Back</span>' : ''}
+            <span>${title}</span>
+        </div>
+        <div class="history-body"></div>
+    `;
+    if (onBack) historyContainer.querySelector('.history-back').onclick = onBack;
+    return historyContainer.querySelector('.history-body');
+}
+
+/**
+ * Creates a clickable history list row.
+ */
+function createHistoryRow(html, onClick) {
+    const row = document.createElement('div');
+    row.className = 'history-row history-link';
+    row.innerHTML = html;
+    row.onclick = onClick;
+    return row;
+}
+
+/**
+ * Creates the history export controls (see export-format.js).
+ * @param {string[]} tableIds The tables to choose from; with a single table, only that table is exported.
+ * @returns {HTMLElement}
+ */
+function createExportBar(tableIds) {
+    const bar = document.createElement('div');
+    bar.className = 'history-export';
+    const options = (choices) => Object.keys(choices).map(id => `<option value="${id}">${choices[id].label}</option>`).join('');
+    bar.innerHTML = `
+        <span>EXPORT</span>
+        <select class="export-kind">${options(EXPORT_KINDS)}</select>
+        ${tableIds.length === 1 ? '' : `<select class="export-table"><option value="">All tables</option>${tableIds.map(id => `<option>${id}</option>`).join('')}</select>`}
+        <input type="datetime-local" class="export-from" title="From (optional)">
+        <input type="datetime-local" class="export-to" title="To (optional)">
+        <select class="export-format">${options(EXPORT_FORMATS)}</select>
+        <button class="toolbar-button">Export</button>
+        <span class="export-status"></span>
+    `;
+    const field = (name) => bar.querySelector(`.export-${name}`);
+    const time = (input) => (input.value ? new Date(input.value).getTime() : null);
+    bar.querySelector('button').onclick = async () => {
+        const status = field('status');
+        const filter = {
+            tableId: tableIds.length === 1 ? tableIds[0] : field('table').value,
+            from: time(field('from')),
+            to: time(field('to')),
+        };
+        try {
+            const records = await window.electronAPI.history.getRecords(filter);
+            const file = formatExport(records, { ...filter, kind: field('kind').value, format: field('format').value });
+            if (file.count === 0) {
+                status.textContent = 'Nothing to export for this range.';
+                return;
+            }
+            const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = file.filename;
+            link.click();
+            URL.revokeObjectURL(url);
+            status.textContent = `Exported ${file.count} record(s).`;
+        } catch (e) {
+            status.textContent = `Export failed: ${e.message}`;
+        }
+    };
+    return bar;
+}
+
+async function showHistoryTables() {
+    const body = resetHistoryView('HISTORY: TABLES', null);
+    const tables = await window.electronAPI.history.listTables();
+    if (tables.length === 0) body.textContent = 'No history recorded yet.';
+    else body.appendChild(createExportBar(tables.map(table => table.tableId)));
+    for (const table of tables) {
+        body.appendChild(createHistoryRow(
+            `<span>${table.tableId}</span><span>${table.shoes} shoes</span><span>${new Date(table.updatedAt).toLocaleString()}</span>`,
+            () => showHistoryShoes(table.tableId)));
+    }
+}
+
+async function showHistoryShoes(tableId) {
+    const body = resetHistoryView(`HISTORY: ${tableId}`, showHistoryTables);
+    const shoes = await window.electronAPI.history.listShoes(tableId);
+    body.appendChild(createExportBar([tableId]));
+    for (const shoe of shoes) {
+        const net = shoe.netProfit === null ? 'N/A' : shoe.netProfit.toFixed(2);
+        body.appendChild(createHistoryRow(
+            `<span>${shoe.shoeKey}</span><span>${shoe.rounds} rounds${shoe.finished ? '' : ' (unfinished)'}</span><span>net ${net}</span><span>${new Date(shoe.startedAt).toLocaleString()}</span>`,
+            () => showHistoryShoe(tableId, shoe.shoeKey)));
+    }
+}
+
+async function showHistoryShoe(tableId, shoeKey) {
+    const body = resetHistoryView(`HISTORY: ${tableId} / ${shoeKey}`, () => showHistoryShoes(tableId));
+    const shoe = await window.electronAPI.history.getShoe(tableId, shoeKey);
+    if (!shoe) {
+        body.textContent = 'This shoe is no longer in the history.';
+        return;
+    }
+    if (shoe.summary) createShoeSummaryCard(shoe.summary, tableId, body);
+
+    const sideNames = { B: 'BANKER', P: 'PLAYER', T: 'TIE' };
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    table.innerHTML = `
+        <tr><th>Round</th><th>Outcome</th><th>Decision</th><th>Confidence</th><th>Net</th></tr>
+        ${shoe.rounds.map(round => `
+        <tr>
+            <td>${round.round}</td>
+            <td>${sideNames[round.outcome] || round.outcome}</td>
+            <td>${round.decision.stake > 0 ? `BET ${sideNames[round.decision.betOn]} (${round.decision.stake}u)` : `NO BET – ${round.decision.reason}`}</td>
+            <td>${(round.confidence * 100).toFixed(1)}%</td>
+            <td>${round.net_profit.toFixed(2)}</td>
+        </tr>`).join('')}
+    `;
+    body.appendChild(table);
+}
+
+historyToggle.addEventListener('click', toggleHistoryView);
+
 window.electronAPI.onWsMessage((message) => {
+    // Health arrives every few seconds; it only updates the toolbar and cards, not the log.
+    if (message && message.type === 'connection_health') {
+        renderFeedHealth(message.payload);
+        return;
+    }
+    if (message && message.type === 'table_status') {
+        markTableStalled(message.payload.tableId, message.payload.stalled);
+        return;
+    }
+
     // DEBUG: Add a simple log entry for every message received
     const debugLogEntry = document.createElement('div');
     debugLogEntry.textContent = `Received message: ${JSON.stringify(message)}`;
@@ -197,7 +785,7 @@ window.electronAPI.onWsMessage((message) => {
     } else if (message && message.type === 'strategy_no_data') {
         createOrUpdatePlaceholderCard(message.payload);
     } else if (message && message.type === 'shoe_summary') {
-        createShoeSummaryCard(message.payload); // payload is the summary string
+        createShoeSummaryCard(message.payload, message.tableId);
     } else if (message && message.type === 'WS_MSG') {
         const bodyContent = document.createElement('pre');
         if (typeof message.data === 'object') {
@@ -220,6 +808,7 @@ window.electronAPI.onWsMessage((message) => {
 });
 
 window.electronAPI.onConnectionStatusChanged((status) => {
+    if (status === 'connected') syncStatus();
     if (connectionStatusSpan) {
         connectionStatusSpan.textContent = status.toUpperCase();
         connectionStatusSpan.className = `status-${status}`;
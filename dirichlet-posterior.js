@@ -0,0 +1,79 @@
+/**
+ * dirichlet-posterior.js
+ *
+ * The posterior over a hand's outcome probabilities, (p_B, p_P, p_T) ~ Dirichlet(α_B, α_P, α_T)
+ * with α the shoe's prior plus the observed counts, and what it implies for each bet:
+ * - the posterior predictive probabilities of the next hand, α_i / Σ α;
+ * - each bet's expected edge, in net units per unit staked, under that predictive;
+ * - the probability that the edge is positive, over the whole posterior rather than at the
+ *   posterior mean of the tie rate.
+ *
+ * The edges are linear in p, so P(edge > 0) is exact rather than sampled:
+ *   Banker: p_B w_B - p_P > 0  <=>  p_B / (p_B + p_P) > 1 / (1 + w_B), and by the Dirichlet's
+ *           aggregation property p_B / (p_B + p_P) ~ Beta(α_B, α_P), independently of p_T.
+ *   Player: the same with Beta(α_P, α_B).
+ *   Tie:    p_T w_T - (1 - p_T) > 0  <=>  p_T > 1 / (1 + w_T), with p_T ~ Beta(α_T, α_B + α_P).
+ * A Banker or Player bet therefore only learns from the non-tie hands, however unsettled the tie
+ * rate still is.
+ */
+
+// Assumes statistics.js is loaded, providing betaSurvival() and dirichletMean(),
+// and payouts.js, providing winPayout().
+
+const POSTERIOR_SIDES = ['B', 'P', 'T'];
+
+class DirichletPosterior {
+    /**
+     * @param {{B: number, P: number, T: number}} alpha - Concentration parameters (prior plus counts), each > 0.
+     */
+    constructor(alpha) {
+        this.alpha = { B: alpha.B, P: alpha.P, T: alpha.T };
+    }
+
+    /**
+     * The probabilities of the next hand's outcome, which for a Dirichlet posterior are its mean.
+     * @returns {{B: number, P: number, T: number}}
+     */
+    predictive() {
+        const [B, P, T] = dirichletMean(POSTERIOR_SIDES.map(side => this.alpha[side]));
+        return { B, P, T };
+    }
+
+    /**
+     * The Beta distribution of the quantity whose break-even decides the sign of a bet's edge
+     * (see the file comment), and that break-even.
+     * @param {object} model - A payout model.
+     * @param {string} side - 'B', 'P' or 'T'.
+     * @returns {{a: number, b: number, break_even: number}}
+     */
+    edgeDistribution(model, side) {
+        const break_even = 1 / (1 + winPayout(model, side));
+        if (side === 'T') return { a: this.alpha.T, b: this.alpha.B + this.alpha.P, break_even: break_even };
+        const other = side === 'B' ? 'P' : 'B';
+        return { a: this.alpha[side], b: this.alpha[other], break_even: break_even };
+    }
+
+    /**
+     * A bet's expected net units per unit staked on the next hand.
+     * @param {object} model - A payout model.
+     * @param {string} side - 'B', 'P' or 'T'.
+     * @returns {number}
+     */
+    expectedEdge(model, side) {
+        const p = this.predictive();
+        const payout = winPayout(model, side);
+        if (side === 'T') return p.T * payout - (1 - p.T);
+        return p[side] * payout - p[side === 'B' ? 'P' : 'B'];
+    }
+
+    /**
+     * P(edge > 0): the posterior probability that the bet has a positive expected value.
+     * @param {object} model - A payout model.
+     * @param {string} side - 'B', 'P' or 'T'.
+     * @returns {number}
+     */
+    edgeProbability(model, side) {
+        const { a, b, break_even } = this.edgeDistribution(model, side);
+        return betaSurvival(break_even, a, b);
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * export-format.js
+ *
+ * Exports per-round decision logs and shoe summaries as CSV (for spreadsheets) or JSON (for
+ * notebooks). Both the extension (decision-history.js) and the desktop app (history-store.js)
+ * keep history as records of the form
+ *   { type: 'round', tableId, shoeKey, round, receivedAt, log }   // log: a strategy_update payload
+ *   { type: 'summary', tableId, shoeKey, receivedAt, report }      // report: a shoe_summary payload
+ * with `receivedAt` an ISO timestamp.
+ *
+ * CSV flattens a round to one row (counts, posterior, confidence, decision, SPRT/CUSUM and
+ * change-point state, the Banker credible interval and the card-composition EVs) and a shoe
+ * summary to one row per strategy variant. JSON keeps the full records.
+ *
+ * Loaded by the popup and by the desktop app's renderer.
+ */
+
+const EXPORT_KINDS = {
+    rounds: { label: 'Round logs', type: 'round' },
+    shoes: { label: 'Shoe summaries', type: 'summary' },
+};
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', mimeType: 'text/csv', extension: 'csv' },
+    json: { label: 'JSON', mimeType: 'application/json', extension: 'json' },
+};
+
+const ROUND_EXPORT_COLUMNS = [
+    ['received_at', (r) => r.receivedAt],
+    ['table_id', (r) => r.tableId],
+    ['shoe_key', (r) => r.shoeKey],
+    ['round', (r) => r.round],
+    ['outcome', (r) => r.log.outcome],
+    ['variant', (r) => r.log.variant],
+    ['count_b', (r) => r.log.counts && r.log.counts.B],
+    ['count_p', (r) => r.log.counts && r.log.counts.P],
+    ['count_t', (r) => r.log.counts && r.log.counts.T],
+    ['posterior_b', (r) => r.log.posterior_mean && r.log.posterior_mean.B],
+    ['posterior_p', (r) => r.log.posterior_mean && r.log.posterior_mean.P],
+    ['posterior_t', (r) => r.log.posterior_mean && r.log.posterior_mean.T],
+    ['p_b_star', (r) => r.log.p_b_star],
+    ['confidence', (r) => r.log.confidence],
+    ['decision_side', (r) => r.log.decision && r.log.decision.betOn],
+    ['decision_stake', (r) => r.log.decision && r.log.decision.stake],
+    ['decision_reason', (r) => r.log.decision && r.log.decision.reason],
+    ['settled_side', (r) => r.log.settlement && r.log.settlement.betOn],
+    ['settled_result', (r) => r.log.settlement && r.log.settlement.result],
+    ['settled_net', (r) => r.log.settlement && r.log.settlement.net],
+    ['net_profit', (r) => r.log.net_profit],
+    ['bankroll', (r) => r.log.bankroll],
+    ['sprt_log_lr', (r) => analysisField(r, a => a.sprt_state && a.sprt_state.log_lr)],
+    ['sprt_decision', (r) => analysisField(r, a => a.sprt_state && a.sprt_state.decision)],
+    ['cusum_sum', (r) => analysisField(r, a => a.cusum_sum)],
+    ['strict_signal', (r) => analysisField(r, a => a.strict_signal)],
+    ['change_probability', (r) => analysisField(r, a => a.changepoint && a.changepoint.change_probability)],
+    ['map_run_length', (r) => analysisField(r, a => a.changepoint && a.changepoint.map_run_length)],
+    ['posterior_restarted', (r) => analysisField(r, a => a.changepoint && a.changepoint.restarted)],
+    ['p_b_ci_lower', (r) => analysisField(r, a => a.p_b_credible_interval && a.p_b_credible_interval[0])],
+    ['p_b_ci_upper', (r) => analysisField(r, a => a.p_b_credible_interval && a.p_b_credible_interval[1])],
+    ['payout_model', (r) => r.log.payout_model],
+    ['cards_remaining', (r) => r.log.composition && r.log.composition.cards_remaining],
+    ['card_ev_b', (r) => r.log.composition && r.log.composition.ev.B],
+    ['card_ev_p', (r) => r.log.composition && r.log.composition.ev.P],
+    ['card_ev_t', (r) => r.log.composition && r.log.composition.ev.T],
+    ['card_ev_player_pair', (r) => r.log.composition && r.log.composition.ev.player_pair],
+    ['card_ev_banker_pair', (r) => r.log.composition && r.log.composition.ev.banker_pair],
+];
+
+// One row per variant: `r` is the summary record and `v` the variant's report.
+const SHOE_EXPORT_COLUMNS = [
+    ['received_at', (r) => r.receivedAt],
+    ['table_id', (r) => r.tableId],
+    ['shoe_key', (r) => r.shoeKey],
+    ['variant', (r, v) => v.variant],
+    ['best_variant', (r, v) => r.report.best_variant === v.variant],
+    ['rounds', (r, v) => v.rounds],
+    ['net_profit', (r, v) => v.net_profit],
+    ['bets_made', (r, v) => v.bets && v.bets.made],
+    ['units_staked', (r, v) => v.bets && v.bets.units_staked],
+    ['wins', (r, v) => v.bets && v.bets.wins],
+    ['losses', (r, v) => v.bets && v.bets.losses],
+    ['pushes', (r, v) => v.bets && v.bets.pushes],
+    ['win_rate', (r, v) => v.bets && v.bets.win_rate],
+    ['ev_per_bet', (r, v) => v.bets && v.bets.ev_per_bet],
+    ['false_signals', (r, v) => v.signals && v.signals.false_signals],
+    ['missed_opportunities', (r, v) => v.signals && v.signals.missed_opportunities],
+    ['avoided_losses', (r, v) => v.signals && v.signals.avoided_losses],
+    ['max_drawdown', (r, v) => v.risk && v.risk.max_drawdown],
+    ['longest_losing_run', (r, v) => v.risk && v.risk.longest_losing_run],
+    ['brier_score', (r, v) => v.calibration && v.calibration.brier_score],
+    ['log_loss', (r, v) => v.calibration && v.calibration.log_loss],
+    ['suggested_min_confidence', (r, v) => v.calibration && v.calibration.suggested_min_confidence],
+];
+
+function analysisField(record, read) {
+    return record.log.analysis ? read(record.log.analysis) : undefined;
+}
+
+/**
+ * Parses a time filter bound.
+ * @param {?(string|number)} value - Milliseconds since the epoch or anything Date.parse() reads; empty for no bound.
+ * @returns {?number}
+ * @throws {Error} If the value is not a time.
+ */
+function parseExportTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(time)) throw new Error(`'${value}' is not a date and time.`);
+    return time;
+}
+
+/**
+ * Selects the records of one kind, table and time range. When a round was logged more than once
+ * (the shoe was rebuilt after a corrected result), only its latest log is kept.
+ * @param {object[]} records
+ * @param {object} filter
+ * @param {string} filter.kind - A key of EXPORT_KINDS.
+ * @param {string} [filter.tableId] - Only this table; all tables if empty.
+ * @param {string|number} [filter.from] - Only records received at or after this time.
+ * @param {string|number} [filter.to] - Only records received at or before this time.
+ * @returns {object[]} The records, oldest first.
+ */
+function filterExportRecords(records, filter) {
+    const kind = EXPORT_KINDS[filter.kind];
+    if (!kind) throw new Error(`Unknown export kind '${filter.kind}'.`);
+    const from = parseExportTime(filter.from);
+    const to = parseExportTime(filter.to);
+    if (from !== null && to !== null && from > to) throw new Error('The start of the time range is after its end.');
+
+    const selected = new Map();
+    for (const record of records) {
+        if (record.type !== kind.type) continue;
+        if (filter.tableId && record.tableId !== filter.tableId) continue;
+        const time = Date.parse(record.receivedAt);
+        if ((from !== null && time < from) || (to !== null && time > to)) continue;
+        const key = kind.type === 'round' ? `${record.tableId}\n${record.shoeKey}\n${record.round}` : `${record.tableId}\n${record.shoeKey}`;
+        selected.delete(key); // Re-inserted so the order follows the latest log
+        selected.set(key, record);
+    }
+    return [...selected.values()].sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+}
+
+/**
+ * @param {*} value
+ * @returns {string} The value as a CSV field, quoted when needed.
+ */
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<Array<*>>} rows - The header row first.
+ * @returns {string}
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Formats history records for download.
+ * @param {object[]} records - History records (see above), in any order.
+ * @param {object} options
+ * @param {string} options.kind - 'rounds' or 'shoes'.
+ * @param {string} options.format - 'csv' or 'json'.
+ * @param {string} [options.tableId]
+ * @param {string|number} [options.from]
+ * @param {string|number} [options.to]
+ * @returns {{content: string, mimeType: string, filename: string, count: number}} `count` is the
+ *     number of records exported.
+ * @throws {Error} If an option is invalid.
+ */
+function formatExport(records, options) {
+    const format = EXPORT_FORMATS[options.format];
+    if (!format) throw new Error(`Unknown export format '${options.format}'.`);
+    const selected = filterExportRecords(records, options);
+
+    let content;
+    if (options.format === 'json') {
+        content = JSON.stringify({
+            type: options.kind === 'rounds' ? 'roundLogs' : 'shoeSummaries',
+            exportedAt: new Date().toISOString(),
+            filter: { tableId: options.tableId || null, from: options.from || null, to: options.to || null },
+            records: selected,
+        }, null, 2);
+    } else if (options.kind === 'rounds') {
+        content = toCsv([
+            ROUND_EXPORT_COLUMNS.map(([header]) => header),
+            ...selected.map(record => ROUND_EXPORT_COLUMNS.map(([, value]) => value(record))),
+        ]);
+    } else {
+        const rows = [];
+        for (const record of selected) {
+            for (const variant of record.report.variants || []) {
+                rows.push(SHOE_EXPORT_COLUMNS.map(([, value]) => value(record, variant)));
+            }
+        }
+        content = toCsv([SHOE_EXPORT_COLUMNS.map(([header]) => header), ...rows]);
+    }
+
+    const scope = options.tableId ? options.tableId.replace(/[^\w.-]+/g, '_') : 'all-tables';
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return {
+        content: content,
+        mimeType: format.mimeType,
+        filename: `${options.kind}-${scope}-${stamp}.${format.extension}`,
+        count: selected.length,
+    };
+}
@@ -0,0 +1,342 @@
+/**
+ * message-console.js
+ *
+ * The popup's message console: a bounded log of sent and received WebSocket messages with
+ * pause/resume, text and JSONPath filters, a direction filter, collapsible JSON trees and
+ * copy-to-clipboard. Entries come from the background script, which keeps the recent history
+ * so a reopened popup starts with the same log.
+ *
+ * An entry is { id, t, direction: 'sent'|'received'|'state', connection, data, replayed }, with
+ * `replayed` set for messages from a session replay.
+ *
+ * Loaded by the popup, after profiles.js (readPath), and by the background script, whose log
+ * keeps as many entries as the console (CONSOLE_MAX_ENTRIES).
+ */
+
+const CONSOLE_MAX_ENTRIES = 500;
+const JSON_TREE_OPEN_DEPTH = 1; // Levels of a message shown expanded
+
+// --- JSONPath ---
+
+/**
+ * Splits a JSONPath expression into steps. Supported: $, .name, ['name'], [n], [*], .*,
+ * ..name (recursive descent) and filters such as [?(@.status == 'open')] with
+ * ==, !=, <, <=, >, >= or a bare existence test [?(@.winner)].
+ * @param {string} expression
+ * @returns {object[]} The steps.
+ * @throws {Error} If the expression cannot be parsed.
+ */
+function parseJsonPath(expression) {
+    const text = expression.trim();
+    if (!text.startsWith('$')) throw new Error("A JSONPath starts with '$'.");
+    const steps = [];
+    let i = 1;
+    const readName = () => {
+        const match = /^[\w$-]+/.exec(text.slice(i));
+        if (!match) throw new Error(`Expected a name at position ${i}.`);
+        i += match[0].length;
+        return match[0];
+    };
+    while (i < text.length) {
+        if (text.startsWith('..', i)) {
+            i += 2;
+            if (text[i] === '*') { i++; steps.push({ type: 'descendants', name: '*' }); }
+            else steps.push({ type: 'descendants', name: readName() });
+        } else if (text[i] === '.') {
+            i++;
+            if (text[i] === '*') { i++; steps.push({ type: 'wildcard' }); }
+            else steps.push({ type: 'child', name: readName() });
+        } else if (text[i] === '[') {
+            const end = findClosingBracket(text, i);
+            const inner = text.slice(i + 1, end).trim();
+            i = end + 1;
+            if (inner === '*') steps.push({ type: 'wildcard' });
+            else if (/^-?\d+$/.test(inner)) steps.push({ type: 'index', index: Number(inner) });
+            else if (/^(['"]).*\1$/.test(inner)) steps.push({ type: 'child', name: inner.slice(1, -1) });
+            else if (inner.startsWith('?(') && inner.endsWith(')')) steps.push({ type: 'filter', test: parseJsonPathFilter(inner.slice(2, -1)) });
+            else throw new Error(`Unsupported selector [${inner}].`);
+        } else {
+            throw new Error(`Unexpected '${text[i]}' at position ${i}.`);
+        }
+    }
+    return steps;
+}
+
+function findClosingBracket(text, start) {
+    let quote = null;
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+        if (quote) { if (char === quote) quote = null; continue; }
+        if (char === '"' || char === "'") quote = char;
+        else if (char === ']') return i;
+    }
+    throw new Error("Missing ']'.");
+}
+
+/**
+ * @param {string} expression - The inside of [?( ... )], e.g. "@.score >= 5".
+ * @returns {function(*): boolean}
+ */
+function parseJsonPathFilter(expression) {
+    const match = /^@((?:\.[\w$-]+|\[\d+\])*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+))?$/.exec(expression.trim());
+    if (!match) throw new Error(`Unsupported filter '${expression}'.`);
+    const path = match[1];
+    const operator = match[2];
+    let operand = null;
+    if (operator) {
+        const raw = match[3].trim();
+        try {
+            operand = JSON.parse(raw.replace(/^'(.*)'$/, '"$1"'));
+        } catch (e) {
+            throw new Error(`Unsupported filter value '${raw}'.`);
+        }
+    }
+    return (value) => {
+        const actual = readPath(value, path.replace(/^\./, ''));
+        if (!operator) return actual !== undefined && actual !== null && actual !== false;
+        switch (operator) {
+            case '==': return actual === operand;
+            case '!=': return actual !== operand;
+            case '<': return actual < operand;
+            case '<=': return actual <= operand;
+            case '>': return actual > operand;
+            case '>=': return actual >= operand;
+        }
+        return false;
+    };
+}
+
+function jsonChildren(value) {
+    if (value === null || typeof value !== 'object') return [];
+    return Array.isArray(value) ? value : Object.values(value);
+}
+
+/**
+ * Evaluates parsed JSONPath steps.
+ * @param {*} root
+ * @param {object[]} steps - From parseJsonPath().
+ * @returns {*[]} The matched values.
+ */
+function queryJsonPath(root, steps) {
+    let nodes = [root];
+    for (const step of steps) {
+        const next = [];
+        for (const node of nodes) {
+            if (step.type === 'child') {
+                if (node !== null && typeof node === 'object' && step.name in node) next.push(node[step.name]);
+            } else if (step.type === 'index') {
+                if (Array.isArray(node)) {
+                    const index = step.index < 0 ? node.length + step.index : step.index;
+                    if (index >= 0 && index < node.length) next.push(node[index]);
+                }
+            } else if (step.type === 'wildcard') {
+                next.push(...jsonChildren(node));
+            } else if (step.type === 'filter') {
+                next.push(...jsonChildren(node).filter(child => step.test(child)));
+            } else if (step.type === 'descendants') {
+                const visit = (value) => {
+                    if (value === null || typeof value !== 'object') return;
+                    if (step.name === '*') next.push(...jsonChildren(value));
+                    else if (!Array.isArray(value) && step.name in value) next.push(value[step.name]);
+                    jsonChildren(value).forEach(visit);
+                };
+                visit(node);
+            }
+        }
+        nodes = next;
+    }
+    return nodes;
+}
+
+// --- Console ---
+
+class MessageConsole {
+    /**
+     * @param {object} elements
+     * @param {HTMLElement} elements.list - Where the entries are rendered.
+     * @param {HTMLElement} elements.status - Shows the entry counts and filter errors.
+     */
+    constructor(elements) {
+        this.list = elements.list;
+        this.status = elements.status;
+        this.entries = [];
+        this.paused = false;
+        this.filters = { text: '', path: null, direction: 'all' };
+        this.pathError = null;
+        this.pendingWhilePaused = 0;
+    }
+
+    /**
+     * Replaces the log with the background script's history.
+     * @param {object[]} entries
+     */
+    load(entries) {
+        this.entries = entries.slice(-CONSOLE_MAX_ENTRIES);
+        this.pendingWhilePaused = 0;
+        this.render();
+    }
+
+    /**
+     * Adds an entry, dropping the oldest one once the log is full.
+     * @param {object} entry
+     */
+    add(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > CONSOLE_MAX_ENTRIES) {
+            const dropped = this.entries.shift();
+            const node = this.list.querySelector(`[data-entry-id="${dropped.id}"]`);
+            if (node) node.remove();
+        }
+        if (this.paused) {
+            this.pendingWhilePaused++;
+            this.updateStatus();
+            return;
+        }
+        if (this.matches(entry)) {
+            const stickToBottom = this.list.scrollTop + this.list.clientHeight >= this.list.scrollHeight - 5;
+            this.list.appendChild(this.renderEntry(entry));
+            if (stickToBottom) this.list.scrollTop = this.list.scrollHeight;
+        }
+        this.updateStatus();
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        if (!paused) {
+            this.pendingWhilePaused = 0;
+            this.render();
+        }
+        this.updateStatus();
+    }
+
+    clear() {
+        this.entries = [];
+        this.pendingWhilePaused = 0;
+        this.render();
+    }
+
+    /**
+     * @param {object} filters - Any of { text, path, direction }; `path` is a JSONPath expression.
+     */
+    setFilters(filters) {
+        if (filters.path !== undefined) {
+            this.pathError = null;
+            try {
+                this.filters.path = filters.path.trim() ? parseJsonPath(filters.path) : null;
+            } catch (e) {
+                this.filters.path = null;
+                this.pathError = e.message;
+            }
+        }
+        if (filters.text !== undefined) this.filters.text = filters.text.trim().toLowerCase();
+        if (filters.direction !== undefined) this.filters.direction = filters.direction;
+        this.render();
+    }
+
+    matches(entry) {
+        const { text, path, direction } = this.filters;
+        if (direction !== 'all' && entry.direction !== direction) return false;
+        if (path) {
+            if (typeof entry.data !== 'object' || entry.data === null) return false;
+            if (queryJsonPath(entry.data, path).length === 0) return false;
+        }
+        if (text) {
+            const haystack = `${entry.connection || ''} ${typeof entry.data === 'string' ? entry.data : JSON.stringify(entry.data)}`;
+            if (!haystack.toLowerCase().includes(text)) return false;
+        }
+        return true;
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        this.entries.filter(entry => this.matches(entry)).forEach(entry => fragment.appendChild(this.renderEntry(entry)));
+        this.list.appendChild(fragment);
+        this.list.scrollTop = this.list.scrollHeight;
+        this.updateStatus();
+    }
+
+    updateStatus() {
+        const shown = this.list.children.length;
+        const parts = [`${shown} of ${this.entries.length} shown`];
+        if (this.paused) parts.push(`paused, ${this.pendingWhilePaused} new`);
+        if (this.pathError) parts.push(`JSONPath: ${this.pathError}`);
+        this.status.textContent = parts.join(' · ');
+        this.status.classList.toggle('error', !!this.pathError);
+    }
+
+    renderEntry(entry) {
+        const item = document.createElement('div');
+        item.className = `console-entry ${entry.direction}`;
+        item.dataset.entryId = entry.id;
+
+        const header = document.createElement('div');
+        header.className = 'console-entry-header';
+        const arrow = { sent: '↑', received: '↓', state: '•' }[entry.direction] || '';
+        header.textContent = `${arrow} ${new Date(entry.t).toLocaleTimeString()}${entry.connection ? ` [${entry.connection}]` : ''}${entry.replayed ? ' (replay)' : ''}`;
+        const copyButton = document.createElement('button');
+        copyButton.className = 'copy-button';
+        copyButton.textContent = 'Copy';
+        copyButton.addEventListener('click', () => {
+            const text = typeof entry.data === 'string' ? entry.data : JSON.stringify(entry.data, null, 2);
+            navigator.clipboard.writeText(text).then(
+                () => { copyButton.textContent = 'Copied'; },
+                () => { copyButton.textContent = 'Failed'; });
+            setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+        });
+        header.appendChild(copyButton);
+        item.appendChild(header);
+
+        if (entry.data !== null && typeof entry.data === 'object') {
+            item.appendChild(renderJsonTree(entry.data, null, 0));
+        } else {
+            const pre = document.createElement('pre');
+            pre.textContent = String(entry.data);
+            item.appendChild(pre);
+        }
+        return item;
+    }
+}
+
+/**
+ * Renders a value as a collapsible tree. Collapsed branches are only built when opened,
+ * so large messages stay cheap to show.
+ * @param {*} value
+ * @param {?string} key - The property name or index, or null for the root.
+ * @param {number} depth
+ * @returns {HTMLElement}
+ */
+function renderJsonTree(value, key, depth) {
+    const label = key === null ? '' : `${key}: `;
+    if (value === null || typeof value !== 'object') {
+        const leaf = document.createElement('div');
+        leaf.className = 'json-leaf';
+        const keySpan = document.createElement('span');
+        keySpan.className = 'json-key';
+        keySpan.textContent = label;
+        const valueSpan = document.createElement('span');
+        valueSpan.className = `json-${value === null ? 'null' : typeof value}`;
+        valueSpan.textContent = JSON.stringify(value);
+        leaf.append(keySpan, valueSpan);
+        return leaf;
+    }
+
+    const isArray = Array.isArray(value);
+    const keys = Object.keys(value);
+    const details = document.createElement('details');
+    details.className = 'json-branch';
+    const summary = document.createElement('summary');
+    summary.textContent = `${label}${isArray ? `[${keys.length}]` : `{${keys.length}}`}`;
+    details.appendChild(summary);
+    const fill = () => {
+        if (details.dataset.filled) return;
+        details.dataset.filled = 'true';
+        keys.forEach(childKey => details.appendChild(renderJsonTree(value[childKey], childKey, depth + 1)));
+    };
+    details.addEventListener('toggle', () => { if (details.open) fill(); });
+    if (depth < JSON_TREE_OPEN_DEPTH) {
+        fill();
+        details.open = true;
+    }
+    return details;
+}
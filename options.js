@@ -0,0 +1,219 @@
+// UI Elements
+const globalGrid = document.querySelector('#global-settings .settings-grid');
+const connectionGrid = document.querySelector('#connection-options .settings-grid');
+const tableOverridesDiv = document.getElementById('table-overrides');
+const tableIdInput = document.getElementById('table-id-input');
+const knownTablesList = document.getElementById('known-tables');
+const addTableButton = document.getElementById('add-table-button');
+const saveButton = document.getElementById('save-button');
+const resetButton = document.getElementById('reset-button');
+const saveStatus = document.getElementById('save-status');
+const errorsDiv = document.getElementById('errors');
+const profilesText = document.getElementById('profiles-text');
+const profilesFileInput = document.getElementById('profiles-file');
+const importProfilesButton = document.getElementById('import-profiles-button');
+const exportProfilesButton = document.getElementById('export-profiles-button');
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadStrategySettings((doc) => {
+    buildSettingsGrid(globalGrid, doc.global, DEFAULT_STRATEGY_SETTINGS);
+    Object.keys(doc.tables).sort().forEach(tableId => addTableOverride(tableId, doc.tables[tableId]));
+  });
+  loadProfiles((profiles) => {
+    profilesText.value = JSON.stringify(profiles, null, 2);
+  });
+  chrome.storage.local.get([CONNECTION_OPTIONS_STORAGE_KEY], (result) => {
+    buildSettingsGrid(connectionGrid, result[CONNECTION_OPTIONS_STORAGE_KEY] || {}, DEFAULT_CONNECTION_OPTIONS, CONNECTION_OPTION_FIELDS);
+  });
+  // Offer the tables the extension has seen as suggestions, per connection and across connections.
+  loadPersistedState((snapshot) => {
+    const tableIds = Object.keys((snapshot && snapshot.tables) || {});
+    [...new Set([...tableIds, ...tableIds.map(baseTableId)])].sort().forEach(tableId => {
+      const option = document.createElement('option');
+      option.value = tableId;
+      knownTablesList.appendChild(option);
+    });
+  });
+});
+
+/**
+ * Fills a grid with one number input per setting.
+ * @param {HTMLElement} grid
+ * @param {object} values The stored (partial) settings.
+ * @param {object} fallback The settings shown as placeholders for empty fields.
+ * @param {object} [fields=SETTING_FIELDS] The settings to show.
+ */
+function buildSettingsGrid(grid, values, fallback, fields = SETTING_FIELDS) {
+  grid.innerHTML = '';
+  for (const path in fields) {
+    const label = document.createElement('label');
+    label.textContent = fields[path].label;
+    const input = document.createElement('input');
+    input.type = fields[path].text ? 'text' : 'number';
+    if (!fields[path].text) input.step = 'any';
+    input.dataset.path = path;
+    const value = getSettingValue(values, path);
+    input.value = value === undefined ? '' : value;
+    input.placeholder = getSettingValue(fallback, path) ?? '';
+    label.htmlFor = input.id = `${grid.closest('fieldset').id}-${path}`;
+    grid.appendChild(label);
+    grid.appendChild(input);
+  }
+}
+
+/**
+ * Reads a grid back into a partial settings object; empty fields are left out.
+ */
+function readSettingsGrid(grid) {
+  const settings = {};
+  grid.querySelectorAll('input').forEach(input => {
+    input.classList.remove('invalid');
+    if (input.value.trim() === '') return;
+    setSettingValue(settings, input.dataset.path, input.type === 'text' ? input.value : Number(input.value));
+  });
+  return settings;
+}
+
+function addTableOverride(tableId, values) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'table-override';
+  fieldset.id = `table-${tableOverridesDiv.children.length}-${Date.now()}`;
+  fieldset.dataset.tableId = tableId;
+  fieldset.innerHTML = `
+    <legend></legend>
+    <div class="table-header">
+      <span>Empty fields inherit the defaults.</span>
+      <button class="remove-table-button">Remove</button>
+    </div>
+    <div class="settings-grid"></div>
+  `;
+  fieldset.querySelector('legend').textContent = tableId;
+  fieldset.querySelector('.remove-table-button').addEventListener('click', () => fieldset.remove());
+  tableOverridesDiv.appendChild(fieldset);
+  // Placeholders show the inherited values from the current defaults.
+  buildSettingsGrid(fieldset.querySelector('.settings-grid'), values, resolveTableSettings({ global: readSettingsGrid(globalGrid) }, tableId));
+}
+
+addTableButton.addEventListener('click', () => {
+  const tableId = tableIdInput.value.trim();
+  if (!tableId) return;
+  if (tableOverridesDiv.querySelector(`[data-table-id="${CSS.escape(tableId)}"]`)) {
+    errorsDiv.textContent = `Table ${tableId} already has an override.`;
+    return;
+  }
+  addTableOverride(tableId, {});
+  tableIdInput.value = '';
+});
+
+saveButton.addEventListener('click', () => {
+  const doc = { global: readSettingsGrid(globalGrid), tables: {} };
+  tableOverridesDiv.querySelectorAll('.table-override').forEach(fieldset => {
+    doc.tables[fieldset.dataset.tableId] = readSettingsGrid(fieldset.querySelector('.settings-grid'));
+  });
+
+  const connectionOptions = readSettingsGrid(connectionGrid);
+  let profiles = [];
+  let profileErrors = [];
+  try {
+    profiles = profilesText.value.trim() ? parseProfiles(profilesText.value) : [];
+  } catch (e) {
+    profileErrors = [`Profiles: ${e.message}`];
+  }
+
+  const errors = [
+    ...validateSettingsDocument(doc),
+    ...validateSettings(connectionOptions, CONNECTION_OPTION_FIELDS, DEFAULT_CONNECTION_OPTIONS).map(error => `Connections: ${error}`),
+    ...validateKeepalive(connectionOptions, profiles).map(error => `Connections: ${error}`),
+    ...profileErrors,
+  ];
+  saveStatus.textContent = '';
+  errorsDiv.textContent = errors.join('\n');
+  if (errors.length > 0) {
+    markInvalidInputs(doc, connectionOptions);
+    return;
+  }
+  chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: doc, [CONNECTION_OPTIONS_STORAGE_KEY]: connectionOptions, [PROFILES_STORAGE_KEY]: profiles }, () => {
+    saveStatus.textContent = `Saved at ${new Date().toLocaleTimeString()}.`;
+  });
+});
+
+// Imported profiles replace the ones with the same name; nothing is stored until Save.
+importProfilesButton.addEventListener('click', () => {
+  const file = profilesFileInput.files[0];
+  if (!file) {
+    errorsDiv.textContent = 'Choose a profiles file to import first.';
+    return;
+  }
+  file.text().then(text => {
+    let imported, current;
+    try {
+      imported = parseProfiles(text);
+      current = profilesText.value.trim() ? JSON.parse(profilesText.value) : [];
+    } catch (e) {
+      errorsDiv.textContent = `Import failed: ${e.message}`;
+      return;
+    }
+    const names = new Set(imported.map(profile => profile.name));
+    profilesText.value = JSON.stringify([...current.filter(profile => !names.has(profile && profile.name)), ...imported], null, 2);
+    errorsDiv.textContent = '';
+    saveStatus.textContent = `Imported ${imported.length} profile(s). Not saved yet.`;
+  });
+});
+
+exportProfilesButton.addEventListener('click', () => {
+  let profiles;
+  try {
+    profiles = profilesText.value.trim() ? parseProfiles(profilesText.value) : [];
+  } catch (e) {
+    errorsDiv.textContent = `Export failed: ${e.message}`;
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([exportProfiles(profiles)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'connection-profiles.json';
+  link.click();
+  URL.revokeObjectURL(url);
+});
+
+resetButton.addEventListener('click', () => {
+  // Profiles are kept; they are not defaults.
+  if (!confirm('Clear the defaults, all table overrides and the connection options?')) return;
+  buildSettingsGrid(globalGrid, {}, DEFAULT_STRATEGY_SETTINGS);
+  buildSettingsGrid(connectionGrid, {}, DEFAULT_CONNECTION_OPTIONS, CONNECTION_OPTION_FIELDS);
+  tableOverridesDiv.innerHTML = '';
+  errorsDiv.textContent = '';
+  saveStatus.textContent = 'Not saved yet.';
+});
+
+/**
+ * A keepalive interval sends nothing without a message, which only profiles can set otherwise.
+ * @param {object} connectionOptions The connection options being saved.
+ * @param {object[]} profiles The profiles being saved.
+ * @returns {string[]}
+ */
+function validateKeepalive(connectionOptions, profiles) {
+  const heartbeat = connectionOptions.heartbeat || {};
+  if (!(heartbeat.interval_ms > 0) || heartbeat.message) return [];
+  if (profiles.length > 0 && profiles.every(profile => profile.heartbeat && profile.heartbeat.message)) return [];
+  return ['Keepalive interval needs a keepalive message.'];
+}
+
+/**
+ * Highlights every input whose value fails validation on its own.
+ */
+function markInvalidInputs(doc, connectionOptions) {
+  const grids = [[globalGrid, doc.global], [connectionGrid, connectionOptions, CONNECTION_OPTION_FIELDS, DEFAULT_CONNECTION_OPTIONS]];
+  tableOverridesDiv.querySelectorAll('.table-override').forEach(fieldset => {
+    grids.push([fieldset.querySelector('.settings-grid'), doc.tables[fieldset.dataset.tableId]]);
+  });
+  for (const [grid, settings, fields, defaults] of grids) {
+    grid.querySelectorAll('input').forEach(input => {
+      const value = getSettingValue(settings, input.dataset.path);
+      if (value === undefined) return;
+      const single = {};
+      setSettingValue(single, input.dataset.path, value);
+      if (validateSettings(single, fields, defaults).length > 0) input.classList.add('invalid');
+    });
+  }
+}
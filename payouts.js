@@ -0,0 +1,101 @@
+/**
+ * payouts.js
+ *
+ * Baccarat payout models: the net win per unit staked on each bet side, and how a round's
+ * outcome settles a bet. Banker and Player bets push (return the stake) on a Tie.
+ */
+
+const DEFAULT_PAYOUT_MODEL_ID = 'standard';
+
+// Share of Banker wins that are won with a total of 6 (about 5.39% of all hands out of
+// 45.86% Banker wins in an 8-deck shoe). Used for no-commission tables when the feed
+// does not report the Banker total.
+const BANKER_SIX_WIN_SHARE = 0.1175;
+
+// Net wins per unit: `banker`, `player` and `tie` for the main bets, `banker_six` for a Banker
+// win with 6 where that pays differently (null otherwise), and `pair` for the Player and Banker
+// Pair side bets.
+const PAYOUT_MODELS = {
+    standard: {
+        id: 'standard',
+        label: 'Banker 0.95 (5% commission), Player 1:1, Tie 8:1',
+        banker: 0.95,
+        player: 1,
+        tie: 8,
+        banker_six: null,
+        pair: 11,
+    },
+    standard_tie_9: {
+        id: 'standard_tie_9',
+        label: 'Banker 0.95 (5% commission), Player 1:1, Tie 9:1',
+        banker: 0.95,
+        player: 1,
+        tie: 9,
+        banker_six: null,
+        pair: 11,
+    },
+    no_commission: {
+        id: 'no_commission',
+        label: 'No commission (Super 6): Banker 1:1 but 1:2 on a winning 6, Player 1:1, Tie 8:1',
+        banker: 1,
+        player: 1,
+        tie: 8,
+        banker_six: 0.5,
+        pair: 11,
+    },
+};
+
+/**
+ * @param {string} [id] - The model id. Unknown or missing ids fall back to the standard model.
+ * @returns {object} The payout model.
+ */
+function getPayoutModel(id) {
+    return PAYOUT_MODELS[id] || PAYOUT_MODELS[DEFAULT_PAYOUT_MODEL_ID];
+}
+
+/**
+ * The net amount won per unit on a winning bet.
+ * @param {object} model - A payout model.
+ * @param {string} side - 'B', 'P' or 'T'.
+ * @param {?number} [bankerTotal] - The Banker's final total, when known (only matters for Super 6).
+ * @returns {number}
+ */
+function winPayout(model, side, bankerTotal) {
+    if (side === 'P') return model.player;
+    if (side === 'T') return model.tie;
+    if (model.banker_six === null) return model.banker;
+    if (bankerTotal === 6) return model.banker_six;
+    if (typeof bankerTotal === 'number') return model.banker;
+    return model.banker * (1 - BANKER_SIX_WIN_SHARE) + model.banker_six * BANKER_SIX_WIN_SHARE;
+}
+
+/**
+ * Settles a bet against a round's outcome.
+ * @param {object} model - A payout model.
+ * @param {string} betOn - The side bet on ('B', 'P' or 'T').
+ * @param {number} stake - Units staked.
+ * @param {string} outcome - The round's outcome ('B', 'P' or 'T').
+ * @param {?number} [bankerTotal] - The Banker's final total, when known.
+ * @returns {{result: string, net: number}} 'win', 'loss' or 'push', and the net units won or lost.
+ */
+function settleBet(model, betOn, stake, outcome, bankerTotal) {
+    if (betOn === outcome) return { result: 'win', net: stake * winPayout(model, betOn, bankerTotal) };
+    if (outcome === 'T') return { result: 'push', net: 0 };
+    return { result: 'loss', net: -stake };
+}
+
+/**
+ * The minimum win probability for each side to have a positive expected value.
+ * Banker: p_B * w_B > p_P, i.e. p_B > (1 - p_T) / (1 + w_B), since ties push.
+ * Player: p_P > (1 - p_T) / (1 + w_P). Tie: p_T * w_T > 1 - p_T, i.e. p_T > 1 / (1 + w_T).
+ * @param {object} model - A payout model.
+ * @param {number} p_tie - The (estimated) probability of a Tie.
+ * @returns {{B: number, P: number, T: number}}
+ */
+function breakEvenProbabilities(model, p_tie) {
+    return {
+        B: (1 - p_tie) / (1 + winPayout(model, 'B')),
+        P: (1 - p_tie) / (1 + winPayout(model, 'P')),
+        T: 1 / (1 + winPayout(model, 'T')),
+    };
+}
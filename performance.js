@@ -1,13 +1,23 @@
-
 /**
  * performance.js
  *
- * Provides an advanced PerformanceTracker class for dual-mode strategy validation.
- * - Mode A (Strict): Tracks performance of the legacy, triple-confirmation signal.
- * - Mode B (Relaxed): Tracks performance of the new Confidence Index (CI) based staking.
- * It computes metrics for both to allow for calibration and analysis.
+ * Provides a PerformanceTracker class that measures one strategy's betting results over a shoe.
+ * One tracker runs per strategy variant, so variants fed the same outcomes can be compared
+ * (see PerformanceTracker.compareReports()).
+ *
+ * A decision logged for round N is a bet on round N+1, so each outcome settles the
+ * decision of the previous round. Banker and Player bets push on a Tie.
+ *
+ * Reports are plain JSON objects; the desktop app and the backtester format them.
  */
 
+// Assumes payouts.js is loaded, providing getPayoutModel() and settleBet().
+
+// Number of equal-width confidence calibration bins over [0, 1].
+const CALIBRATION_BIN_COUNT = 10;
+// Predictions are clamped away from 0 and 1 so a single confident miss has a finite log loss.
+const LOG_LOSS_EPSILON = 1e-15;
+
 class PerformanceTracker {
     constructor() {
         this.reset();
@@ -20,112 +30,231 @@ class PerformanceTracker {
         this.outcomes_observed = 0;
         this.net_profit_units = 0;
 
-        // Metrics for the new Confidence-based "Relaxed" mode
-        this.relaxed_metrics = {
+        this.metrics = {
             bets_made: 0,
             units_staked: 0,
             wins: 0,
             losses: 0, // Represents "False Signals"
+            pushes: 0, // Banker/Player bets returned on a Tie
+            missed_wins: 0, // No bet was placed, but Banker won.
+            avoided_losses: 0, // No bet was placed, and Player won.
         };
 
-        // Metrics for the legacy "Strict" mode
-        this.strict_metrics = {
-            signals_fired: 0,
-            wins: 0, // True Positives
-            losses: 0, // False Positives
-            missed_wins: 0, // False Negatives: Strict said NO, but B won.
-            avoided_losses: 0, // True Negatives: Strict said NO, and B lost.
+        // Whether the previous round's decision was a bet; settled by the next outcome
+        this.pending_bet = null;
+
+        // Risk: drawdown of the net profit curve and consecutive lost bets (pushes are skipped)
+        this.risk = { peak_profit: 0, max_drawdown: 0, losing_run: 0, longest_losing_run: 0 };
+
+        // Results per stake size, keyed by units staked
+        this.stake_tiers = {};
+
+        // Calibration of the Banker confidence index against the next non-tie outcome
+        this.calibration = {
+            pending_confidence: null,
+            pending_payout_model: null,
+            samples: 0,
+            brier_sum: 0,
+            log_loss_sum: 0,
+            bins: Array.from({ length: CALIBRATION_BIN_COUNT }, () => ({ count: 0, confidence_sum: 0, banker_wins: 0, banker_net: 0 })),
         };
     }
 
     /**
-     * Records a round's outcome against the decisions made by the strategy.
+     * Returns a JSON-safe snapshot of all counters.
+     * @returns {object}
+     */
+    serialize() {
+        return JSON.parse(JSON.stringify(this));
+    }
+
+    /**
+     * Rebuilds a tracker from a snapshot produced by serialize().
+     * Counters added since the snapshot was taken start from zero.
+     * @param {object} snapshot
+     * @returns {PerformanceTracker}
+     */
+    static restore(snapshot) {
+        return Object.assign(new PerformanceTracker(), snapshot);
+    }
+
+    /**
+     * Records a round's outcome against the decision the strategy made in the previous round.
      *
      * @param {object} log - The comprehensive log object from BaccaratStrategy.addOutcome().
      * @param {string} actualOutcome - The actual outcome that occurred (e.g., 'B', 'P', 'T').
      */
     recordDecision(log, actualOutcome) {
         this.outcomes_observed++;
-        const { decision, analysis } = log;
-
-        // 1. Update Net Profit based on the actual bet made (Relaxed Mode)
-        if (decision.stake > 0) {
-            this.net_profit_units += (decision.betOn === actualOutcome) ? (decision.stake * 0.95) : -decision.stake;
-        }
+        const { settlement, decision } = log;
 
-        // 2. Log performance for the Relaxed (Confidence-based) strategy
-        if (decision.stake > 0) {
-            this.relaxed_metrics.bets_made++;
-            this.relaxed_metrics.units_staked += decision.stake;
-            if (decision.betOn === actualOutcome) {
-                this.relaxed_metrics.wins++;
+        if (settlement) {
+            // The strategy settled its previous bet against this outcome
+            this.net_profit_units += settlement.net;
+            this.metrics.bets_made++;
+            this.metrics.units_staked += settlement.stake;
+            if (settlement.result === 'win') {
+                this.metrics.wins++;
+            } else if (settlement.result === 'loss') {
+                this.metrics.losses++; // This is a "False Signal"
             } else {
-                this.relaxed_metrics.losses++; // This is a "False Signal"
+                this.metrics.pushes++;
             }
-        }
-
-        // 3. Log performance for the Strict (Triple-Confirmation) strategy
-        if (analysis.strict_signal) {
-            this.strict_metrics.signals_fired++;
+            this.recordRisk(settlement);
+            this.recordStakeTier(settlement);
+        } else if (this.pending_bet === false) {
+            // No bet was placed: was it a missed opportunity or a good call?
             if (actualOutcome === 'B') {
-                this.strict_metrics.wins++;
-            } else {
-                this.strict_metrics.losses++;
-            }
-        } else {
-            // If the strict signal didn't fire, was it a missed opportunity or a good call?
-            if (actualOutcome === 'B') {
-                this.strict_metrics.missed_wins++;
-            } else {
-                this.strict_metrics.avoided_losses++;
+                this.metrics.missed_wins++;
+            } else if (actualOutcome === 'P') {
+                this.metrics.avoided_losses++;
             }
         }
-    }
+        this.pending_bet = decision.stake > 0;
 
-    /**
-     * Generates a string summary comparing the performance of both modes.
-     * @returns {string} A formatted string with the performance report.
-     */
-    getSummary() {
-        const { wins: relaxed_wins, losses: relaxed_losses, bets_made: relaxed_bets_made } = this.relaxed_metrics;
-        const relaxed_winrate = relaxed_bets_made > 0 ? (relaxed_wins / relaxed_bets_made) : 0;
+        this.recordCalibration(actualOutcome);
+        const banker_confidence = log.sides ? log.sides.B.confidence : null;
+        this.calibration.pending_confidence = Number.isFinite(banker_confidence) ? banker_confidence : null;
+        this.calibration.pending_payout_model = log.payout_model || null;
+    }
 
-        const { wins: strict_wins, losses: strict_losses, signals_fired: strict_signals_fired, missed_wins: strict_missed_wins } = this.strict_metrics;
-        const strict_winrate = strict_signals_fired > 0 ? (strict_wins / strict_signals_fired) : 0;
+    recordRisk(settlement) {
+        const risk = this.risk;
+        risk.peak_profit = Math.max(risk.peak_profit, this.net_profit_units);
+        risk.max_drawdown = Math.max(risk.max_drawdown, risk.peak_profit - this.net_profit_units);
+        if (settlement.result === 'loss') {
+            risk.losing_run++;
+            risk.longest_losing_run = Math.max(risk.longest_losing_run, risk.losing_run);
+        } else if (settlement.result === 'win') {
+            risk.losing_run = 0;
+        }
+    }
 
-        const ev_per_bet = this.relaxed_metrics.bets_made > 0 ? (this.net_profit_units / this.relaxed_metrics.bets_made) : 0;
+    recordStakeTier(settlement) {
+        const key = String(settlement.stake);
+        const tier = this.stake_tiers[key] || (this.stake_tiers[key] = { bets: 0, wins: 0, losses: 0, pushes: 0, net: 0 });
+        tier.bets++;
+        tier.net += settlement.net;
+        if (settlement.result === 'win') tier.wins++;
+        else if (settlement.result === 'loss') tier.losses++;
+        else tier.pushes++;
+    }
 
-        return `
-===================================
-      SHOE PERFORMANCE REPORT
-===================================
+    /**
+     * Scores the previous round's Banker confidence against this outcome. Ties are skipped,
+     * since a Banker bet pushes on them.
+     * @param {string} actualOutcome
+     */
+    recordCalibration(actualOutcome) {
+        const calibration = this.calibration;
+        const predicted = calibration.pending_confidence;
+        if (predicted === null || actualOutcome === 'T') return;
 
-Total Rounds: ${this.outcomes_observed}
-Net Profit: ${this.net_profit_units.toFixed(2)} units
-Expected Value/Bet: ${ev_per_bet.toFixed(3)} units
+        const banker_won = actualOutcome === 'B' ? 1 : 0;
+        const clamped = Math.min(Math.max(predicted, LOG_LOSS_EPSILON), 1 - LOG_LOSS_EPSILON);
+        calibration.samples++;
+        calibration.brier_sum += (predicted - banker_won) ** 2;
+        calibration.log_loss_sum -= banker_won ? Math.log(clamped) : Math.log(1 - clamped);
 
---- Mode B: Relaxed (Confidence-Based Betting) ---
-Bets Made: ${relaxed_bets_made}
-Total Units Staked: ${this.relaxed_metrics.units_staked}
+        const bins = calibration.bins;
+        const bin = bins[Math.min(Math.max(Math.floor(predicted * CALIBRATION_BIN_COUNT), 0), bins.length - 1)];
+        bin.count++;
+        bin.confidence_sum += predicted;
+        bin.banker_wins += banker_won;
+        // What a flat 1-unit Banker bet would have returned at this confidence
+        bin.banker_net += settleBet(getPayoutModel(calibration.pending_payout_model), 'B', 1, actualOutcome).net;
+    }
 
-  - Wins: ${relaxed_wins}
-  - False Signals (Losses): ${relaxed_losses}
-  - Win Rate: ${(relaxed_winrate * 100).toFixed(2)}%
+    /**
+     * Win rate over decided bets; pushes are excluded.
+     * @returns {number}
+     */
+    getWinRate() {
+        const decided = this.metrics.wins + this.metrics.losses;
+        return decided > 0 ? this.metrics.wins / decided : 0;
+    }
 
---- Mode A: Strict (Triple-Confirmation Signal) ---
-Signals Fired: ${strict_signals_fired}
+    /**
+     * Builds a structured report of this tracker's performance.
+     * @param {string} [name='Strategy'] - The strategy variant's name.
+     * @returns {object} The report:
+     *   - bets: counts, win rate and expected value per bet.
+     *   - signals: false signals (lost bets) vs missed opportunities (no bet, Banker won).
+     *   - risk: max drawdown and longest losing run, in units and bets.
+     *   - stake_tiers: results per stake size, smallest first.
+     *   - calibration: Brier score, log loss and reliability bins of the Banker confidence index, plus
+     *     `cutoffs`, the flat 1-unit Banker result of betting at or above each bin's lower edge.
+     *     `suggested_min_confidence` is the most profitable cutoff, or null if none was profitable.
+     */
+    getReport(name = 'Strategy') {
+        const { wins, losses, pushes, bets_made, units_staked, missed_wins, avoided_losses } = this.metrics;
+        const calibration = this.calibration;
 
-  - Correct Signals (Wins): ${strict_wins}
-  - Incorrect Signals (Losses): ${strict_losses}
-  - Signal Win Rate: ${(strict_winrate * 100).toFixed(2)}%
+        const bins = calibration.bins.map((bin, index) => ({
+            from: index / CALIBRATION_BIN_COUNT,
+            to: (index + 1) / CALIBRATION_BIN_COUNT,
+            count: bin.count,
+            mean_confidence: bin.count > 0 ? bin.confidence_sum / bin.count : null,
+            banker_win_rate: bin.count > 0 ? bin.banker_wins / bin.count : null,
+        }));
+        const cutoffs = [];
+        let bets = 0, net = 0;
+        for (let i = calibration.bins.length - 1; i >= 0; i--) {
+            bets += calibration.bins[i].count;
+            net += calibration.bins[i].banker_net;
+            cutoffs.unshift({ min_confidence: bins[i].from, bets: bets, net_units: net });
+        }
+        const best_cutoff = cutoffs.reduce((best, cutoff) => (cutoff.net_units > (best ? best.net_units : 0) ? cutoff : best), null);
 
-  - Missed Opportunities: ${strict_missed_wins} (Strict said NO, but should have bet)
+        return {
+            variant: name,
+            rounds: this.outcomes_observed,
+            net_profit: this.net_profit_units,
+            bets: {
+                made: bets_made,
+                units_staked: units_staked,
+                wins: wins,
+                losses: losses,
+                pushes: pushes,
+                win_rate: this.getWinRate(),
+                ev_per_bet: bets_made > 0 ? this.net_profit_units / bets_made : 0,
+            },
+            signals: {
+                false_signals: losses,
+                missed_opportunities: missed_wins,
+                avoided_losses: avoided_losses,
+            },
+            risk: {
+                max_drawdown: this.risk.max_drawdown,
+                longest_losing_run: this.risk.longest_losing_run,
+            },
+            stake_tiers: Object.keys(this.stake_tiers)
+                .sort((a, b) => Number(a) - Number(b))
+                .map(units => ({ units: Number(units), ...this.stake_tiers[units] })),
+            calibration: {
+                samples: calibration.samples,
+                brier_score: calibration.samples > 0 ? calibration.brier_sum / calibration.samples : null,
+                log_loss: calibration.samples > 0 ? calibration.log_loss_sum / calibration.samples : null,
+                bins: bins,
+                cutoffs: cutoffs,
+                suggested_min_confidence: best_cutoff ? best_cutoff.min_confidence : null,
+            },
+        };
+    }
 
------------------------------------
-Analysis:
-- The Relaxed model's win rate shows the raw performance of the confidence index.
-- The Strict model's win rate shows performance under maximum confirmation.
-- Compare 'False Signals' (Relaxed) vs. 'Missed Opportunities' (Strict) to find the optimal confidence cutoff.
-        `;
+    /**
+     * Builds a shoe report comparing strategy variants run on the same outcomes.
+     * @param {Object<string, PerformanceTracker>} trackers - Trackers keyed by variant name.
+     * @returns {{rounds: number, best_variant: ?string, variants: object[]}} Variant reports in the given order;
+     *     `best_variant` is the one with the highest net profit.
+     */
+    static compareReports(trackers) {
+        const variants = Object.keys(trackers).map(name => trackers[name].getReport(name));
+        const best = variants.reduce((top, report) => (!top || report.net_profit > top.net_profit ? report : top), null);
+        return {
+            rounds: variants.length > 0 ? variants[0].rounds : 0,
+            best_variant: best ? best.variant : null,
+            variants: variants,
+        };
     }
 }
@@ -0,0 +1,160 @@
+/**
+ * persistence.js
+ *
+ * Saves and restores the per-table shoe states, the learned global priors and the bankrolls
+ * carried across shoes, so they survive MV3 service worker restarts and browser restarts.
+ * The snapshot is versioned; older snapshots are upgraded through STATE_MIGRATIONS and
+ * snapshots from an unknown (newer) version are ignored rather than misread.
+ */
+
+// Assumes strategy.js, performance.js, composition.js and connections.js are loaded, providing
+// BaccaratStrategy, PerformanceTracker, ShoeComposition and the table id namespacing.
+
+const STATE_STORAGE_KEY = 'persistedState';
+const STATE_VERSION = 4;
+
+/**
+ * Upgrades a snapshot by one version. Keyed by the version being upgraded *from*.
+ * @type {Object<number, function(object): object>}
+ */
+const STATE_MIGRATIONS = {
+    // v1 tables had no outcome history, so they cannot be continued incrementally.
+    // Keep the learned priors and let each table start a fresh shoe.
+    1: (snapshot) => ({ ...snapshot, version: 2, tables: {} }),
+    // v2 tables ran a single strategy; it becomes the 'relaxed' variant. Variants configured
+    // since are added by the background script, which replays the stored outcomes into them.
+    2: (snapshot) => {
+        const tables = {};
+        for (const tableId in snapshot.tables) {
+            const { strategy, performanceTracker, lastLog, ...table } = snapshot.tables[tableId];
+            if (!strategy || !performanceTracker) continue;
+            // The tracker's relaxed-mode counters become its only counters.
+            const { relaxed_metrics, strict_metrics, pending_strict_signal, ...tracker } = performanceTracker;
+            tracker.metrics = { pushes: 0, missed_wins: 0, avoided_losses: 0, ...relaxed_metrics };
+            tracker.pending_bet = lastLog ? lastLog.decision.stake > 0 : null;
+            tables[tableId] = { ...table, variants: { relaxed: { strategy, performanceTracker: tracker, lastLog } } };
+        }
+        return { ...snapshot, version: 3, tables: tables };
+    },
+    // v3 table ids were not namespaced by connection, so their shoes cannot be matched to a
+    // connection. The shoes start over; the learned priors stay under the bare table ids, which
+    // the background script falls back to for a table's first shoe on any connection.
+    3: (snapshot) => ({ ...snapshot, version: 4, tables: {} }),
+};
+
+/**
+ * Converts the in-memory state to a versioned, JSON-safe snapshot.
+ * @param {object} shoeStates - Per-table state ({ shoeId, shoeKey, prior, outcomes, historyOffset, composition, variants }), where each
+ *     variant is { strategy, performanceTracker, lastLog }.
+ * @param {object} globalPriors - Learned priors per table.
+ * @param {object} [globalBankrolls={}] - Bankrolls per table and variant at the end of the table's last shoe.
+ * @returns {object} The snapshot.
+ */
+function serializeState(shoeStates, globalPriors, globalBankrolls = {}) {
+    const tables = {};
+    for (const tableId in shoeStates) {
+        const state = shoeStates[tableId];
+        const variants = {};
+        for (const name in state.variants) {
+            const variant = state.variants[name];
+            variants[name] = {
+                strategy: variant.strategy.serialize(),
+                performanceTracker: variant.performanceTracker.serialize(),
+                lastLog: variant.lastLog || null,
+            };
+        }
+        tables[tableId] = {
+            shoeId: state.shoeId,
+            shoeKey: state.shoeKey,
+            prior: state.prior,
+            outcomes: state.outcomes,
+            historyOffset: state.historyOffset,
+            composition: state.composition.serialize(),
+            variants: variants,
+        };
+    }
+    return {
+        version: STATE_VERSION,
+        savedAt: new Date().toISOString(),
+        globalPriors: JSON.parse(JSON.stringify(globalPriors)),
+        globalBankrolls: JSON.parse(JSON.stringify(globalBankrolls)),
+        tables: tables,
+    };
+}
+
+/**
+ * Rebuilds the in-memory state from a snapshot, migrating it first if needed.
+ * @param {object} snapshot - A snapshot produced by serializeState().
+ * @returns {?{shoeStates: object, globalPriors: object, globalBankrolls: object}} The restored state, or null if unusable.
+ */
+function deserializeState(snapshot) {
+    const migrated = migrateState(snapshot);
+    if (!migrated) return null;
+
+    const shoeStates = {};
+    for (const tableId in migrated.tables) {
+        const table = migrated.tables[tableId];
+        const variants = {};
+        for (const name in table.variants) {
+            const variant = table.variants[name];
+            variants[name] = {
+                strategy: BaccaratStrategy.restore(variant.strategy),
+                performanceTracker: PerformanceTracker.restore(variant.performanceTracker),
+                lastLog: variant.lastLog,
+            };
+        }
+        shoeStates[tableId] = {
+            shoeId: table.shoeId,
+            shoeKey: table.shoeKey,
+            prior: table.prior,
+            outcomes: table.outcomes,
+            historyOffset: table.historyOffset || 0,
+            // Snapshots from before card tracking start from a full shoe; cards not seen do not
+            // bias the composition (see composition.js).
+            composition: table.composition ? ShoeComposition.restore(table.composition) : new ShoeComposition(),
+            compositionAnalysis: null,
+            variants: variants,
+        };
+    }
+    // Snapshots from before bankrolls were carried across shoes start every bankroll afresh.
+    return { shoeStates: shoeStates, globalPriors: migrated.globalPriors || {}, globalBankrolls: migrated.globalBankrolls || {} };
+}
+
+function migrateState(snapshot) {
+    if (!snapshot || typeof snapshot.version !== 'number') return null;
+    let migrated = snapshot;
+    while (migrated.version < STATE_VERSION) {
+        const migrate = STATE_MIGRATIONS[migrated.version];
+        if (!migrate) return null;
+        migrated = migrate(migrated);
+    }
+    if (migrated.version !== STATE_VERSION) {
+        console.warn(`Ignoring persisted state with unsupported version ${migrated.version}.`);
+        return null;
+    }
+    return migrated;
+}
+
+/**
+ * Reads the raw snapshot from chrome.storage.
+ * @param {function(?object)} callback - Receives the snapshot, or null if nothing is stored.
+ */
+function loadPersistedState(callback) {
+    chrome.storage.local.get([STATE_STORAGE_KEY], (result) => {
+        callback(result[STATE_STORAGE_KEY] || null);
+    });
+}
+
+/**
+ * @param {object} snapshot - A snapshot produced by serializeState().
+ */
+function savePersistedState(snapshot) {
+    chrome.storage.local.set({ [STATE_STORAGE_KEY]: snapshot });
+}
+
+/**
+ * @param {function()} [callback]
+ */
+function clearPersistedState(callback) {
+    chrome.storage.local.remove(STATE_STORAGE_KEY, callback);
+}
@@ -1,42 +1,116 @@
 // UI Elements
 const captureToggle = document.getElementById('capture-toggle');
 const autoConnectToggle = document.getElementById('auto-connect-toggle');
+const recordToggle = document.getElementById('record-toggle');
 const cookieNameInput = document.getElementById('cookie-name');
+const connectionNameInput = document.getElementById('connection-name');
+const adapterSelect = document.getElementById('adapter-select');
+const decoderSelect = document.getElementById('decoder-select');
+const profileSelect = document.getElementById('profile-select');
+const profileConnectButton = document.getElementById('profile-connect-button');
 const configDiv = document.getElementById('config');
 const discoveredListDiv = document.getElementById('discovered-list');
 const disconnectButton = document.getElementById('disconnect-button');
 const statusSpan = document.getElementById('status');
-const messagesDiv = document.getElementById('messages');
+const connectionsListDiv = document.getElementById('connections-list');
+const sendConnectionSelect = document.getElementById('send-connection');
+const consoleTextFilter = document.getElementById('console-text-filter');
+const consolePathFilter = document.getElementById('console-path-filter');
+const consoleDirectionFilter = document.getElementById('console-direction-filter');
+const consolePauseButton = document.getElementById('console-pause-button');
+const consoleClearButton = document.getElementById('console-clear-button');
 const messageInput = document.getElementById('message-input');
 const sendButton = document.getElementById('send-button');
+const recordingSelect = document.getElementById('recording-select');
+const downloadRecordingButton = document.getElementById('download-recording-button');
+const replayFileInput = document.getElementById('replay-file');
+const replaySpeedSelect = document.getElementById('replay-speed');
+const replayButton = document.getElementById('replay-button');
+const stopReplayButton = document.getElementById('stop-replay-button');
+const inspectStateButton = document.getElementById('inspect-state-button');
+const clearStateButton = document.getElementById('clear-state-button');
+const settingsButton = document.getElementById('settings-button');
+const exportKindSelect = document.getElementById('export-kind');
+const exportTableInput = document.getElementById('export-table');
+const exportTablesList = document.getElementById('export-tables');
+const exportFromInput = document.getElementById('export-from');
+const exportToInput = document.getElementById('export-to');
+const exportFormatSelect = document.getElementById('export-format');
+const exportButton = document.getElementById('export-button');
 
 const discoveredUrls = new Set();
+let profiles = [];
+const messageConsole = new MessageConsole({
+  list: document.getElementById('messages'),
+  status: document.getElementById('console-status'),
+});
 
 // Load saved state on startup
 document.addEventListener('DOMContentLoaded', () => {
-  chrome.storage.local.get(['cookieName', 'captureMode', 'autoConnectMode'], (result) => {
+  listFeedAdapters().forEach(adapter => {
+    const option = document.createElement('option');
+    option.value = adapter.id;
+    option.textContent = adapter.label;
+    adapterSelect.appendChild(option);
+  });
+  listFrameDecoders().forEach(decoder => {
+    const option = document.createElement('option');
+    option.value = decoder.id;
+    option.textContent = decoder.label;
+    decoderSelect.appendChild(option);
+  });
+  chrome.storage.local.get(['cookieName', 'captureMode', 'autoConnectMode', 'recordMode', 'adapterId', 'decoderId'], (result) => {
     if (result.cookieName) cookieNameInput.value = result.cookieName;
+    adapterSelect.value = result.adapterId || DEFAULT_FEED_ADAPTER_ID;
+    decoderSelect.value = result.decoderId || DEFAULT_FRAME_DECODER_ID;
     captureToggle.checked = !!result.captureMode;
     autoConnectToggle.checked = !!result.autoConnectMode;
+    recordToggle.checked = !!result.recordMode;
     if (result.autoConnectMode) {
         configDiv.classList.add('disabled');
     }
   });
+  // Discovered URLs are listed once the profiles are known, so they can show their profile.
+  loadProfiles((stored) => {
+    profiles = stored;
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    });
+    profileSelect.disabled = profileConnectButton.disabled = profiles.length === 0;
+    chrome.runtime.sendMessage({ type: "GET_DISCOVERED_LIST" });
+  });
   chrome.runtime.sendMessage({ type: "GET_STATUS" });
-  chrome.runtime.sendMessage({ type: "GET_DISCOVERED_LIST" });
+  chrome.runtime.sendMessage({ type: "GET_MESSAGE_LOG" });
+  for (const [select, options] of [[exportKindSelect, EXPORT_KINDS], [exportFormatSelect, EXPORT_FORMATS]]) {
+    for (const id in options) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = options[id].label;
+      select.appendChild(option);
+    }
+  }
+  chrome.runtime.sendMessage({ type: "GET_EXPORT_TABLES" });
+  chrome.runtime.sendMessage({ type: "GET_RECORDINGS" });
 });
 
 // Listen for messages from the background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case "WS_MSG":
-      const content = typeof message.data === 'object' ? JSON.stringify(message.data, null, 2) : message.data;
-      addMessageToLog(content, 'received');
+      messageConsole.add(message.data);
+      break;
+    case "MESSAGE_LOG":
+      messageConsole.load(message.data);
       break;
     case "STATUS_UPDATE":
       statusSpan.textContent = message.status;
       statusSpan.style.color = message.color || 'black';
       break;
+    case "CONNECTIONS_UPDATE":
+      renderConnections(message.data);
+      break;
     case "WEBSOCKET_DISCOVERED":
       addDiscoveredUrl(message.data);
       break;
@@ -46,6 +120,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case "AUTO_CONNECT_UPDATE":
         cookieNameInput.value = message.data.cookieName;
         break;
+    case "RECORDINGS":
+        renderRecordings(message.data);
+        break;
+    case "RECORDING_DATA":
+        saveRecording(message.data);
+        break;
+    case "EXPORT_TABLES":
+        exportTablesList.innerHTML = '';
+        message.data.forEach(tableId => {
+          const option = document.createElement('option');
+          option.value = tableId;
+          exportTablesList.appendChild(option);
+        });
+        break;
+    case "EXPORT_DATA":
+        saveExport(message);
+        break;
+    case "PERSISTED_STATE":
+        messageConsole.add({ id: `state-${Date.now()}`, t: Date.now(), direction: 'state', connection: null, data: message.data || 'No persisted state.' });
+        break;
   }
 });
 
@@ -58,21 +152,102 @@ function addDiscoveredUrl(data) {
     urlSpan.className = 'url';
     urlSpan.textContent = data.wsUrl;
     item.appendChild(urlSpan);
+    const profile = findProfileForUrl(profiles, data.wsUrl);
+    if (profile) {
+        const profileSpan = document.createElement('span');
+        profileSpan.className = 'profile';
+        profileSpan.textContent = profile.name;
+        item.appendChild(profileSpan);
+    }
     const connectBtn = document.createElement('button');
     connectBtn.textContent = 'Connect';
     connectBtn.addEventListener('click', () => {
+        if (profile) {
+            chrome.runtime.sendMessage({ type: "CONNECT_PROFILE", data: { name: profile.name, wsUrl: data.wsUrl } });
+            return;
+        }
         const cookieName = cookieNameInput.value;
         if (!cookieName) {
             alert('Please enter a Cookie Name first!');
             return;
         }
         chrome.storage.local.set({ cookieName: cookieName });
-        chrome.runtime.sendMessage({ type: "CONNECT", data: { wsUrl: data.wsUrl, targetUrl: data.origin, cookieName: cookieName } });
+        // Connecting again under a name that is already open replaces that connection.
+        const name = connectionNameInput.value.trim() || defaultConnectionName(data.wsUrl);
+        chrome.runtime.sendMessage({ type: "CONNECT", data: { name: name, wsUrl: data.wsUrl, targetUrl: data.origin, cookieName: cookieName, adapter: adapterSelect.value, decoder: decoderSelect.value } });
+        connectionNameInput.value = '';
     });
     item.appendChild(connectBtn);
     discoveredListDiv.appendChild(item);
 }
 
+/**
+ * Lists the open connections with their own status and a disconnect button each, and offers
+ * them as targets for sent messages.
+ * @param {{name: string, wsUrl: string, status: string, color: string}[]} connections
+ */
+function renderConnections(connections) {
+    connectionsListDiv.innerHTML = '';
+    const selected = sendConnectionSelect.value;
+    sendConnectionSelect.innerHTML = '';
+    connections.forEach(connection => {
+        const item = document.createElement('div');
+        item.className = 'connection-item';
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'name';
+        nameSpan.textContent = connection.name;
+        const urlSpan = document.createElement('span');
+        urlSpan.className = 'url';
+        urlSpan.textContent = connection.wsUrl;
+        const statusSpan = document.createElement('span');
+        statusSpan.className = 'status';
+        statusSpan.textContent = connection.status;
+        statusSpan.style.color = connection.color || 'black';
+        const disconnectBtn = document.createElement('button');
+        disconnectBtn.textContent = 'Disconnect';
+        disconnectBtn.addEventListener('click', () => {
+            chrome.runtime.sendMessage({ type: "DISCONNECT", data: { name: connection.name } });
+        });
+        const healthDiv = document.createElement('div');
+        healthDiv.className = 'health';
+        healthDiv.textContent = formatHealth(connection.health);
+        item.append(nameSpan, urlSpan, statusSpan, disconnectBtn, healthDiv);
+        connectionsListDiv.appendChild(item);
+
+        const option = document.createElement('option');
+        option.value = option.textContent = connection.name;
+        sendConnectionSelect.appendChild(option);
+    });
+    if (connections.some(connection => connection.name === selected)) sendConnectionSelect.value = selected;
+    sendConnectionSelect.disabled = connections.length === 0;
+}
+
+/**
+ * e.g. "up 3m 12s · 2 reconnects · last message 4s ago · stalled: lobby-a:bac1"
+ */
+function formatHealth(health) {
+    if (!health) return '';
+    const parts = [];
+    if (health.uptime_ms !== null) parts.push(`up ${formatDuration(health.uptime_ms)}`);
+    else if (health.attempts > 0) parts.push(`retry ${health.attempts}`);
+    parts.push(`${health.reconnects} reconnect${health.reconnects === 1 ? '' : 's'}`);
+    if (health.last_message_age_ms !== null) parts.push(`last message ${formatDuration(health.last_message_age_ms)} ago`);
+    if (health.stalled_tables.length > 0) parts.push(`stalled: ${health.stalled_tables.join(', ')}`);
+    return parts.join(' · ');
+}
+
+// A profile with a URL pattern needs a matching discovered URL.
+profileConnectButton.addEventListener('click', () => {
+    const profile = profiles.find(candidate => candidate.name === profileSelect.value);
+    if (!profile) return;
+    const discovered = [...discoveredUrls].find(wsUrl => urlMatchesPattern(profile.url, wsUrl));
+    if (profile.url.includes('*') && !discovered) {
+        alert(`Profile '${profile.name}' matches ${profile.url}; capture a matching WebSocket first.`);
+        return;
+    }
+    chrome.runtime.sendMessage({ type: "CONNECT_PROFILE", data: { name: profile.name, wsUrl: profile.url.includes('*') ? discovered : undefined } });
+});
+
 // Handle Toggles
 captureToggle.addEventListener('change', () => {
   const isEnabled = captureToggle.checked;
@@ -87,7 +262,117 @@ autoConnectToggle.addEventListener('change', () => {
     chrome.runtime.sendMessage({ type: "SET_AUTO_CONNECT", data: { enabled: isEnabled } });
 });
 
-// Handle Disconnect button click
+adapterSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ adapterId: adapterSelect.value });
+});
+
+decoderSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ decoderId: decoderSelect.value });
+});
+
+recordToggle.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ type: "SET_RECORDING", data: { enabled: recordToggle.checked } });
+});
+
+// Session recording and replay
+downloadRecordingButton.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: "DOWNLOAD_RECORDING", data: { id: recordingSelect.value || null } });
+});
+
+// Refreshed on focus, since the session being recorded grows while the popup is open.
+recordingSelect.addEventListener('focus', () => {
+  chrome.runtime.sendMessage({ type: "GET_RECORDINGS" });
+});
+
+function renderRecordings(sessions) {
+  const selected = recordingSelect.value;
+  recordingSelect.innerHTML = '<option value="">Latest session</option>';
+  sessions.slice().reverse().forEach(session => {
+    const option = document.createElement('option');
+    option.value = session.id;
+    option.textContent = `${new Date(session.startedAt).toLocaleString()} (${session.frames} frames)`;
+    recordingSelect.appendChild(option);
+  });
+  if (sessions.some(session => session.id === selected)) recordingSelect.value = selected;
+}
+
+function saveRecording(recording) {
+  if (!recording) {
+    alert('No recorded session yet. Enable "Record Frames" and connect first.');
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([recording.content], { type: 'application/x-ndjson' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = recording.filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+replayButton.addEventListener('click', () => {
+  const file = replayFileInput.files[0];
+  if (!file) {
+    alert('Please choose a recorded session file first!');
+    return;
+  }
+  file.text().then(content => {
+    chrome.runtime.sendMessage({ type: "START_REPLAY", data: { content: content, speed: Number(replaySpeedSelect.value) } });
+  });
+});
+
+stopReplayButton.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: "STOP_REPLAY" });
+});
+
+// Persisted strategy state
+inspectStateButton.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: "GET_PERSISTED_STATE" });
+});
+
+clearStateButton.addEventListener('click', () => {
+  if (confirm('Clear all saved shoe states and learned priors?')) {
+    chrome.runtime.sendMessage({ type: "CLEAR_PERSISTED_STATE" });
+  }
+});
+
+// Decision export; the background script filters and formats the stored history
+exportButton.addEventListener('click', () => {
+  const time = (input) => (input.value ? new Date(input.value).getTime() : null);
+  chrome.runtime.sendMessage({
+    type: "EXPORT_HISTORY",
+    data: {
+      kind: exportKindSelect.value,
+      format: exportFormatSelect.value,
+      tableId: exportTableInput.value.trim(),
+      from: time(exportFromInput),
+      to: time(exportToInput),
+    }
+  });
+});
+
+function saveExport(message) {
+  if (message.error) {
+    alert(`Export failed: ${message.error}`);
+    return;
+  }
+  if (message.data.count === 0) {
+    alert('Nothing to export for this table and time range.');
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([message.data.content], { type: message.data.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = message.data.filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Strategy settings live on the options page
+settingsButton.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Handle Disconnect All button click
 disconnectButton.addEventListener('click', () => {
   chrome.runtime.sendMessage({ type: "DISCONNECT" });
 });
@@ -96,19 +381,23 @@ disconnectButton.addEventListener('click', () => {
 function sendMessage() {
   const message = messageInput.value;
   if (message) {
-    chrome.runtime.sendMessage({ type: "WS_SEND", data: message });
-    addMessageToLog(`${message}`, 'sent');
+    // The background script logs the message and echoes it back as a 'sent' entry.
+    chrome.runtime.sendMessage({ type: "WS_SEND", connection: sendConnectionSelect.value, data: message });
     messageInput.value = '';
   }
 }
 sendButton.addEventListener('click', sendMessage);
 messageInput.addEventListener('keyup', (event) => { if (event.key === 'Enter') sendMessage(); });
 
-// Helper to add messages to the log
-function addMessageToLog(text, type) {
-  const p = document.createElement('p');
-  p.textContent = text;
-  p.className = type;
-  messagesDiv.appendChild(p);
-  messagesDiv.scrollTop = messagesDiv.scrollHeight;
-}
\ No newline at end of file
+// Message console controls
+consoleTextFilter.addEventListener('input', () => messageConsole.setFilters({ text: consoleTextFilter.value }));
+consolePathFilter.addEventListener('input', () => messageConsole.setFilters({ path: consolePathFilter.value }));
+consoleDirectionFilter.addEventListener('change', () => messageConsole.setFilters({ direction: consoleDirectionFilter.value }));
+consolePauseButton.addEventListener('click', () => {
+  messageConsole.setPaused(!messageConsole.paused);
+  consolePauseButton.textContent = messageConsole.paused ? 'Resume' : 'Pause';
+});
+consoleClearButton.addEventListener('click', () => {
+  messageConsole.clear();
+  chrome.runtime.sendMessage({ type: "CLEAR_MESSAGE_LOG" });
+});
@@ -0,0 +1,265 @@
+/**
+ * profiles.js
+ *
+ * Saved connection profiles: everything needed to open a feed without capture mode or typing,
+ * stored in chrome.storage under 'connectionProfiles' as an array of
+ *   {
+ *     name: 'lobby-a',                          // Also the connection name
+ *     url: 'wss://live.example.com/lobby/*',    // The feed URL; '*' matches any characters
+ *     target_url: 'https://example.com',        // Page the auth cookie belongs to (default: the URL's origin)
+ *     cookie_name: 'session',
+ *     adapter: 'default', decoder: 'auto',      // See adapters.js and decoders.js
+ *     on_open: [{ send: '{"op":"subscribe","token":"{{token|json}}"}', delay_ms: 0 }],
+ *     captures: [{ name: 'token', path: 'data.token', when: { path: 'op', equals: 'hello' } }],
+ *     reconnect, heartbeat, stale                // Optional, see DEFAULT_CONNECTION_OPTIONS
+ *   }
+ *
+ * After the socket opens, the on_open messages are sent in order. A message is a template:
+ * '{{name}}' is replaced by a value captured from an earlier server message on the same
+ * connection ('{{name|json}}' inserts it JSON-encoded), and a message waits until every value
+ * it uses has been captured. Captures are read from each decoded message with a dotted path
+ * ('tables[0].id'), optionally only from messages matching `when`. The built-in values
+ * {{connection}}, {{url}} and {{now}} are always available.
+ *
+ * Loaded by the service worker (importScripts), the popup and the options page.
+ */
+
+// Assumes adapters.js and connections.js are loaded, providing hasFeedAdapter() and the table
+// id namespacing.
+
+const PROFILES_STORAGE_KEY = 'connectionProfiles';
+const ON_OPEN_STEP_TIMEOUT_MS = 15000;
+
+/**
+ * Reads a dotted path ('a.b[0].c') from a value.
+ * @param {*} value
+ * @param {string} path
+ * @returns {*} The value at the path, or undefined.
+ */
+function readPath(value, path) {
+    const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(key => key !== '');
+    return keys.reduce((current, key) => (current !== null && typeof current === 'object' ? current[key] : undefined), value);
+}
+
+/**
+ * @param {string} template
+ * @returns {string[]} The variable names the template uses.
+ */
+function templateVariables(template) {
+    return [...template.matchAll(/\{\{\s*([\w.-]+)(?:\s*\|\s*(\w+))?\s*\}\}/g)].map(match => match[1]);
+}
+
+/**
+ * Fills in a template's variables.
+ * @param {string} template
+ * @param {object} values
+ * @returns {{text: ?string, missing: string[]}} The text, or null with the missing variable names.
+ */
+function renderTemplate(template, values) {
+    const missing = templateVariables(template).filter(name => values[name] === undefined);
+    if (missing.length > 0) return { text: null, missing: missing };
+    const text = template.replace(/\{\{\s*([\w.-]+)(?:\s*\|\s*(\w+))?\s*\}\}/g, (match, name, filter) => {
+        const value = values[name];
+        if (filter === 'json') return JSON.stringify(value);
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+    return { text: text, missing: [] };
+}
+
+/**
+ * @param {string} pattern - A URL with '*' wildcards.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function urlMatchesPattern(pattern, url) {
+    const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(url);
+}
+
+/**
+ * @param {object[]} profiles
+ * @param {string} wsUrl
+ * @returns {?object} The first profile whose URL pattern matches.
+ */
+function findProfileForUrl(profiles, wsUrl) {
+    return profiles.find(profile => urlMatchesPattern(profile.url, wsUrl)) || null;
+}
+
+/**
+ * Checks a profile's shape.
+ * @param {*} profile
+ * @returns {string[]} One message per problem; empty if valid.
+ */
+function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object') return ['A profile must be an object.'];
+    const errors = [];
+    const label = typeof profile.name === 'string' && profile.name ? profile.name : '(unnamed)';
+    if (typeof profile.name !== 'string' || !profile.name.trim()) errors.push("Missing 'name'.");
+    else if (profile.name.includes(TABLE_NAMESPACE_SEPARATOR)) errors.push(`'name' cannot contain '${TABLE_NAMESPACE_SEPARATOR}'.`);
+    if (typeof profile.url !== 'string' || !/^wss?:\/\//.test(profile.url)) errors.push("'url' must start with ws:// or wss://.");
+    if (profile.target_url !== undefined && (typeof profile.target_url !== 'string' || !/^https?:\/\//.test(profile.target_url))) {
+        errors.push("'target_url' must start with http:// or https://.");
+    }
+    if (typeof profile.cookie_name !== 'string' || !profile.cookie_name) errors.push("Missing 'cookie_name'.");
+    if (profile.adapter !== undefined && !hasFeedAdapter(profile.adapter)) errors.push(`Unknown adapter '${profile.adapter}'.`);
+    for (const [index, step] of (Array.isArray(profile.on_open) ? profile.on_open : []).entries()) {
+        if (!step || typeof step.send !== 'string') errors.push(`on_open[${index}] needs a 'send' template.`);
+        else if (step.delay_ms !== undefined && !(Number.isFinite(step.delay_ms) && step.delay_ms >= 0)) errors.push(`on_open[${index}].delay_ms must be a number of milliseconds.`);
+    }
+    if (profile.on_open !== undefined && !Array.isArray(profile.on_open)) errors.push("'on_open' must be a list.");
+    if (profile.captures !== undefined && !Array.isArray(profile.captures)) errors.push("'captures' must be a list.");
+    for (const [index, capture] of (Array.isArray(profile.captures) ? profile.captures : []).entries()) {
+        if (!capture || typeof capture.name !== 'string' || typeof capture.path !== 'string') errors.push(`captures[${index}] needs a 'name' and a 'path'.`);
+        else if (capture.when !== undefined && (!capture.when || typeof capture.when.path !== 'string')) errors.push(`captures[${index}].when needs a 'path'.`);
+    }
+    return errors.map(error => `${label}: ${error}`);
+}
+
+/**
+ * Validates a list of profiles, including that names are unique.
+ * @param {*} profiles
+ * @returns {string[]}
+ */
+function validateProfiles(profiles) {
+    if (!Array.isArray(profiles)) return ['Profiles must be a list.'];
+    const errors = profiles.flatMap(validateProfile);
+    const names = profiles.map(profile => profile && profile.name);
+    names.filter((name, index) => name && names.indexOf(name) !== index).forEach(name => errors.push(`Duplicate profile name '${name}'.`));
+    return errors;
+}
+
+/**
+ * Parses exported profiles: either a list or { profiles: [...] }.
+ * @param {string} text
+ * @returns {object[]}
+ * @throws {Error} If the JSON is malformed or a profile is invalid.
+ */
+function parseProfiles(text) {
+    const parsed = JSON.parse(text);
+    const profiles = Array.isArray(parsed) ? parsed : parsed && parsed.profiles;
+    const errors = validateProfiles(profiles);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    return profiles;
+}
+
+/**
+ * @param {object[]} profiles
+ * @returns {string} JSON for a profiles file.
+ */
+function exportProfiles(profiles) {
+    return JSON.stringify({ type: 'connectionProfiles', exportedAt: new Date().toISOString(), profiles: profiles }, null, 2);
+}
+
+/**
+ * Builds the connection config for a profile.
+ * @param {object} profile
+ * @param {string} [wsUrl] - The concrete feed URL, when the profile's URL is a pattern.
+ * @returns {object} { name, wsUrl, targetUrl, cookieName, adapter, decoder, on_open, captures, ... }.
+ * @throws {Error} If the profile's URL is a pattern and no URL was given.
+ */
+function profileToConfig(profile, wsUrl) {
+    const url = wsUrl || profile.url;
+    if (url.includes('*')) throw new Error(`Profile '${profile.name}' has a URL pattern; connect from a discovered URL.`);
+    const { name, url: pattern, target_url, cookie_name, ...rest } = profile;
+    return {
+        ...rest,
+        name: name,
+        wsUrl: url,
+        targetUrl: target_url || new URL(url.replace(/^ws/, 'http')).origin,
+        cookieName: cookie_name,
+        adapter: profile.adapter || DEFAULT_FEED_ADAPTER_ID,
+        decoder: profile.decoder || DEFAULT_FRAME_DECODER_ID,
+        profile: name,
+    };
+}
+
+/**
+ * @param {function(object[])} callback - Receives the stored profiles (empty if none).
+ */
+function loadProfiles(callback) {
+    chrome.storage.local.get([PROFILES_STORAGE_KEY], (result) => {
+        callback(result[PROFILES_STORAGE_KEY] || []);
+    });
+}
+
+/**
+ * Runs a connection's on_open messages and captures values from its messages. A new script
+ * is started on every (re)connect, so values captured on an earlier socket are not reused.
+ */
+class OnOpenScript {
+    /**
+     * @param {object} config - The connection config (on_open, captures, name, wsUrl).
+     * @param {function(string): boolean} send - Sends a message on the connection.
+     */
+    constructor(config, send) {
+        this.steps = config.on_open || [];
+        this.captures = config.captures || [];
+        this.send = send;
+        this.values = { connection: config.name, url: config.wsUrl };
+        this.index = 0;
+        this.waitingSince = null;
+        this.timeout = null;
+        this.stopped = false;
+    }
+
+    start() {
+        this.next();
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timeout) clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+
+    /**
+     * Captures values from a decoded message, then sends any step that was waiting for them.
+     * @param {*} message
+     */
+    handleMessage(message) {
+        if (this.stopped) return;
+        let captured = false;
+        for (const capture of this.captures) {
+            if (capture.when && readPath(message, capture.when.path) !== capture.when.equals) continue;
+            const value = readPath(message, capture.path);
+            if (value === undefined) continue;
+            this.values[capture.name] = value;
+            captured = true;
+        }
+        if (captured && this.waitingSince !== null) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+            this.next();
+        }
+    }
+
+    next() {
+        if (this.stopped || this.timeout || this.index >= this.steps.length) return;
+        const step = this.steps[this.index];
+        const { text, missing } = renderTemplate(step.send, { ...this.values, now: Date.now() });
+        if (text === null) {
+            if (this.waitingSince === null) this.waitingSince = Date.now();
+            if (Date.now() - this.waitingSince > ON_OPEN_STEP_TIMEOUT_MS) {
+                console.error(`[${this.values.connection}] on_open[${this.index}] gave up waiting for ${missing.join(', ')}; the remaining messages are not sent.`);
+                this.stop();
+                return;
+            }
+            // Retried on the next capture, or when the wait times out.
+            this.timeout = setTimeout(() => { this.timeout = null; this.next(); }, ON_OPEN_STEP_TIMEOUT_MS + 1 - (Date.now() - this.waitingSince));
+            return;
+        }
+        this.waitingSince = null;
+        this.timeout = setTimeout(() => {
+            this.timeout = null;
+            if (this.stopped) return;
+            this.index++;
+            console.log(`[${new Date().toISOString()}] [${this.values.connection}] Sending on_open[${this.index - 1}].`);
+            if (!this.send(text)) {
+                console.error(`[${this.values.connection}] Socket closed before on_open[${this.index - 1}] was sent.`);
+                this.stop();
+                return;
+            }
+            this.next();
+        }, step.delay_ms || 0);
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * recorder.js
+ *
+ * Records incoming WebSocket frames into sessions and replays saved sessions.
+ * - Every session is kept in chrome.storage under its own id, so starting a new one does not
+ *   replace the last; the popup downloads any of them.
+ * - A session is serialized as JSONL: a header line with the configs of the connections
+ *   recorded (by name), the learned priors and the carried bankrolls at recording time,
+ *   followed by one line per received frame, tagged with the name of the connection it
+ *   arrived on. Binary frames are stored as base64 and handed back to the replay as ArrayBuffers.
+ * - Replay feeds the frames back through a callback, at real or accelerated speed.
+ */
+
+// Assumes decoders.js is loaded, providing the base64 helpers for binary frames.
+
+// Sessions are stored as an index of headers under RECORDING_INDEX_KEY plus their frames in
+// chunks of RECORDING_CHUNK_FRAMES under `${RECORDING_CHUNK_PREFIX}${id}:${n}`. Only the chunk
+// being filled is rewritten, so a long session costs no more per write than a short one.
+const RECORDING_INDEX_KEY = 'recordedSessions';
+const RECORDING_CHUNK_PREFIX = 'recordedSession:';
+const RECORDING_LEGACY_KEY = 'recordedSession'; // The single session kept by earlier versions
+const RECORDING_CHUNK_FRAMES = 500;
+const RECORDING_SESSION_LIMIT = 20; // The oldest sessions are deleted beyond this
+const RECORDING_FLUSH_DELAY_MS = 2000;
+
+function recordingChunkKey(id, index) {
+    return `${RECORDING_CHUNK_PREFIX}${id}:${index}`;
+}
+
+class SessionRecorder {
+    constructor() {
+        this.session = null;
+        this.chunk = []; // The frames of the chunk being filled
+        this.chunkIndex = 0;
+        this.frameCount = 0;
+        this.flushTimeout = null;
+        this.writes = Promise.resolve(); // Storage writes, in order
+    }
+
+    /**
+     * Whether a session is currently being recorded.
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.session !== null;
+    }
+
+    /**
+     * Starts a new session. Earlier sessions stay stored (up to RECORDING_SESSION_LIMIT).
+     * @param {object[]} configs - The open connections' configs ({ name, wsUrl, targetUrl, cookieName, adapter }).
+     * @param {object} [priors={}] - The global priors in effect, so a replay can start from the same state.
+     * @param {object} [bankrolls={}] - The bankrolls carried across shoes, for the same reason.
+     */
+    start(configs, priors = {}, bankrolls = {}) {
+        this.stop();
+        const startedAt = new Date().toISOString();
+        this.session = {
+            type: 'session',
+            id: `ws-session-${startedAt.replace(/[:.]/g, '-')}`,
+            startedAt: startedAt,
+            connections: {},
+            priors: JSON.parse(JSON.stringify(priors)),
+            bankrolls: JSON.parse(JSON.stringify(bankrolls)),
+        };
+        configs.forEach(config => this.addConnection(config));
+        this.chunk = [];
+        this.chunkIndex = 0;
+        this.frameCount = 0;
+        this.scheduleFlush();
+    }
+
+    /**
+     * Adds a connection that opened while recording to the session header.
+     * @param {object} config - The connection config, including its name.
+     */
+    addConnection(config) {
+        if (!this.session) return;
+        this.session.connections[config.name] = { ...config };
+        this.scheduleFlush();
+    }
+
+    /**
+     * Appends a received frame to the current session. Does nothing when not recording.
+     * Binary frames are stored as base64 with `encoding: 'base64'`.
+     * @param {string|ArrayBuffer|ArrayBufferView} rawData - The raw payload of the WebSocket frame.
+     * @param {string} connectionName - The connection the frame arrived on.
+     */
+    record(rawData, connectionName) {
+        if (!this.session) return;
+        if (typeof rawData === 'string') {
+            this.chunk.push({ t: Date.now(), conn: connectionName, data: rawData });
+        } else {
+            const bytes = ArrayBuffer.isView(rawData)
+                ? new Uint8Array(rawData.buffer, rawData.byteOffset, rawData.byteLength)
+                : new Uint8Array(rawData);
+            this.chunk.push({ t: Date.now(), conn: connectionName, encoding: 'base64', data: bytesToBase64(bytes) });
+        }
+        this.frameCount++;
+        if (this.chunk.length >= RECORDING_CHUNK_FRAMES) {
+            // The full chunk is written once more and never again.
+            this.flush();
+            this.chunk = [];
+            this.chunkIndex++;
+        } else {
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Stops recording. The stopped session stays stored for download.
+     */
+    stop() {
+        if (!this.session) return;
+        this.flush();
+        this.session = null;
+    }
+
+    /**
+     * Saves the session to chrome.storage so it survives a service worker restart.
+     * Writes are batched, since busy feeds deliver many frames per second.
+     */
+    scheduleFlush() {
+        if (this.flushTimeout) return;
+        this.flushTimeout = setTimeout(() => this.flush(), RECORDING_FLUSH_DELAY_MS);
+    }
+
+    /**
+     * Writes the chunk being filled and the session's index entry.
+     * @returns {Promise<void>} Resolves once every write so far is stored.
+     */
+    flush() {
+        if (this.flushTimeout) clearTimeout(this.flushTimeout);
+        this.flushTimeout = null;
+        if (!this.session) return this.writes;
+        const entry = { ...this.session, chunks: this.chunkIndex + 1, frames: this.frameCount };
+        const chunk = { [recordingChunkKey(this.session.id, this.chunkIndex)]: this.chunk.slice() };
+        this.writes = this.writes.then(() => new Promise((resolve) => {
+            chrome.storage.local.set(chunk, () => SessionRecorder.updateIndex(entry, resolve));
+        }));
+        return this.writes;
+    }
+
+    /**
+     * Replaces a session's index entry and deletes the oldest sessions beyond RECORDING_SESSION_LIMIT.
+     * @param {object} entry - The session header with its `chunks` and `frames` counts.
+     * @param {function()} callback
+     */
+    static updateIndex(entry, callback) {
+        chrome.storage.local.get([RECORDING_INDEX_KEY], (result) => {
+            const index = (result[RECORDING_INDEX_KEY] || []).filter(stored => stored.id !== entry.id);
+            index.push(entry);
+            const dropped = index.splice(0, Math.max(0, index.length - RECORDING_SESSION_LIMIT));
+            const staleKeys = dropped.flatMap(stored => Array.from({ length: stored.chunks }, (_, i) => recordingChunkKey(stored.id, i)));
+            chrome.storage.local.set({ [RECORDING_INDEX_KEY]: index }, () => {
+                if (staleKeys.length > 0) chrome.storage.local.remove(staleKeys, callback);
+                else callback();
+            });
+        });
+    }
+
+    /**
+     * Lists the stored sessions, oldest first.
+     * @param {function(object[])} callback - Receives the session headers, each with its `frames` count.
+     */
+    static listSessions(callback) {
+        chrome.storage.local.get([RECORDING_INDEX_KEY, RECORDING_LEGACY_KEY], (result) => {
+            const index = result[RECORDING_INDEX_KEY] || [];
+            const legacy = result[RECORDING_LEGACY_KEY];
+            const sessions = legacy && !index.some(stored => stored.id === legacy.session.id)
+                ? [{ ...legacy.session, frames: legacy.frames.length }, ...index]
+                : index;
+            callback(sessions);
+        });
+    }
+
+    /**
+     * Loads a stored session.
+     * @param {string} id - The session id.
+     * @param {function(?{session: object, frames: object[]})} callback - Receives the session, or null if there is none.
+     */
+    static loadSession(id, callback) {
+        chrome.storage.local.get([RECORDING_INDEX_KEY, RECORDING_LEGACY_KEY], (result) => {
+            const entry = (result[RECORDING_INDEX_KEY] || []).find(stored => stored.id === id);
+            if (!entry) {
+                const legacy = result[RECORDING_LEGACY_KEY];
+                callback(legacy && legacy.session.id === id ? legacy : null);
+                return;
+            }
+            const keys = Array.from({ length: entry.chunks }, (_, i) => recordingChunkKey(id, i));
+            chrome.storage.local.get(keys, (chunks) => {
+                const { chunks: chunkCount, frames: frameCount, ...session } = entry;
+                callback({ session: session, frames: keys.flatMap(key => chunks[key] || []) });
+            });
+        });
+    }
+
+    /**
+     * Serializes a session to JSONL.
+     * @param {object} session - The session header.
+     * @param {object[]} frames - The recorded frames.
+     * @returns {string} The session as JSONL text.
+     */
+    static toJsonl(session, frames) {
+        return [session, ...frames].map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    /**
+     * Parses JSONL session text back into its header and frames.
+     * @param {string} text - The contents of a session file.
+     * @returns {{session: object, frames: object[]}}
+     * @throws {Error} If the text does not start with a session header.
+     */
+    static parseJsonl(text) {
+        const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+        const entries = lines.map(line => JSON.parse(line));
+        if (entries.length === 0 || entries[0].type !== 'session') {
+            throw new Error('Not a recorded session: missing session header.');
+        }
+        return { session: entries[0], frames: entries.slice(1).filter(entry => 'data' in entry) };
+    }
+
+    /**
+     * The connection configs of a session, by name. Sessions recorded before connections were
+     * named hold a single `config`, used for the default connection.
+     * @param {object} session - The session header.
+     * @returns {Object<string, object>}
+     */
+    static getConnectionConfigs(session) {
+        if (session.connections) return session.connections;
+        return session.config ? { [DEFAULT_CONNECTION_NAME]: session.config } : {};
+    }
+}
+
+class SessionReplayer {
+    /**
+     * @param {object[]} frames - The recorded frames ({ t, conn, data, encoding }), in receive order.
+     * @param {function((string|ArrayBuffer), ?string)} onFrame - Called with the raw payload of each frame and the
+     *     name of its connection (undefined for frames recorded before connections were named).
+     * @param {object} [options={}]
+     * @param {number} [options.speed=1] - Playback speed multiplier. 0 replays without delays.
+     * @param {function()} [options.onDone] - Called once every frame has been delivered.
+     */
+    constructor(frames, onFrame, options = {}) {
+        this.frames = frames;
+        this.onFrame = onFrame;
+        this.speed = typeof options.speed === 'number' ? options.speed : 1;
+        this.onDone = options.onDone || (() => {});
+        this.index = 0;
+        this.timeout = null;
+    }
+
+    isRunning() {
+        return this.timeout !== null;
+    }
+
+    start() {
+        this.index = 0;
+        this.scheduleNext(0);
+    }
+
+    stop() {
+        if (this.timeout) clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+
+    scheduleNext(delay) {
+        this.timeout = setTimeout(() => this.deliverNext(), delay);
+    }
+
+    deliverNext() {
+        if (this.index >= this.frames.length) {
+            this.timeout = null;
+            this.onDone();
+            return;
+        }
+        const frame = this.frames[this.index++];
+        this.onFrame(frame.encoding === 'base64' ? base64ToBytes(frame.data).buffer : frame.data, frame.conn);
+
+        const next = this.frames[this.index];
+        const delay = (next && this.speed > 0) ? Math.max(0, (next.t - frame.t) / this.speed) : 0;
+        this.scheduleNext(delay);
+    }
+}
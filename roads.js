@@ -0,0 +1,172 @@
+/**
+ * roads.js
+ *
+ * Computes the standard baccarat scoreboard roads from a table's outcome sequence:
+ * the Big Road and its three derived roads (Big Eye Boy, Small Road, Cockroach Pig).
+ *
+ * The Big Road is kept as logical columns (one per streak of Banker or Player wins); ties do
+ * not take a cell but are counted on the cell before them. A derived road compares the Big Road
+ * against itself 1, 2 or 3 columns back and yields a sequence of 'R' (red: the road repeats)
+ * and 'B' (blue: the road breaks). layoutRoad() places any road on the six-row grid the tables
+ * display, turning long streaks right along the bottom ("dragon tails").
+ *
+ * Loaded by the service worker (importScripts) for road summaries and by the desktop app
+ * renderer to draw the roads.
+ */
+
+const ROAD_ROWS = 6;
+
+// Column offset each derived road compares against
+const DERIVED_ROADS = {
+    big_eye_boy: 1,
+    small_road: 2,
+    cockroach_pig: 3,
+};
+
+/**
+ * Builds the Big Road.
+ * @param {string|string[]} outcomes The shoe's outcomes in order ('B', 'P', 'T').
+ * @returns {{leading_ties: number, columns: {side: string, ties: number, round: number}[][]}} Ties
+ *     before the first Banker or Player win are counted in `leading_ties`.
+ */
+function computeBigRoad(outcomes) {
+    const road = { leading_ties: 0, columns: [] };
+    let last = null;
+    Array.from(outcomes).forEach((outcome, index) => {
+        if (outcome === 'T') {
+            if (last) last.ties++;
+            else road.leading_ties++;
+            return;
+        }
+        if (outcome !== 'B' && outcome !== 'P') return;
+        last = { side: outcome, ties: 0, round: index + 1 };
+        const column = road.columns[road.columns.length - 1];
+        if (column && column[0].side === outcome) {
+            column.push(last);
+        } else {
+            road.columns.push([last]);
+        }
+    });
+    return road;
+}
+
+/**
+ * Computes a derived road from the Big Road's columns.
+ * The first entry comes from the Big Road cell at column `offset`, row 1 (or column `offset + 1`,
+ * row 0, if that column has a single cell). For a cell that starts a column, the road is red when
+ * the two columns before it have the same length. For any other cell, it is red unless the column
+ * `offset` places back ended exactly one row above it.
+ * @param {object[][]} columns The Big Road columns from computeBigRoad().
+ * @param {number} offset 1 (Big Eye Boy), 2 (Small Road) or 3 (Cockroach Pig).
+ * @returns {string[]} 'R' and 'B' entries in order.
+ */
+function computeDerivedRoad(columns, offset) {
+    const road = [];
+    columns.forEach((column, col) => {
+        column.forEach((cell, row) => {
+            if (col < offset || (col === offset && row === 0)) return;
+            if (row === 0) {
+                road.push(columns[col - 1].length === columns[col - 1 - offset].length ? 'R' : 'B');
+            } else {
+                road.push(columns[col - offset].length === row ? 'B' : 'R');
+            }
+        });
+    });
+    return road;
+}
+
+/**
+ * Computes the Big Road and all derived roads.
+ * @param {string|string[]} outcomes The shoe's outcomes in order.
+ * @returns {{big_road: object, big_eye_boy: string[], small_road: string[], cockroach_pig: string[]}}
+ */
+function computeRoads(outcomes) {
+    const bigRoad = computeBigRoad(outcomes);
+    const roads = { big_road: bigRoad };
+    for (const name in DERIVED_ROADS) {
+        roads[name] = computeDerivedRoad(bigRoad.columns, DERIVED_ROADS[name]);
+    }
+    return roads;
+}
+
+/**
+ * Groups a derived road's entries into columns of equal colours.
+ * @param {string[]} entries
+ * @returns {string[][]}
+ */
+function groupRoadColumns(entries) {
+    const columns = [];
+    for (const entry of entries) {
+        const column = columns[columns.length - 1];
+        if (column && column[0] === entry) column.push(entry);
+        else columns.push([entry]);
+    }
+    return columns;
+}
+
+/**
+ * Places a road's logical columns on a grid. A column moves down until it reaches the bottom
+ * row or an occupied cell, then continues to the right (a dragon tail). Each column starts
+ * on the top row, one grid column after the previous column's start, or further right if
+ * that cell is taken by a tail.
+ * @param {Array[]} columns Logical columns (Big Road cells or derived road entries).
+ * @param {number} [rows=ROAD_ROWS]
+ * @returns {{row: number, col: number, item: *}[]} The placed items.
+ */
+function layoutRoad(columns, rows = ROAD_ROWS) {
+    const taken = new Set();
+    const cells = [];
+    let startCol = -1;
+    for (const column of columns) {
+        startCol++;
+        while (taken.has(`0,${startCol}`)) startCol++;
+        let row = 0, col = startCol, turned = false;
+        column.forEach((item, index) => {
+            if (index > 0) {
+                if (!turned && row + 1 < rows && !taken.has(`${row + 1},${col}`)) {
+                    row++;
+                } else {
+                    turned = true;
+                    col++;
+                }
+            }
+            taken.add(`${row},${col}`);
+            cells.push({ row, col, item });
+        });
+    }
+    return cells;
+}
+
+/**
+ * A compact summary of the roads, small enough to send with every round update.
+ * `next` shows the entry each derived road would get if the next round is a Banker or
+ * a Player win (the "ask" buttons on a live table).
+ * @param {string|string[]} outcomes The shoe's outcomes in order.
+ * @returns {object}
+ */
+function summarizeRoads(outcomes) {
+    const sequence = Array.from(outcomes);
+    const roads = computeRoads(sequence);
+    const columns = roads.big_road.columns;
+    const current = columns[columns.length - 1];
+    const summary = {
+        big_road: {
+            columns: columns.length,
+            streak: current ? { side: current[0].side, length: current.length } : null,
+            ties: sequence.filter(outcome => outcome === 'T').length,
+        },
+        next: { B: {}, P: {} },
+    };
+    for (const name in DERIVED_ROADS) {
+        const road = roads[name];
+        summary[name] = { entries: road.length, last: road.length > 0 ? road[road.length - 1] : null };
+    }
+    for (const side of ['B', 'P']) {
+        const nextRoads = computeRoads([...sequence, side]);
+        for (const name in DERIVED_ROADS) {
+            const road = nextRoads[name];
+            summary.next[side][name] = road.length > roads[name].length ? road[road.length - 1] : null;
+        }
+    }
+    return summary;
+}
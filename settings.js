@@ -0,0 +1,132 @@
+/**
+ * settings.js
+ *
+ * Strategy settings edited on the options page: global defaults plus per-table overrides,
+ * stored in chrome.storage under 'strategySettings' as { global: {...}, tables: { <tableId>: {...} } }.
+ * A table override only holds the settings it changes; everything else comes from the global
+ * defaults, and those fall back to DEFAULT_STRATEGY_SETTINGS. An override keyed by a bare table id
+ * ('bac1') applies to that table on every connection; one keyed by a namespaced id ('lobby-a:bac1')
+ * to that connection only, on top of the bare one.
+ *
+ * Loaded by the service worker (importScripts) and the options page, after connections.js.
+ */
+
+const SETTINGS_STORAGE_KEY = 'strategySettings';
+
+const DEFAULT_STRATEGY_SETTINGS = {
+    warm_up_rounds: 10,
+    max_exposure: 10,
+    confidence_stop_loss_threshold: 0.60,
+    net_profit_stop_loss_units: -3,
+    shrinkage_factor: 0.2,
+    shoe_decks: 8,
+    sprt: { alpha: 0.05, beta: 0.10, epsilon: 0.01 },
+    cusum: { drift: 0.05, threshold: 4 },
+    changepoint: { expected_run_length: 100, window: 10 },
+};
+
+/**
+ * The editable settings, keyed by path ('sprt.alpha' is settings.sprt.alpha), with their bounds.
+ * Bounds are inclusive unless marked exclusive.
+ */
+const SETTING_FIELDS = {
+    'warm_up_rounds': { label: 'Warm-up rounds', integer: true, min: 0, max: 100 },
+    'max_exposure': { label: 'Max exposure per shoe (units)', min: 0 },
+    'confidence_stop_loss_threshold': { label: 'Confidence stop-loss threshold', min: 0, max: 1 },
+    'net_profit_stop_loss_units': { label: 'Net profit stop-loss (units)', max: 0 },
+    'shrinkage_factor': { label: 'Prior shrinkage between shoes', min: 0, max: 1 },
+    'shoe_decks': { label: 'Decks per shoe (card composition)', integer: true, min: 1, max: 16 },
+    'sprt.alpha': { label: 'SPRT alpha', min: 0, max: 1, exclusive: true },
+    'sprt.beta': { label: 'SPRT beta', min: 0, max: 1, exclusive: true },
+    'sprt.epsilon': { label: 'SPRT epsilon', min: 0, max: 1, exclusive: true },
+    'cusum.drift': { label: 'CUSUM drift', min: 0, max: 1 },
+    'cusum.threshold': { label: 'CUSUM threshold', min: 0, exclusive: true },
+    'changepoint.expected_run_length': { label: 'Change-point expected run length (hands)', min: 1, exclusive: true },
+    'changepoint.window': { label: 'Change-point window (hands)', integer: true, min: 1 },
+};
+
+function getSettingValue(settings, path) {
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), settings);
+}
+
+function setSettingValue(settings, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => (object[key] = object[key] || {}), settings);
+    parent[last] = value;
+}
+
+/**
+ * Checks a (possibly partial) settings object against SETTING_FIELDS, or another set of fields.
+ * @param {object} settings
+ * @param {object} [fields=SETTING_FIELDS] - Path-keyed fields with their bounds.
+ * @param {object} [defaults=DEFAULT_STRATEGY_SETTINGS] - Complete settings; other top-level keys are unknown.
+ * @returns {string[]} One message per invalid or unknown setting; empty if valid.
+ */
+function validateSettings(settings, fields = SETTING_FIELDS, defaults = DEFAULT_STRATEGY_SETTINGS) {
+    const errors = [];
+    if (!settings || typeof settings !== 'object') return ['Settings must be an object.'];
+    for (const path in fields) {
+        const value = getSettingValue(settings, path);
+        if (value === undefined) continue;
+        const field = fields[path];
+        if (field.text) {
+            if (typeof value !== 'string' || !value) errors.push(`${field.label} must be text.`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${field.label} must be a number.`);
+        } else if (field.integer && !Number.isInteger(value)) {
+            errors.push(`${field.label} must be a whole number.`);
+        } else if (field.min !== undefined && (field.exclusive ? value <= field.min : value < field.min)) {
+            errors.push(`${field.label} must be ${field.exclusive ? 'greater than' : 'at least'} ${field.min}.`);
+        } else if (field.max !== undefined && (field.exclusive ? value >= field.max : value > field.max)) {
+            errors.push(`${field.label} must be ${field.exclusive ? 'less than' : 'at most'} ${field.max}.`);
+        }
+    }
+    for (const key in settings) {
+        if (!(key in defaults)) errors.push(`Unknown setting '${key}'.`);
+    }
+    return errors;
+}
+
+/**
+ * Validates a whole settings document.
+ * @param {object} doc - { global, tables }.
+ * @returns {string[]} Error messages, prefixed with the table id for table overrides.
+ */
+function validateSettingsDocument(doc) {
+    const errors = validateSettings(doc.global || {}).map(error => `Defaults: ${error}`);
+    for (const tableId in doc.tables || {}) {
+        errors.push(...validateSettings(doc.tables[tableId]).map(error => `${tableId}: ${error}`));
+    }
+    return errors;
+}
+
+/**
+ * Merges defaults, the global settings and the table's overrides.
+ * @param {?object} doc - The stored settings document, or null.
+ * @param {string} tableId - A namespaced or bare table id.
+ * @returns {object} Complete settings for the table.
+ */
+function resolveTableSettings(doc, tableId) {
+    const tables = (doc && doc.tables) || {};
+    const baseId = baseTableId(tableId);
+    const layers = [DEFAULT_STRATEGY_SETTINGS, doc && doc.global, baseId !== tableId && tables[baseId], tables[tableId]];
+    const settings = {};
+    for (const layer of layers) {
+        if (!layer) continue;
+        for (const path in SETTING_FIELDS) {
+            const value = getSettingValue(layer, path);
+            if (value !== undefined) setSettingValue(settings, path, value);
+        }
+    }
+    return settings;
+}
+
+/**
+ * @param {function(object)} callback - Receives the stored document ({ global, tables }), empty if none.
+ */
+function loadStrategySettings(callback) {
+    chrome.storage.local.get([SETTINGS_STORAGE_KEY], (result) => {
+        callback({ global: {}, tables: {}, ...result[SETTINGS_STORAGE_KEY] });
+    });
+}
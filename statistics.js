@@ -1,148 +1,388 @@
-
 /**
  * statistics.js
  *
- * Provides statistical utility functions, focusing on the Beta distribution needed for Bayesian analysis.
+ * Statistical functions for the Bayesian analysis: log-gamma and log-beta, the Beta distribution
+ * (density, CDF, survival function and quantile) and Dirichlet helpers.
+ *
+ * Everything that can overflow is evaluated in log space, the incomplete beta function uses the
+ * symmetry I_x(a, b) = 1 - I_{1-x}(b, a) so its continued fraction is always evaluated where it
+ * converges quickly, and upper tails are computed directly rather than as 1 - CDF. The iterative
+ * functions have *Details() variants that report whether and how fast they converged; the plain
+ * versions log a warning when they did not.
+ *
+ * tools/verify-statistics.js checks these functions against high-precision reference values.
  */
 
-// A small constant for machine precision.
-const EPSILON = 1e-15;
+const EPSILON = 1e-15; // Relative accuracy targeted by the iterative methods
+const TINY = 1e-300; // Keeps the continued fraction's denominators away from zero
+const LOG_SQRT_2PI = 0.91893853320467274178; // ln(sqrt(2π))
+const LANCZOS_G = 7;
+const LANCZOS_COEFFICIENTS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+// Bernoulli-number coefficients B_2k / (2k (2k - 1)) of Stirling's series, k = 1..7
+const STIRLING_COEFFICIENTS = [1 / 12, -1 / 360, 1 / 1260, -1 / 1680, 1 / 1188, -691 / 360360, 1 / 156];
+const STIRLING_MIN_X = 10; // Below this, the Stirling correction is not accurate to double precision
+
+// --- Gamma and Beta functions ---
 
 /**
- * The regularized incomplete beta function, I_x(a, b).
- * This is the CDF of the Beta distribution.
- *
- * The implementation uses the continued fraction method for its robustness.
- * @param {number} x The value to evaluate the CDF at (must be in [0, 1]).
- * @param {number} a The alpha parameter of the Beta distribution.
- * @param {number} b The beta parameter of the Beta distribution.
- * @returns {number} The value of the CDF, P(X <= x) for X ~ Beta(a, b).
+ * The log-gamma function, ln|Γ(x)|.
+ * Uses the Lanczos approximation (g = 7) for x >= 0.5 and the reflection formula
+ * Γ(x) Γ(1 - x) = π / sin(πx) below that.
+ * @param {number} x The input value.
+ * @returns {number} ln|Γ(x)|; Infinity at 0 and the negative integers.
  */
-function regularizedIncompleteBeta(x, a, b) {
-    if (x < 0 || x > 1) return NaN;
-    if (x === 0) return 0;
-    if (x === 1) return 1;
+function gammaln(x) {
+    if (Number.isNaN(x)) return NaN;
+    if (x === Infinity) return Infinity;
+    if (x < 0.5) {
+        if (Number.isInteger(x)) return Infinity; // Poles
+        // sin(πx) loses relative accuracy for tiny x; there ln Γ(x) = -ln(x) - γx + O(x²).
+        if (Math.abs(x) < 1e-8) return -Math.log(Math.abs(x)) - 0.5772156649015329 * x;
+        return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - gammaln(1 - x);
+    }
+    if (x >= STIRLING_MIN_X) {
+        return (x - 0.5) * Math.log(x) - x + LOG_SQRT_2PI + stirlingCorrection(x);
+    }
+    const z = x - 1;
+    let sum = LANCZOS_COEFFICIENTS[0];
+    for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+        sum += LANCZOS_COEFFICIENTS[i] / (z + i);
+    }
+    const t = z + LANCZOS_G + 0.5;
+    return LOG_SQRT_2PI + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
 
-    // This term is a normalization factor.
-    const logBeta = gammaln(a + b) - gammaln(a) - gammaln(b);
-    const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - logBeta) / a;
+/**
+ * The remainder of Stirling's formula, ln Γ(x) - [(x - 0.5) ln x - x + ln sqrt(2π)], for x >= 10.
+ * Computing it separately lets logBeta() cancel the large terms analytically.
+ * @param {number} x
+ * @returns {number}
+ */
+function stirlingCorrection(x) {
+    const inverseSquare = 1 / (x * x);
+    let sum = 0;
+    for (let k = STIRLING_COEFFICIENTS.length - 1; k >= 0; k--) {
+        sum = sum * inverseSquare + STIRLING_COEFFICIENTS[k];
+    }
+    return sum / x;
+}
 
-    // Continued fraction evaluation (using the Lentz-Thompson-Barnett modified method).
-    let f = 1;
-    let c = 1;
-    let d = 0;
+/**
+ * The log of the beta function, ln B(a, b) = ln Γ(a) + ln Γ(b) - ln Γ(a + b).
+ * For large arguments the three log-gammas are huge and nearly cancel, so their leading terms
+ * are combined analytically first.
+ * @param {number} a Must be > 0.
+ * @param {number} b Must be > 0.
+ * @returns {number}
+ */
+function logBeta(a, b) {
+    if (!(a > 0 && b > 0)) return NaN;
+    const p = Math.min(a, b);
+    const q = Math.max(a, b);
+    if (p >= STIRLING_MIN_X) {
+        const correction = stirlingCorrection(p) + stirlingCorrection(q) - stirlingCorrection(p + q);
+        return -0.5 * Math.log(q) + LOG_SQRT_2PI + correction + (p - 0.5) * Math.log(p / (p + q)) + q * Math.log1p(-p / (p + q));
+    }
+    if (q >= STIRLING_MIN_X) {
+        const correction = stirlingCorrection(q) - stirlingCorrection(p + q);
+        return gammaln(p) + correction + p - p * Math.log(p + q) + (q - 0.5) * Math.log1p(-p / (p + q));
+    }
+    return gammaln(p) + gammaln(q) - gammaln(p + q);
+}
 
-    for (let i = 1; i <= 200; i++) {
-        const m = i >> 1; // integer division by 2
-        let d_m;
+// --- Beta distribution ---
 
-        if (i % 2 === 1) { // Odd terms
-            d_m = -((a + m - 1) * (a + b + m - 1) * x) / ((a + 2 * m - 2) * (a + 2 * m - 1));
-        } else { // Even terms
-            d_m = (m * (b - m) * x) / ((a + 2 * m - 2) * (a + 2 * m - 1));
-        }
+/**
+ * The log density of Beta(a, b) at x.
+ * @param {number} x In [0, 1].
+ * @param {number} a Must be > 0.
+ * @param {number} b Must be > 0.
+ * @returns {number} -Infinity outside the support; Infinity where the density is unbounded.
+ */
+function betaLogPdf(x, a, b) {
+    if (!(a > 0 && b > 0) || Number.isNaN(x)) return NaN;
+    if (x < 0 || x > 1) return -Infinity;
+    if ((x === 0 && a < 1) || (x === 1 && b < 1)) return Infinity;
+    if (x === 0) return a === 1 ? -logBeta(a, b) : -Infinity;
+    if (x === 1) return b === 1 ? -logBeta(a, b) : -Infinity;
+    return (a - 1) * Math.log(x) + (b - 1) * Math.log1p(-x) - logBeta(a, b);
+}
 
-        d = 1 + d_m * d;
-        if (Math.abs(d) < EPSILON) d = EPSILON;
-        d = 1 / d;
+/**
+ * The density of Beta(a, b) at x.
+ * @param {number} x
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function betaPdf(x, a, b) {
+    return Math.exp(betaLogPdf(x, a, b));
+}
 
-        c = 1 + d_m / c;
-        if (Math.abs(c) < EPSILON) c = EPSILON;
+/**
+ * The regularized incomplete beta function I_x(a, b) with convergence information.
+ * @param {number} x In [0, 1].
+ * @param {number} a Must be > 0.
+ * @param {number} b Must be > 0.
+ * @returns {{value: number, upper: number, logValue: number, iterations: number, converged: boolean}}
+ *     `value` is I_x(a, b) = P(X <= x) for X ~ Beta(a, b) and `upper` is 1 - I_x(a, b), each
+ *     computed without subtracting from 1 when it is the small one. `logValue` is ln I_x(a, b),
+ *     accurate even when `value` underflows.
+ */
+function incompleteBetaDetails(x, a, b) {
+    const result = (value, upper, logValue, iterations = 0, converged = true) => ({ value, upper, logValue, iterations, converged });
+    if (!(a > 0 && b > 0) || Number.isNaN(x) || x < 0 || x > 1) return result(NaN, NaN, NaN, 0, false);
+    if (x === 0) return result(0, 1, -Infinity);
+    if (x === 1) return result(1, 0, 0);
 
-        const delta = c * d;
-        f *= delta;
+    // The continued fraction converges quickly for x < (a + 1) / (a + b + 2); otherwise it is
+    // evaluated for the mirrored distribution, whose tail is the complement.
+    const swap = x > (a + 1) / (a + b + 2);
+    const [xs, as, bs] = swap ? [1 - x, b, a] : [x, a, b];
+    const fraction = betaContinuedFraction(xs, as, bs);
+    const logTail = as * Math.log(xs) + bs * Math.log1p(-xs) - logBeta(as, bs) - Math.log(as) + Math.log(fraction.value);
+    const tail = Math.exp(logTail);
+    if (swap) return result(1 - tail, tail, Math.log1p(-tail), fraction.iterations, fraction.converged);
+    return result(tail, 1 - tail, logTail, fraction.iterations, fraction.converged);
+}
 
-        if (Math.abs(delta - 1) < EPSILON * 100) {
-            break; // Converged
-        }
+/**
+ * Evaluates the continued fraction of the incomplete beta function (modified Lentz's method),
+ * for x < (a + 1) / (a + b + 2).
+ * @returns {{value: number, iterations: number, converged: boolean}}
+ */
+function betaContinuedFraction(x, a, b) {
+    // The number of terms needed grows like sqrt(max(a, b)).
+    const maxIterations = Math.max(300, Math.ceil(20 * Math.sqrt(Math.max(a, b))));
+    const qab = a + b;
+    const qap = a + 1;
+    const qam = a - 1;
+    let c = 1;
+    let d = 1 - qab * x / qap;
+    if (Math.abs(d) < TINY) d = TINY;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= maxIterations; m++) {
+        const m2 = 2 * m;
+        // Even step
+        let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        h *= d * c;
+        // Odd step
+        aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPSILON) return { value: h, iterations: m, converged: true };
     }
+    return { value: h, iterations: maxIterations, converged: false };
+}
 
-    return front * (1 / f);
+/**
+ * Logs a warning for a result that did not converge, once per function, so a numerical problem
+ * is visible without flooding the log from the per-round analysis.
+ */
+const reportedConvergenceFailures = new Set();
+function reportConvergence(name, details, args) {
+    if (details.converged || reportedConvergenceFailures.has(name)) return;
+    reportedConvergenceFailures.add(name);
+    console.warn(`${name}(${args.join(', ')}) did not converge after ${details.iterations} iterations; the result may be inaccurate.`);
 }
 
 /**
- * The log-gamma function, ln(Γ(x)).
- * Uses the Lanczos approximation, which is a good balance of speed and accuracy.
- * @param {number} x The input value.
- * @returns {number} The natural logarithm of the gamma function of x.
+ * The regularized incomplete beta function I_x(a, b), the CDF of Beta(a, b).
+ * @param {number} x The value to evaluate the CDF at (must be in [0, 1]).
+ * @param {number} a The alpha parameter of the Beta distribution.
+ * @param {number} b The beta parameter of the Beta distribution.
+ * @returns {number} P(X <= x) for X ~ Beta(a, b).
  */
-function gammaln(x) {
-    const p = [
-        0.99999999999980993, 676.5203681218851, -1259.1392167224028,
-        771.32342877765313, -176.61502916214059, 12.507343278686905,
-        -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
-    ];
-    if (x < 0.5) {
-        return Math.PI / Math.sin(Math.PI * x) - gammaln(1 - x);
+function regularizedIncompleteBeta(x, a, b) {
+    const details = incompleteBetaDetails(x, a, b);
+    reportConvergence('regularizedIncompleteBeta', details, [x, a, b]);
+    return details.value;
+}
+
+/**
+ * The survival function of Beta(a, b), 1 - I_x(a, b), computed without cancellation.
+ * @param {number} x
+ * @param {number} a
+ * @param {number} b
+ * @returns {number} P(X > x) for X ~ Beta(a, b).
+ */
+function betaSurvival(x, a, b) {
+    const details = incompleteBetaDetails(x, a, b);
+    reportConvergence('betaSurvival', details, [x, a, b]);
+    return details.upper;
+}
+
+/**
+ * The quantile function of Beta(a, b) with convergence information.
+ * Newton's method on the CDF, kept inside a shrinking bracket: any step that would leave the
+ * bracket is replaced by bisection, so the search cannot diverge.
+ * @param {number} p The probability, in [0, 1].
+ * @param {number} a Must be > 0.
+ * @param {number} b Must be > 0.
+ * @returns {{value: number, iterations: number, converged: boolean}}
+ */
+function betaQuantileDetails(p, a, b) {
+    if (!(a > 0 && b > 0) || Number.isNaN(p) || p < 0 || p > 1) return { value: NaN, iterations: 0, converged: false };
+    if (p === 0) return { value: 0, iterations: 0, converged: true };
+    if (p === 1) return { value: 1, iterations: 0, converged: true };
+
+    // Above the median, solve for the mirrored distribution's lower tail instead, where the
+    // target keeps its precision: Q_{a,b}(p) = 1 - Q_{b,a}(1 - p).
+    const mirror = p > 0.5;
+    const [target, as, bs] = mirror ? [1 - p, b, a] : [p, a, b];
+    const logTarget = Math.log(target);
+    const logNormalizer = logBeta(as, bs);
+
+    let low = 0;
+    let high = 1;
+    let x = initialBetaQuantile(target, as, bs);
+    const maxIterations = 200;
+    for (let i = 1; i <= maxIterations; i++) {
+        const cdf = incompleteBetaDetails(x, as, bs);
+        // Compared in log space so quantiles far in the tail keep their relative accuracy.
+        const error = cdf.logValue - logTarget;
+        if (error < 0) low = x;
+        else high = x;
+        const logPdf = (as - 1) * Math.log(x) + (bs - 1) * Math.log1p(-x) - logNormalizer;
+        // Newton's step (F - p) / f, written as (1 - p/F) F/f so it stays finite when F and
+        // f both underflow.
+        const step = -Math.expm1(-error) * Math.exp(cdf.logValue - logPdf);
+        // A step this small may round back onto x, which is now an end of the bracket, so it
+        // is taken as convergence before the bracket check would fall back to bisection.
+        if (Math.abs(step) <= EPSILON * 10 * x) {
+            x -= step;
+            return { value: mirror ? 1 - x : x, iterations: i, converged: true };
+        }
+        let next = x - step;
+        if (!(next > low && next < high)) next = (low + high) / 2;
+        x = next;
+        if (high - low <= EPSILON * x) {
+            return { value: mirror ? 1 - x : x, iterations: i, converged: true };
+        }
     }
-    x -= 1;
-    let a = p[0];
-    for (let i = 1; i < p.length; i++) {
-        a += p[i] / (x + i);
+    return { value: mirror ? 1 - x : x, iterations: maxIterations, converged: false };
+}
+
+/**
+ * A starting point for the quantile search (Numerical Recipes' invbetai, after Abramowitz and
+ * Stegun 26.5.22 for a, b >= 1 and a tail approximation otherwise).
+ */
+function initialBetaQuantile(p, a, b) {
+    let x;
+    if (a >= 1 && b >= 1) {
+        const pp = p < 0.5 ? p : 1 - p;
+        const t = Math.sqrt(-2 * Math.log(pp));
+        let z = (2.30753 + t * 0.27061) / (1 + t * (0.99229 + t * 0.04481)) - t;
+        if (p < 0.5) z = -z;
+        const al = (z * z - 3) / 6;
+        const h = 2 / (1 / (2 * a - 1) + 1 / (2 * b - 1));
+        const w = (z * Math.sqrt(al + h)) / h - (1 / (2 * b - 1) - 1 / (2 * a - 1)) * (al + 5 / 6 - 2 / (3 * h));
+        x = a / (a + b * Math.exp(2 * w));
+    } else {
+        const lna = Math.log(a / (a + b));
+        const lnb = Math.log(b / (a + b));
+        const t = Math.exp(a * lna) / a;
+        const u = Math.exp(b * lnb) / b;
+        const w = t + u;
+        x = p < t / w ? Math.pow(a * w * p, 1 / a) : 1 - Math.pow(b * w * (1 - p), 1 / b);
     }
-    const t = x + p.length - 1.5;
-    return Math.log(Math.sqrt(2 * Math.PI) * a) + t * Math.log(t) - t;
+    return Number.isFinite(x) && x > 0 && x < 1 ? x : a / (a + b);
 }
 
 /**
  * Inverse of the regularized incomplete beta function (quantile function).
  * Finds x such that I_x(a, b) = p.
- *
- * This function uses a combination of Newton-Raphson iteration and bisection
- * to find the root robustly and efficiently.
- *
  * @param {number} p The probability (quantile) to find, must be in [0, 1].
  * @param {number} a The alpha parameter of the Beta distribution.
  * @param {number} b The beta parameter of the Beta distribution.
  * @returns {number} The value x such that P(X <= x) = p for X ~ Beta(a, b).
  */
 function betaCdfInv(p, a, b) {
-    if (p <= 0) return 0;
-    if (p >= 1) return 1;
-
-    // Initial guess using a simple approximation.
-    let x = Math.pow(p, 1 / a);
-    if (a > 1 && b > 1) {
-        const mean = a / (a + b);
-        x = mean;
-    }
+    const details = betaQuantileDetails(p, a, b);
+    reportConvergence('betaCdfInv', details, [p, a, b]);
+    return details.value;
+}
 
-    const logBeta = gammaln(a) + gammaln(b) - gammaln(a + b);
+// --- Dirichlet distribution ---
 
-    // Newton-Raphson iterations for refinement.
-    for (let i = 0; i < 20; i++) {
-        const fx = regularizedIncompleteBeta(x, a, b) - p;
-        
-        // PDF of the Beta distribution, which is the derivative of the CDF.
-        const pdf = Math.exp((a - 1) * Math.log(x) + (b - 1) * Math.log(1 - x) - logBeta);
+/**
+ * The log of the multivariate beta function, ln B(α) = Σ ln Γ(α_i) - ln Γ(Σ α_i),
+ * the Dirichlet's normalizing constant.
+ * @param {number[]} alpha Concentration parameters, each > 0.
+ * @returns {number}
+ */
+function logMultivariateBeta(alpha) {
+    if (!alpha.every(value => value > 0)) return NaN;
+    // Built from pairwise log-betas, which stay accurate for large concentrations:
+    // B(α) = B(α_1, α_2) B(α_1 + α_2, α_3) ...
+    let total = alpha[0];
+    let result = 0;
+    for (let i = 1; i < alpha.length; i++) {
+        result += logBeta(total, alpha[i]);
+        total += alpha[i];
+    }
+    return result;
+}
 
-        const step = fx / pdf;
-        const nextX = x - step;
+/**
+ * @param {number[]} alpha
+ * @returns {number[]} The Dirichlet's mean, α_i / Σ α.
+ */
+function dirichletMean(alpha) {
+    const total = alpha.reduce((sum, value) => sum + value, 0);
+    return alpha.map(value => value / total);
+}
 
-        // Ensure the next guess is within bounds.
-        if (nextX <= 0 || nextX >= 1) {
-            break; // Switch to bisection if we step out of bounds.
-        }
-        
-        x = nextX;
+/**
+ * @param {number[]} alpha
+ * @returns {number[]} The variance of each component, α_i (α_0 - α_i) / (α_0² (α_0 + 1)).
+ */
+function dirichletVariance(alpha) {
+    const total = alpha.reduce((sum, value) => sum + value, 0);
+    return alpha.map(value => value * (total - value) / (total * total * (total + 1)));
+}
 
-        if (Math.abs(step) < 1e-8) {
-            return x; // Converged
-        }
-    }
+/**
+ * The marginal of one Dirichlet component: p_i ~ Beta(α_i, α_0 - α_i).
+ * @param {number[]} alpha
+ * @param {number} index
+ * @returns {{a: number, b: number}}
+ */
+function dirichletMarginal(alpha, index) {
+    const total = alpha.reduce((sum, value) => sum + value, 0);
+    return { a: alpha[index], b: total - alpha[index] };
+}
 
-    // Fallback to bisection method if Newton-Raphson fails to converge.
-    let low = 0;
-    let high = 1;
-    for (let i = 0; i < 50; i++) {
-        const mid = (low + high) / 2;
-        if (regularizedIncompleteBeta(mid, a, b) < p) {
-            low = mid;
-        } else {
-            high = mid;
-        }
-        if (high - low < 1e-10) break;
+/**
+ * The log density of Dirichlet(α) at a point of the simplex.
+ * @param {number[]} x Probabilities summing to 1 (within 1e-9).
+ * @param {number[]} alpha Concentration parameters, each > 0.
+ * @returns {number} -Infinity off the simplex.
+ */
+function dirichletLogPdf(x, alpha) {
+    if (x.length !== alpha.length || !alpha.every(value => value > 0)) return NaN;
+    const sum = x.reduce((total, value) => total + value, 0);
+    if (Math.abs(sum - 1) > 1e-9 || x.some(value => value < 0 || value > 1)) return -Infinity;
+    let result = -logMultivariateBeta(alpha);
+    for (let i = 0; i < x.length; i++) {
+        if (alpha[i] === 1) continue; // 0^0 = 1 on the boundary
+        if (x[i] === 0) return alpha[i] < 1 ? Infinity : -Infinity;
+        result += (alpha[i] - 1) * Math.log(x[i]);
     }
-
-    return (low + high) / 2;
+    return result;
 }
@@ -3,12 +3,129 @@
  * strategy.js
  *
  * Implements an advanced Baccarat betting strategy.
- * - Uses a Confidence Index (CI) derived from a Bayesian posterior for staking.
- * - Implements dual-mode logging (Strict vs. Relaxed) for validation.
+ * - Uses a Confidence Index (CI), the posterior probability that a bet has a positive edge under a
+ *   Dirichlet posterior over Banker, Player and Tie (dirichlet-posterior.js), for staking.
+ * - Registers strategy types (confidence-based and legacy strict signal) that can run side by side.
  * - Features adaptive stop-loss and inter-shoe learning.
+ * - Tracks change points in the outcome stream (changepoint.js) and can restart the posterior
+ *   from the most likely one.
+ * - Evaluates Banker, Player and Tie bets under a configurable payout model.
+ * - Sizes stakes through pluggable stake policies (flat, threshold ladder, fractional Kelly).
  */
 
-// Assumes statistics.js is loaded, providing betaCdfInv() and gammaln().
+// Assumes statistics.js is loaded, providing betaCdfInv(), dirichlet-posterior.js, providing
+// DirichletPosterior, changepoint.js, providing ChangePointDetector, and payouts.js, providing getPayoutModel(), settleBet(), winPayout() and breakEvenProbabilities().
+
+// --- Stake Policies ---
+// A stake policy turns the chosen side's analysis into a stake in units. Policies are built
+// from a plain spec ({ type, ...params }) so they can be stored in config, and describe()
+// returns that spec so every decision log records how its stake was sized.
+
+/**
+ * Bets the same number of units whenever confidence reaches a threshold.
+ */
+class FlatStakePolicy {
+    /**
+     * @param {object} [params={}]
+     * @param {number} [params.units=1] - Units to bet.
+     * @param {number} [params.min_confidence=0.80] - Minimum confidence to bet at all.
+     */
+    constructor(params = {}) {
+        this.params = {
+            units: typeof params.units === 'number' ? params.units : 1,
+            min_confidence: typeof params.min_confidence === 'number' ? params.min_confidence : 0.80,
+        };
+    }
+
+    getStake({ confidence }) {
+        return confidence >= this.params.min_confidence ? this.params.units : 0;
+    }
+
+    describe() {
+        return { type: 'flat', ...this.params };
+    }
+}
+
+/**
+ * Steps the stake up at confidence thresholds (the strategy's original sizing).
+ */
+class ThresholdLadderStakePolicy {
+    /**
+     * @param {object} [params={}]
+     * @param {{confidence: number, units: number}[]} [params.steps] - Thresholds, checked from highest to lowest.
+     */
+    constructor(params = {}) {
+        const steps = params.steps || [
+            { confidence: 0.95, units: 4 }, // Strong bet (4-5 units)
+            { confidence: 0.90, units: 2 }, // Medium bet (2-3 units)
+            { confidence: 0.80, units: 1 }, // Small bet (1 unit)
+        ];
+        this.params = { steps: [...steps].sort((a, b) => b.confidence - a.confidence) };
+    }
+
+    getStake({ confidence }) {
+        const step = this.params.steps.find(step => confidence >= step.confidence);
+        return step ? step.units : 0; // No bet below the lowest step
+    }
+
+    describe() {
+        return { type: 'ladder', ...this.params };
+    }
+}
+
+/**
+ * Bets a fraction of the Kelly stake computed from the posterior mean probabilities and
+ * the tracked bankroll. With pushes (probability r), the Kelly fraction for a bet paying
+ * b per unit that wins with probability p and loses with probability q is
+ * f* = (p*b - q) / (b * (p + q)).
+ */
+class FractionalKellyStakePolicy {
+    /**
+     * @param {object} [params={}]
+     * @param {number} [params.fraction=0.25] - Multiplier applied to the full Kelly stake.
+     * @param {number} [params.min_confidence=0.80] - Minimum confidence to bet at all.
+     * @param {number} [params.max_units=10] - Cap on a single stake.
+     */
+    constructor(params = {}) {
+        this.params = {
+            fraction: typeof params.fraction === 'number' ? params.fraction : 0.25,
+            min_confidence: typeof params.min_confidence === 'number' ? params.min_confidence : 0.80,
+            max_units: typeof params.max_units === 'number' ? params.max_units : 10,
+        };
+    }
+
+    getStake({ confidence, win_probability, loss_probability, payout, bankroll }) {
+        if (confidence < this.params.min_confidence || bankroll <= 0) return 0;
+        const decided = win_probability + loss_probability;
+        if (decided <= 0) return 0;
+        const kelly_fraction = (win_probability * payout - loss_probability) / (payout * decided);
+        if (kelly_fraction <= 0) return 0;
+        return Math.min(this.params.max_units, Math.floor(this.params.fraction * kelly_fraction * bankroll));
+    }
+
+    describe() {
+        return { type: 'kelly', ...this.params };
+    }
+}
+
+const STAKE_POLICIES = {
+    flat: FlatStakePolicy,
+    ladder: ThresholdLadderStakePolicy,
+    kelly: FractionalKellyStakePolicy,
+};
+
+/**
+ * Builds a stake policy from its spec.
+ * @param {object} [spec={ type: 'ladder' }] - The policy type and its parameters.
+ * @returns {object} The stake policy.
+ * @throws {Error} If the policy type is unknown.
+ */
+function createStakePolicy(spec = {}) {
+    const { type = 'ladder', ...params } = spec;
+    const Policy = STAKE_POLICIES[type];
+    if (!Policy) throw new Error(`Unknown stake policy: ${type}`);
+    return new Policy(params);
+}
 
 class BaccaratStrategy {
     /**
@@ -18,18 +135,35 @@ class BaccaratStrategy {
      * @param {number} [options.max_exposure=10] - Maximum total units to risk in a single shoe.
      * @param {number} [options.confidence_stop_loss_threshold=0.60] - Stop if confidence is below this for 5 consecutive rounds.
      * @param {number} [options.net_profit_stop_loss_units=-3] - Stop if net profit drops below this many units.
+     * @param {string} [options.payout_model='standard'] - Id of the payout model in payouts.js.
+     * @param {string[]} [options.bet_sides=['B', 'P', 'T']] - Sides the strategy may bet on.
+     * @param {object} [options.stake_policy={type:'ladder'}] - Stake policy spec, see createStakePolicy().
+     * @param {number} [options.bankroll_units=100] - Starting bankroll, used by bankroll-based stake policies.
+     * @param {number} [options.initial_bankroll] - The bankroll carried over from earlier shoes; defaults to bankroll_units.
+     * @param {object} [options.changepoint] - Change-point detector settings, see DEFAULT_CHANGEPOINT_CONFIG.
+     * @param {boolean} [options.restart_on_changepoint=false] - Base the posterior on the hands since the
+     *     most likely change point, once the shoe has more likely than not changed, instead of the whole shoe.
      */
     constructor(options = {}) {
         this.config = {
             initial_prior: options.initial_prior || { B: 1, P: 1, T: 1 },
-            warm_up_rounds: options.warm_up_rounds || 10,
-            max_exposure: options.max_exposure || 10,
-            confidence_stop_loss_threshold: options.confidence_stop_loss_threshold || 0.60,
-            net_profit_stop_loss_units: options.net_profit_stop_loss_units || -3,
+            // ?? rather than ||, so settings such as 0 warm-up rounds are kept
+            warm_up_rounds: options.warm_up_rounds ?? 10,
+            max_exposure: options.max_exposure ?? 10,
+            confidence_stop_loss_threshold: options.confidence_stop_loss_threshold ?? 0.60,
+            net_profit_stop_loss_units: options.net_profit_stop_loss_units ?? -3,
+            payout_model: options.payout_model || DEFAULT_PAYOUT_MODEL_ID,
+            bet_sides: options.bet_sides || ['B', 'P', 'T'],
+            stake_policy: options.stake_policy || { type: 'ladder' },
+            bankroll_units: options.bankroll_units || 100,
+            initial_bankroll: options.initial_bankroll ?? (options.bankroll_units || 100),
             // Strict mode (legacy) parameters, used for logging comparison
             sprt: options.sprt || { alpha: 0.05, beta: 0.10, epsilon: 0.01 },
             cusum: options.cusum || { drift: 0.05, threshold: 4 },
+            changepoint: { ...DEFAULT_CHANGEPOINT_CONFIG, ...options.changepoint },
+            restart_on_changepoint: options.restart_on_changepoint ?? false,
         };
+        this.stakePolicy = createStakePolicy(this.config.stake_policy);
         this.resetShoe(this.config.initial_prior);
     }
 
@@ -56,54 +190,129 @@ class BaccaratStrategy {
             decision: 'inconclusive',
         };
         this.cusum_sum = 0;
+        this.changepoint = new ChangePointDetector(this.config.changepoint, prior);
+    }
+
+    /**
+     * Applies changed settings mid-shoe; they take effect from the next outcome.
+     * Only the settings below can change mid-shoe; the prior, payout model and stake policy
+     * apply from the next shoe.
+     * @param {object} options - Any of warm_up_rounds, max_exposure, confidence_stop_loss_threshold,
+     *     net_profit_stop_loss_units, sprt, cusum and changepoint.
+     */
+    updateConfig(options) {
+        for (const key of ['warm_up_rounds', 'max_exposure', 'confidence_stop_loss_threshold', 'net_profit_stop_loss_units', 'sprt', 'cusum']) {
+            if (options[key] !== undefined) this.config[key] = options[key];
+        }
+        // The SPRT boundaries follow alpha and beta; the accumulated log-likelihood ratio is kept.
+        this.sprt_state.upper_boundary = Math.log((1 - this.config.sprt.beta) / this.config.sprt.alpha);
+        this.sprt_state.lower_boundary = Math.log(this.config.sprt.beta / (1 - this.config.sprt.alpha));
+        // The run-length posterior is kept; a new hazard applies from the next outcome.
+        if (options.changepoint !== undefined) {
+            this.config.changepoint = { ...this.config.changepoint, ...options.changepoint };
+            this.changepoint.setConfig(this.config.changepoint);
+        }
+    }
+
+    /**
+     * Returns a JSON-safe snapshot of the strategy's type, config and state.
+     * @returns {{type: string, config: object, state: object}}
+     */
+    serialize() {
+        const { config, stakePolicy, ...state } = this; // The policy is rebuilt from config, the detector in restore()
+        return JSON.parse(JSON.stringify({ type: this.getType(), config, state }));
+    }
+
+    /**
+     * Rebuilds a strategy from a snapshot produced by serialize().
+     * @param {{type: string, config: object, state: object}} snapshot
+     * @returns {BaccaratStrategy}
+     */
+    static restore(snapshot) {
+        const strategy = createStrategy(snapshot.type || 'confidence', snapshot.config);
+        const { changepoint, ...state } = snapshot.state;
+        Object.assign(strategy, state);
+        // Snapshots from before change-point detection keep the fresh detector, which starts
+        // from the next outcome.
+        if (changepoint) strategy.changepoint = ChangePointDetector.restore(changepoint);
+        return strategy;
+    }
+
+    /**
+     * The current bankroll in units: the bankroll carried into this shoe plus this shoe's net profit.
+     * @returns {number}
+     */
+    getBankroll() {
+        return this.config.initial_bankroll + this.net_profit;
     }
 
     /**
-     * Determines the stake in units based on a confidence level.
-     * @param {number} confidence - The confidence index (0.0 to 1.0).
+     * Determines the stake in units for a bet on a side, using the configured stake policy.
+     * @param {string} side - The side to bet on ('B', 'P' or 'T').
+     * @param {number} confidence - The side's confidence index (0.0 to 1.0).
+     * @param {object} posterior_mean - Posterior mean probabilities of B, P and T.
+     * @param {object} payout_model - The payout model in use.
      * @returns {number} The number of units to bet.
      */
-    getStakeUnit(confidence) {
-        if (confidence >= 0.95) return 4; // Strong bet (4-5 units)
-        if (confidence >= 0.90) return 2; // Medium bet (2-3 units)
-        if (confidence >= 0.80) return 1; // Small bet (1 unit)
-        return 0; // No bet
+    getStake(side, confidence, posterior_mean, payout_model) {
+        // Banker and Player bets push on a Tie; a Tie bet loses on anything else.
+        const loss_probability = side === 'T' ? 1 - posterior_mean.T : posterior_mean[side === 'B' ? 'P' : 'B'];
+        return this.stakePolicy.getStake({
+            confidence: confidence,
+            win_probability: posterior_mean[side],
+            loss_probability: loss_probability,
+            payout: winPayout(payout_model, side),
+            bankroll: this.getBankroll(),
+        });
     }
 
     /**
      * Processes a single outcome, updates all models, and returns a comprehensive log.
      * @param {string} outcome - The result of the round ('B', 'P', or 'T').
+     * @param {?number} [bankerTotal] - The Banker's final total, when the feed reports it.
      * @returns {object} A detailed log object for the round.
      */
-    addOutcome(outcome) {
+    addOutcome(outcome, bankerTotal) {
         if (!['B', 'P', 'T'].includes(outcome)) return;
+        const payout_model = getPayoutModel(this.config.payout_model);
 
-        // Update counts and trackers
+        // Settle the previous round's decision and update counts
         this.round++;
         const last_decision = this.current_decision; // from previous round
+        let settlement = null;
         if (last_decision && last_decision.stake > 0) {
-            if (last_decision.betOn === outcome) {
-                this.net_profit += last_decision.stake * 0.95; // Banker win pays 0.95
-            } else {
-                this.net_profit -= last_decision.stake;
-            }
+            const { result, net } = settleBet(payout_model, last_decision.betOn, last_decision.stake, outcome, bankerTotal);
+            this.net_profit += net;
+            settlement = { betOn: last_decision.betOn, stake: last_decision.stake, result: result, net: net };
         }
         this.counts[outcome]++;
+        const changepoint = this.changepoint.update(outcome);
 
         // --- Bayesian Analysis & Confidence Index ---
-        const posterior_alpha = {
+        // Restarting pools only the hands since the most likely change point, once a change is more
+        // likely than not.
+        const restarted = this.config.restart_on_changepoint && changepoint.segment_length < this.changepoint.hands;
+        const posterior_alpha = restarted ? this.changepoint.segmentAlpha() : {
             B: this.counts.B,
             P: this.counts.P,
             T: this.counts.T,
         };
-        const total_alpha = posterior_alpha.B + posterior_alpha.P + posterior_alpha.T;
-        const posterior_mean = {
-            B: posterior_alpha.B / total_alpha,
-            P: posterior_alpha.P / total_alpha,
-            T: posterior_alpha.T / total_alpha,
-        };
-        const p_b_star = (1 - posterior_mean.T) / 1.95; // Break-even point for Banker bet
-        const confidence = 1 - regularizedIncompleteBeta(p_b_star, posterior_alpha.B, posterior_alpha.P + posterior_alpha.T);
+        const posterior = new DirichletPosterior(posterior_alpha);
+        const posterior_mean = posterior.predictive();
+        // The break-even that decides the sign of each side's edge (see dirichlet-posterior.js), the
+        // expected edge per unit and the confidence P(edge > 0) over the full posterior
+        const sides = {};
+        for (const side of ['B', 'P', 'T']) {
+            sides[side] = {
+                p_star: posterior.edgeDistribution(payout_model, side).break_even,
+                confidence: posterior.edgeProbability(payout_model, side),
+                edge: posterior.expectedEdge(payout_model, side),
+            };
+        }
+        // Break-even Banker win probability at the expected tie rate, used by the legacy systems
+        const p_b_star = breakEvenProbabilities(payout_model, posterior_mean.T).B;
+        const best_side = this.config.bet_sides.reduce((best, side) => (!best || sides[side].confidence > sides[best].confidence) ? side : best, null);
+        const confidence = best_side ? sides[best_side].confidence : 0;
 
         // --- Adaptive Stop-Loss Logic ---
         if (confidence < this.config.confidence_stop_loss_threshold) {
@@ -121,27 +330,7 @@ class BaccaratStrategy {
             this.stop_reason = `Net profit reached ${this.config.net_profit_stop_loss_units} units`;
         }
 
-        // --- Relaxed Mode Decision (Confidence-Based) ---
-        let relaxed_decision = { betOn: null, stake: 0, reason: 'Confidence too low' };
-        const stake_unit = this.getStakeUnit(confidence);
-
-        if (this.round < this.config.warm_up_rounds) {
-            relaxed_decision.reason = 'Warm-up period';
-        } else if (this.betting_disabled) {
-            relaxed_decision.reason = `ADAPTIVE STOP: ${this.stop_reason}`;
-        } else if (this.total_staked >= this.config.max_exposure) {
-            relaxed_decision.reason = `Max exposure of ${this.config.max_exposure} units reached`;
-        } else if (stake_unit > 0) {
-            relaxed_decision = {
-                betOn: 'B',
-                stake: stake_unit,
-                reason: `Confidence ${ (confidence * 100).toFixed(2) }%`
-            };
-            this.total_staked += stake_unit;
-        }
-        this.current_decision = relaxed_decision; // Store for next round's profit calculation
-
-        // --- Strict Mode (Legacy) Analysis for Logging ---
+        // --- Strict Mode (Legacy) Analysis ---
         this.updateLegacySystems(outcome, p_b_star);
         const p_b_ci_lower = betaCdfInv(0.025, posterior_alpha.B, posterior_alpha.P + posterior_alpha.T);
         const strict_signal = !this.betting_disabled_cusum &&
@@ -150,16 +339,26 @@ class BaccaratStrategy {
                               p_b_ci_lower > p_b_star &&
                               this.sprt_state.decision === 'accept_h1';
 
+        // --- Decision ---
+        const decision = this.decide({ best_side, confidence, sides, posterior_mean, payout_model, strict_signal });
+        this.total_staked += decision.stake;
+        this.current_decision = decision; // Store for next round's profit calculation
+
         // --- Log Generation ---
         return {
             round: this.round,
             outcome: outcome,
             counts: { ...this.counts },
             posterior_mean: posterior_mean,
+            predictive: { ...posterior_mean }, // The next hand's probabilities under the posterior
             p_b_star: p_b_star,
             confidence: confidence,
+            sides: sides,
+            payout_model: payout_model.id,
+            settlement: settlement,
             net_profit: this.net_profit,
-            decision: relaxed_decision, // The main decision is now the "relaxed" one
+            bankroll: this.getBankroll(),
+            decision: decision,
             // Logging for analysis and comparison
             analysis: {
                 strict_signal: strict_signal,
@@ -167,11 +366,53 @@ class BaccaratStrategy {
                 cusum_sum: this.cusum_sum,
                 total_staked: this.total_staked,
                 p_b_credible_interval: [p_b_ci_lower, betaCdfInv(0.975, posterior_alpha.B, posterior_alpha.P + posterior_alpha.T)],
+                changepoint: { ...changepoint, restarted: restarted },
                 betting_disabled_reasons: this.stop_reason ? [this.stop_reason] : [],
             }
         };
     }
 
+    /**
+     * Chooses the bet for the next round: the side with the highest confidence, sized by the
+     * stake policy. Subclasses override this to bet on other signals.
+     * @param {object} analysis - This round's analysis (best_side, confidence, sides, posterior_mean, payout_model, strict_signal).
+     * @returns {{betOn: ?string, stake: number, reason: string, stake_policy: object}} The decision.
+     */
+    decide(analysis) {
+        const { best_side, confidence, posterior_mean, payout_model } = analysis;
+        const block_reason = this.getBlockReason();
+        if (block_reason) return this.noBet(block_reason);
+
+        const stake_unit = best_side ? this.getStake(best_side, confidence, posterior_mean, payout_model) : 0;
+        if (stake_unit <= 0) return this.noBet('Confidence too low');
+        return this.bet(best_side, stake_unit, `Confidence ${ (confidence * 100).toFixed(2) }%`);
+    }
+
+    /**
+     * @returns {?string} Why no bet may be placed this round (warm-up, adaptive stop, exposure), or null.
+     */
+    getBlockReason() {
+        if (this.round < this.config.warm_up_rounds) return 'Warm-up period';
+        if (this.betting_disabled) return `ADAPTIVE STOP: ${this.stop_reason}`;
+        if (this.total_staked >= this.config.max_exposure) return `Max exposure of ${this.config.max_exposure} units reached`;
+        return null;
+    }
+
+    noBet(reason) {
+        return { betOn: null, stake: 0, reason: reason, stake_policy: this.stakePolicy.describe() };
+    }
+
+    bet(side, stake, reason) {
+        return { betOn: side, stake: stake, reason: reason, stake_policy: this.stakePolicy.describe() };
+    }
+
+    /**
+     * @returns {string} The strategy's type in STRATEGY_TYPES.
+     */
+    getType() {
+        return 'confidence';
+    }
+
     /**
      * Updates the legacy SPRT and CUSUM systems for logging purposes.
      * @param {string} outcome The round outcome.
@@ -209,3 +450,58 @@ class BaccaratStrategy {
         }
     }
 }
+
+/**
+ * Bets a Banker unit only when the legacy triple-confirmation signal fires (SPRT accepts H1,
+ * CUSUM has not tripped, and the 95% credible interval of p_B lies above break-even).
+ */
+class StrictSignalStrategy extends BaccaratStrategy {
+    decide(analysis) {
+        const block_reason = this.getBlockReason();
+        if (block_reason) return this.noBet(block_reason);
+        if (!analysis.strict_signal) return this.noBet('No strict signal');
+
+        const stake_unit = this.getStake('B', analysis.sides.B.confidence, analysis.posterior_mean, analysis.payout_model);
+        if (stake_unit <= 0) return this.noBet('Stake policy declined');
+        return this.bet('B', stake_unit, 'Strict signal (SPRT + CUSUM + credible interval)');
+    }
+
+    getType() {
+        return 'strict';
+    }
+}
+
+// --- Strategy Registry ---
+
+const STRATEGY_TYPES = {
+    confidence: BaccaratStrategy,
+    strict: StrictSignalStrategy,
+};
+
+/**
+ * The strategies run side by side on every table unless configured otherwise.
+ * The first variant is the primary one: its log drives the dashboard card and its counts
+ * feed the inter-shoe priors.
+ *
+ * A variant that restarts its posterior at detected change points (see changepoint.js) is opt-in:
+ * list { name: 'changepoint', type: 'confidence', options: { restart_on_changepoint: true } } after
+ * these in the 'strategyVariants' setting (the set_strategy_config message), or in the `variants`
+ * of a backtest config file. Either list replaces the defaults.
+ */
+const DEFAULT_STRATEGY_VARIANTS = [
+    { name: 'relaxed', type: 'confidence', options: {} },
+    { name: 'strict', type: 'strict', options: { stake_policy: { type: 'flat', units: 1, min_confidence: 0 } } },
+];
+
+/**
+ * Builds a strategy of a registered type.
+ * @param {string} type - A key of STRATEGY_TYPES.
+ * @param {object} [options={}] - The strategy's options.
+ * @returns {BaccaratStrategy}
+ * @throws {Error} If the type is unknown.
+ */
+function createStrategy(type, options = {}) {
+    const Strategy = STRATEGY_TYPES[type];
+    if (!Strategy) throw new Error(`Unknown strategy type: ${type}`);
+    return new Strategy(options);
+}
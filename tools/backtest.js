@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * backtest.js
+ *
+ * Offline backtester for the strategy variants (see DEFAULT_STRATEGY_VARIANTS) and PerformanceTracker.
+ * Loads statistics.js, payouts.js, dirichlet-posterior.js, changepoint.js, performance.js, strategy.js
+ * and adapters.js into a sandbox (they are written as service worker scripts, not modules) and runs
+ * recorded shoes through them.
+ *
+ * Usage:
+ *   node tools/backtest.js [options] <shoes-file>...
+ *
+ * Shoe files:
+ *   .txt  - One shoe per line, written as a sequence of B/P/T (other characters are ignored).
+ *   .json - An array of shoes. A shoe is a B/P/T string, an array of 'B'/'P'/'T', an array of
+ *           raw feed results (read with the --adapter format), or an object with a `results` array.
+ *
+ * Options:
+ *   --config <file>     JSON file with strategy options for every variant, or { "variants": [...] }.
+ *   --adapter <id>      Feed adapter used to read raw results (default: 'default').
+ *   --payout <id>       Payout model from payouts.js (overrides the config's payout_model).
+ *   --shrinkage <f>     Carry priors between shoes like the extension does (e.g. 0.2).
+ *   --reports           Also print the shoe performance report of every shoe.
+ *   --json              Print the results as JSON instead of a table.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const STRATEGY_SCRIPTS = ['statistics.js', 'payouts.js', 'dirichlet-posterior.js', 'changepoint.js', 'performance.js', 'strategy.js', 'adapters.js'];
+
+/**
+ * Loads the strategy scripts into a fresh context and returns their globals.
+ * @returns {{createStrategy: Function, DEFAULT_STRATEGY_VARIANTS: object[], PerformanceTracker: Function, getFeedAdapter: Function,
+ *     hasFeedAdapter: Function, listFeedAdapters: Function}}
+ */
+function loadStrategyScripts() {
+    const context = vm.createContext({ console, Math });
+    for (const script of STRATEGY_SCRIPTS) {
+        const file = path.join(ROOT_DIR, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+    return vm.runInContext('({ createStrategy, DEFAULT_STRATEGY_VARIANTS, PerformanceTracker, getFeedAdapter, hasFeedAdapter, listFeedAdapters })', context);
+}
+
+function parseArgs(argv) {
+    const options = { files: [], config: {}, adapter: 'default', shrinkage: null, reports: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--config': options.config = JSON.parse(fs.readFileSync(argv[++i], 'utf8')); break;
+            case '--adapter': options.adapter = argv[++i]; break;
+            case '--payout': options.payout = argv[++i]; break;
+            case '--shrinkage': options.shrinkage = Number(argv[++i]); break;
+            case '--reports': options.reports = true; break;
+            case '--json': options.json = true; break;
+            case '-h':
+            case '--help': options.help = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+                options.files.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Normalizes any supported shoe representation to an array of 'B'/'P'/'T'.
+ * @param {string|Array|object} shoe
+ * @param {object} adapter The feed adapter used for raw result objects.
+ * @returns {string[]}
+ */
+function toOutcomes(shoe, adapter) {
+    if (typeof shoe === 'string') {
+        return shoe.toUpperCase().split('').filter(c => c === 'B' || c === 'P' || c === 'T');
+    }
+    if (shoe && !Array.isArray(shoe) && Array.isArray(shoe.results)) {
+        return toOutcomes(shoe.results, adapter);
+    }
+    if (Array.isArray(shoe)) {
+        return shoe.map((item, index) => (typeof item === 'string' ? item.toUpperCase() : adapter.normalizeResult(item, index, null).outcome))
+            .filter(outcome => outcome === 'B' || outcome === 'P' || outcome === 'T');
+    }
+    throw new Error(`Unsupported shoe format: ${JSON.stringify(shoe).slice(0, 60)}`);
+}
+
+function loadShoes(file, adapter) {
+    const text = fs.readFileSync(file, 'utf8');
+    const shoes = file.endsWith('.json')
+        ? JSON.parse(text)
+        : text.split('\n').filter(line => line.trim());
+    if (!Array.isArray(shoes)) throw new Error(`${file}: expected an array of shoes.`);
+    return shoes.map((shoe, index) => ({ name: `${path.basename(file)}#${index + 1}`, outcomes: toOutcomes(shoe, adapter) }));
+}
+
+/**
+ * Runs one shoe through a fresh strategy and tracker per variant.
+ * @returns {object} The shoe result, with per-variant results and the primary variant's final counts.
+ */
+function runShoe(shoe, variantSpecs, prior, bankrolls, { createStrategy, PerformanceTracker }) {
+    const runs = variantSpecs.map(spec => ({
+        spec: spec,
+        strategy: createStrategy(spec.type, { ...spec.options, initial_prior: prior || spec.options.initial_prior, initial_bankroll: bankrolls[spec.name] }),
+        tracker: new PerformanceTracker(),
+        curve: [],
+    }));
+
+    for (const outcome of shoe.outcomes) {
+        for (const run of runs) {
+            const log = run.strategy.addOutcome(outcome);
+            if (!log) continue;
+            run.tracker.recordDecision(log, outcome);
+            run.curve.push(run.tracker.net_profit_units);
+        }
+    }
+
+    const variants = {};
+    for (const run of runs) {
+        variants[run.spec.name] = {
+            net_profit: run.tracker.net_profit_units,
+            max_drawdown: maxDrawdown(run.curve),
+            curve: run.curve,
+            metrics: { ...run.tracker.metrics },
+            tracker: run.tracker,
+            bankroll: run.strategy.getBankroll(),
+        };
+    }
+    return {
+        name: shoe.name,
+        rounds: runs.length > 0 ? runs[0].tracker.outcomes_observed : 0,
+        counts: runs.length > 0 ? runs[0].strategy.counts : null,
+        variants: variants,
+    };
+}
+
+/**
+ * Largest peak-to-trough decline of a cumulative profit curve, starting from 0.
+ * @param {number[]} curve Cumulative profit after each round.
+ * @returns {number}
+ */
+function maxDrawdown(curve) {
+    let peak = 0;
+    let drawdown = 0;
+    for (const value of curve) {
+        peak = Math.max(peak, value);
+        drawdown = Math.max(drawdown, peak - value);
+    }
+    return drawdown;
+}
+
+/**
+ * Win rate over decided bets; pushes are excluded.
+ */
+function winRate(wins, total) {
+    return total > 0 ? wins / total : 0;
+}
+
+/**
+ * Sums the per-shoe results of each variant. Drawdown is measured on the profit curve across all shoes.
+ */
+function aggregate(results, variantNames) {
+    const total = { name: 'TOTAL', rounds: 0, variants: {} };
+    for (const name of variantNames) {
+        const variant = { net_profit: 0, max_drawdown: 0, metrics: {} };
+        const curve = [];
+        for (const result of results) {
+            const shoeVariant = result.variants[name];
+            curve.push(...shoeVariant.curve.map(value => variant.net_profit + value));
+            variant.net_profit += shoeVariant.net_profit;
+            for (const key in shoeVariant.metrics) variant.metrics[key] = (variant.metrics[key] || 0) + shoeVariant.metrics[key];
+        }
+        variant.max_drawdown = maxDrawdown(curve);
+        total.variants[name] = variant;
+    }
+    total.rounds = results.reduce((sum, result) => sum + result.rounds, 0);
+    return total;
+}
+
+function toRows(result) {
+    return Object.keys(result.variants).map((name, index) => {
+        const variant = result.variants[name];
+        const { bets_made, wins, losses, pushes } = variant.metrics;
+        return [
+            index === 0 ? result.name : '',
+            name,
+            index === 0 ? result.rounds : '',
+            variant.net_profit.toFixed(2),
+            variant.max_drawdown.toFixed(2),
+            bets_made,
+            `${wins}/${losses}/${pushes}`,
+            `${(winRate(wins, wins + losses) * 100).toFixed(1)}%`,
+        ];
+    });
+}
+
+function printTable(shoeRows, totalRows) {
+    const header = ['Shoe', 'Variant', 'Rounds', 'Net', 'MaxDD', 'Bets', 'W/L/P', 'Win Rate'];
+    const all = [header, ...shoeRows, ...totalRows].map(row => row.map(String));
+    const widths = header.map((_, col) => Math.max(...all.map(row => row[col].length)));
+    const format = row => row.map((cell, col) => (col <= 1 ? cell.padEnd(widths[col]) : cell.padStart(widths[col]))).join('  ');
+    const rule = widths.map(w => '-'.repeat(w)).join('  ');
+    console.log(format(all[0]));
+    console.log(rule);
+    all.slice(1, 1 + shoeRows.length).forEach(row => console.log(format(row)));
+    console.log(rule);
+    all.slice(1 + shoeRows.length).forEach(row => console.log(format(row)));
+}
+
+/**
+ * Formats a shoe report from PerformanceTracker.compareReports() as text.
+ */
+function formatReport(report) {
+    const lines = [`Rounds: ${report.rounds}, best variant: ${report.best_variant}`];
+    for (const variant of report.variants) {
+        const { bets, signals, risk, calibration } = variant;
+        const score = value => (value === null ? 'n/a' : value.toFixed(4));
+        lines.push(`  [${variant.variant}] net ${variant.net_profit.toFixed(2)}, ${bets.made} bets (${bets.wins}/${bets.losses}/${bets.pushes}), ` +
+            `max drawdown ${risk.max_drawdown.toFixed(2)}, longest losing run ${risk.longest_losing_run}`);
+        lines.push(`    false signals ${signals.false_signals}, missed opportunities ${signals.missed_opportunities}, avoided losses ${signals.avoided_losses}`);
+        for (const tier of variant.stake_tiers) {
+            lines.push(`    ${tier.units}u: ${tier.bets} bets (${tier.wins}/${tier.losses}/${tier.pushes}), net ${tier.net.toFixed(2)}`);
+        }
+        lines.push(`    calibration: brier ${score(calibration.brier_score)}, log loss ${score(calibration.log_loss)}, ` +
+            `suggested min confidence ${calibration.suggested_min_confidence === null ? 'none' : calibration.suggested_min_confidence.toFixed(1)}`);
+        for (const bin of calibration.bins.filter(b => b.count > 0)) {
+            lines.push(`      ${bin.from.toFixed(1)}-${bin.to.toFixed(1)}: ${bin.count} rounds, mean ${bin.mean_confidence.toFixed(3)}, Banker won ${(bin.banker_win_rate * 100).toFixed(1)}%`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * The config file is either { variants: [{ name, type, options }] } or plain strategy
+ * options, which are then applied to each default variant.
+ */
+function getVariantSpecs(config, defaultVariants) {
+    const { variants, ...options } = config;
+    const specs = variants || defaultVariants;
+    return specs.map(spec => ({ name: spec.name, type: spec.type, options: { ...spec.options, ...options } }));
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || options.files.length === 0) {
+        console.log('Usage: node tools/backtest.js [--config file.json] [--adapter id] [--payout id] [--shrinkage f] [--reports] [--json] <shoes-file>...');
+        process.exit(options.help ? 0 : 1);
+    }
+
+    if (options.payout) options.config.payout_model = options.payout;
+    const scripts = loadStrategyScripts();
+    if (!scripts.hasFeedAdapter(options.adapter)) {
+        throw new Error(`Unknown adapter: ${options.adapter} (known: ${scripts.listFeedAdapters().map(adapter => adapter.id).join(', ')})`);
+    }
+    const adapter = scripts.getFeedAdapter(options.adapter);
+    const shoes = options.files.flatMap(file => loadShoes(file, adapter));
+    const variantSpecs = getVariantSpecs(options.config, scripts.DEFAULT_STRATEGY_VARIANTS);
+
+    const results = [];
+    let prior = null;
+    const bankrolls = {}; // Carried across shoes, like finishShoe() in background.js does
+    for (const shoe of shoes) {
+        const result = runShoe(shoe, variantSpecs, prior, bankrolls, scripts);
+        results.push(result);
+        for (const name in result.variants) bankrolls[name] = result.variants[name].bankroll;
+        if (options.shrinkage !== null) {
+            // Same inter-shoe learning as processBaccaratData().
+            const c = result.counts;
+            prior = { B: 1 + c.B * options.shrinkage, P: 1 + c.P * options.shrinkage, T: 1 + c.T * options.shrinkage };
+        }
+    }
+    const total = aggregate(results, variantSpecs.map(spec => spec.name));
+
+    if (options.json) {
+        const strip = (result) => {
+            const variants = {};
+            for (const name in result.variants) {
+                const { tracker, curve, ...rest } = result.variants[name];
+                variants[name] = { ...rest, report: tracker.getReport(name) };
+            }
+            return { name: result.name, rounds: result.rounds, variants: variants };
+        };
+        console.log(JSON.stringify({ shoes: results.map(strip), total: total }, null, 2));
+        return;
+    }
+
+    if (options.reports) {
+        for (const result of results) {
+            const trackers = {};
+            for (const name in result.variants) trackers[name] = result.variants[name].tracker;
+            console.log(`### ${result.name}`);
+            console.log(formatReport(scripts.PerformanceTracker.compareReports(trackers)));
+        }
+    }
+    printTable(results.flatMap(toRows), toRows(total));
+}
+
+try {
+    main();
+} catch (e) {
+    console.error(`backtest: ${e.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * verify-replay.js
+ *
+ * Checks that a session replay stays isolated from the desktop app: background.js is loaded
+ * with a stand-in for the chrome APIs it uses, a recorded session spanning two shoes is
+ * replayed, and every table message it sends to the native host must be flagged `replayed`.
+ * A live frame after the replay must not be.
+ *
+ * Usage:
+ *   node tools/verify-replay.js [--verbose]
+ *
+ * Exits with status 1 if any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+const TABLE_MESSAGE_TYPES = ['strategy_update', 'strategy_no_data', 'shoe_summary'];
+const REPLAY_TIMEOUT_MS = 10000;
+
+/**
+ * @param {string} outcomes - E.g. 'BPBT'.
+ * @returns {object} A frame in the default adapter's format with one table, 'bac1'.
+ */
+function tableFrame(outcomes) {
+    const results = outcomes.split('').map(outcome => outcome === 'T' ? { ties: 1 } : { c: outcome === 'B' ? 'R' : 'B' });
+    return { args: { bac1: { results: results } } };
+}
+
+/**
+ * A recorded session (see recorder.js) of one connection, 'recorded', whose second shoe
+ * replaces the first.
+ * @returns {string} The session as JSONL.
+ */
+function recordedSession() {
+    const shoes = ['BPBBPPBPBBPBPPBTBPBB', 'PPBPB'];
+    const frames = [];
+    for (const shoe of shoes) {
+        for (let length = 1; length <= shoe.length; length++) {
+            frames.push({ t: frames.length, conn: 'recorded', data: JSON.stringify(tableFrame(shoe.slice(0, length))) });
+        }
+    }
+    const header = { type: 'session', id: 'verify-replay', startedAt: new Date(0).toISOString(), connections: { recorded: { adapter: 'default' } }, priors: {} };
+    return [header, ...frames].map(entry => JSON.stringify(entry)).join('\n');
+}
+
+function chromeEvent() {
+    const listeners = [];
+    return { listeners: listeners, addListener: (listener) => listeners.push(listener), removeListener() {} };
+}
+
+/**
+ * The chrome APIs background.js uses, with storage kept in memory and native messages collected.
+ * @param {object[]} sentNative - Receives every message posted to the native host.
+ */
+function createChrome(sentNative) {
+    const store = {};
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    const port = { onMessage: chromeEvent(), onDisconnect: chromeEvent(), postMessage: (message) => sentNative.push(copy(message)), disconnect() {} };
+    return {
+        runtime: {
+            lastError: null,
+            connectNative: () => port,
+            sendMessage: () => Promise.resolve(),
+            onMessage: chromeEvent(),
+            onStartup: chromeEvent(),
+            onInstalled: chromeEvent(),
+        },
+        storage: {
+            local: {
+                get: (keys, callback) => {
+                    const result = {};
+                    for (const key of [].concat(keys)) if (key in store) result[key] = copy(store[key]);
+                    callback(result);
+                },
+                set: (items, callback) => {
+                    Object.assign(store, copy(items));
+                    if (callback) callback();
+                },
+                remove: (keys, callback) => {
+                    for (const key of [].concat(keys)) delete store[key];
+                    if (callback) callback();
+                },
+            },
+            onChanged: chromeEvent(),
+        },
+        action: { setBadgeText: () => Promise.resolve(), setBadgeBackgroundColor: () => Promise.resolve() },
+        cookies: { getAll: (query, callback) => callback([]) },
+        webRequest: { onHeadersReceived: chromeEvent() },
+    };
+}
+
+/**
+ * @param {boolean} verbose - Show the background script's console output.
+ * @returns {{context: object, sentNative: object[]}} background.js, loaded.
+ */
+function loadBackground(verbose) {
+    const sentNative = [];
+    const quiet = { log() {}, warn() {}, error() {} };
+    const context = vm.createContext({
+        console: verbose ? console : quiet,
+        chrome: createChrome(sentNative),
+        setTimeout, clearTimeout, setInterval, clearInterval, performance, URL,
+        TextDecoder, TextEncoder, Blob, DecompressionStream, Response, atob, btoa,
+        WebSocket: function WebSocket() {},
+    });
+    context.self = context;
+    context.importScripts = (...files) => {
+        for (const file of files) {
+            vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), context, { filename: file });
+        }
+    };
+    vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+    return { context, sentNative };
+}
+
+/**
+ * Waits until the background script has no replay running and no frame left to apply.
+ */
+async function settle(context) {
+    const deadline = Date.now() + REPLAY_TIMEOUT_MS;
+    while (vm.runInContext('replayer', context) !== null) {
+        if (Date.now() > deadline) throw new Error('The replay did not finish.');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await vm.runInContext('Promise.all([stateRestored, frameQueue])', context);
+}
+
+async function main() {
+    const verbose = process.argv.includes('--verbose');
+    if (process.argv.includes('-h') || process.argv.includes('--help')) {
+        console.log('Usage: node tools/verify-replay.js [--verbose]');
+        return;
+    }
+    const { context, sentNative } = loadBackground(verbose);
+    const tableMessages = (from) => sentNative.slice(from).filter(message => TABLE_MESSAGE_TYPES.includes(message.type));
+
+    await vm.runInContext('stateRestored', context);
+    context.startReplay(recordedSession(), 0);
+    await settle(context);
+    const replayed = tableMessages(0);
+
+    const liveFrom = sentNative.length;
+    context.handleFrame(JSON.stringify(tableFrame('BPB')), 'default', 'live');
+    await settle(context);
+    const live = tableMessages(liveFrom);
+
+    const results = [
+        { name: 'The replay sends strategy updates', ok: replayed.some(message => message.type === 'strategy_update') },
+        { name: 'The replay sends a shoe summary', ok: replayed.some(message => message.type === 'shoe_summary') },
+        { name: 'Every replayed table message is flagged', ok: replayed.every(message => message.replayed === true), detail: `${replayed.filter(message => message.replayed !== true).length} of ${replayed.length} unflagged` },
+        { name: 'Live table messages are not flagged', ok: live.length > 0 && live.every(message => message.replayed === false), detail: `${live.length} sent` },
+    ];
+    const failed = results.filter(result => !result.ok);
+    console.log(`Replay isolation: ${results.length - failed.length}/${results.length} passed`);
+    for (const result of verbose ? results : failed) {
+        console.log(`  ${result.ok ? 'ok  ' : 'FAIL'} ${result.name}${result.detail ? `: ${result.detail}` : ''}`);
+    }
+    if (failed.length > 0) {
+        console.log(`${failed.length} check(s) failed.`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+});
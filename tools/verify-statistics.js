@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * verify-statistics.js
+ *
+ * Checks statistics.js against reference values and invariants. Every confidence number the
+ * strategy acts on comes from these functions, so run this after changing them.
+ *
+ * The reference values were computed with 80-digit decimal arithmetic (ln Γ from Stirling's
+ * series with 27 Bernoulli terms after shifting the argument above 80; I_x(a, b) from its
+ * hypergeometric series on the side of the symmetry where it converges; quantiles by 200
+ * bisection steps on that CDF) and rounded to 17 significant digits.
+ *
+ * Usage:
+ *   node tools/verify-statistics.js [--verbose]
+ *
+ * Exits with status 1 if any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const STATISTICS_FILE = path.join(__dirname, '..', 'statistics.js');
+const DEFAULT_TOLERANCE = 1e-13; // Relative, or absolute for a reference of 0
+// With parameters around 1e4 and more, the terms of ln I_x(a, b) are that large, so double
+// precision cannot do better than about 1e-16 times their size.
+const LARGE_PARAMETER_TOLERANCE = 1e-10;
+
+// [function, args, expected, tolerance?]
+const REFERENCE_VALUES = [
+    ['gammaln', [0.5], 0.57236494292470008],
+    ['gammaln', [1], 0],
+    ['gammaln', [2], 0],
+    ['gammaln', [1e-8], 18.420680738180209],
+    ['gammaln', [1e-300], 690.77552789821368],
+    ['gammaln', [0.1], 2.252712651734206],
+    ['gammaln', [1.5], -0.12078223763524522],
+    ['gammaln', [2.5], 0.28468287047291918, 1e-14],
+    ['gammaln', [3.7], 1.4280723266653879],
+    ['gammaln', [9.99], 12.779315214350193],
+    ['gammaln', [10], 12.801827480081469],
+    ['gammaln', [100.5], 361.43554046777763],
+    ['gammaln', [1e5], 1051287.7089736569],
+    ['gammaln', [1e10], 220258509288.81058],
+    ['gammaln', [-0.5], 1.2655121234846454],
+    ['gammaln', [-2.5], -0.056243716497674054, 1e-13 * 20], // A small value: 1.4e-15 absolute
+    ['logBeta', [0.5, 0.5], 1.1447298858494002],
+    ['logBeta', [1, 1], 0],
+    ['logBeta', [2, 3], -2.4849066497880004],
+    ['logBeta', [0.01, 1e4], 4.5073769693303447],
+    ['logBeta', [5000, 3], -24.859032293712762],
+    ['logBeta', [1e6, 1e6], -1386300.0033629211],
+    ['logBeta', [12.5, 7.25], -12.81232932793278],
+    ['logBeta', [1e-3, 1e-3], 7.6009008170083474],
+    ['logBeta', [45.6, 55.3], -70.159404297254028],
+    ['betaPdf', [0.3, 2, 3], 1.764],
+    ['betaPdf', [0.46, 45, 55], 7.8107710906983572],
+    ['betaLogPdf', [0.5, 1e4, 1e4], 4.7259399236233417, LARGE_PARAMETER_TOLERANCE],
+    ['betaLogPdf', [0.01, 0.5, 2], 2.0048526846887631],
+    ['regularizedIncompleteBeta', [0.5, 0.5, 0.5], 0.5],
+    ['regularizedIncompleteBeta', [0.3, 2, 3], 0.3483],
+    ['regularizedIncompleteBeta', [0.4615, 45, 55], 0.59365745286433003],
+    ['regularizedIncompleteBeta', [0.45, 20.3, 30.7], 0.7778576522477908],
+    ['regularizedIncompleteBeta', [0.3, 0.01, 0.01], 0.49582361360238203],
+    ['regularizedIncompleteBeta', [1e-5, 0.5, 3], 0.0059292310844635448],
+    ['regularizedIncompleteBeta', [0.999, 3, 0.2], 0.6685414839010847],
+    ['regularizedIncompleteBeta', [0.1, 50, 50], 3.2321822349737451e-24],
+    ['regularizedIncompleteBeta', [0.41, 2000, 3000], 0.92526212620830472, LARGE_PARAMETER_TOLERANCE],
+    ['regularizedIncompleteBeta', [0.49, 1e4, 1e4], 0.0023370593301101678, LARGE_PARAMETER_TOLERANCE],
+    ['regularizedIncompleteBeta', [0.2, 1e5, 4e5], 0.50028209488345421, LARGE_PARAMETER_TOLERANCE],
+    ['betaSurvival', [0.4615, 45, 55], 0.40634254713566992],
+    ['betaSurvival', [0.9, 50, 50], 3.2321822349737451e-24],
+    ['betaSurvival', [0.5, 10, 90], 3.0265671284731364e-18],
+    ['betaSurvival', [0.6, 500, 500], 8.4245036989361143e-11],
+    ['betaCdfInv', [0.025, 45, 55], 0.35413662042276955],
+    ['betaCdfInv', [0.975, 45, 55], 0.54775857933575334],
+    ['betaCdfInv', [0.5, 0.5, 0.5], 0.5],
+    ['betaCdfInv', [1e-10, 2, 3], 4.0824940158083332e-06],
+    ['betaCdfInv', [0.999999, 3, 2], 0.99959164053979577],
+    ['betaCdfInv', [0.025, 0.3, 0.4], 1.900476007971908e-05],
+    ['betaCdfInv', [0.01, 1e4, 1e4], 0.49177557179688458],
+    ['logMultivariateBeta', [[0.5, 0.5, 0.5]], 1.8378770664093456],
+    ['logMultivariateBeta', [[1e6, 2e6, 3e6]], -6068437.5658774627],
+    ['dirichletLogPdf', [[0.2, 0.3, 0.5], [2, 3, 4]], Math.log(7.56)],
+    ['dirichletLogPdf', [[0.45, 0.44, 0.11], [450, 440, 110]], 6.9822109739098819],
+];
+
+// Parameters and probabilities for the invariant checks, from tiny to very large counts.
+const GRID_PARAMETERS = [0.1, 0.5, 1, 3, 45.6, 1e3, 1e5];
+const GRID_PROBABILITIES = [1e-6, 0.025, 0.5, 0.975, 1 - 1e-6];
+const GRID_POINTS = [1e-6, 0.05, 0.3, 0.5, 0.7, 0.95, 1 - 1e-6];
+const INVARIANT_TOLERANCE = 1e-9;
+// Near 1 the doubles are too coarse for the quantile to hit p closely (1 - Q keeps only a few
+// digits), so a quantile is also accepted if p lies between the CDF a few doubles either side.
+const QUANTILE_ULPS = 4;
+
+/**
+ * @returns {object} The globals defined by statistics.js.
+ */
+function loadStatistics() {
+    const context = vm.createContext({ console, Math, Number });
+    vm.runInContext(fs.readFileSync(STATISTICS_FILE, 'utf8'), context, { filename: STATISTICS_FILE });
+    return context;
+}
+
+/**
+ * @param {number} x - In [0, 1].
+ * @param {number} steps - Doubles to move up (positive) or down (negative).
+ * @returns {number} The double that many steps away, clamped to [0, 1].
+ */
+function stepDouble(x, steps) {
+    const bits = new BigInt64Array(new Float64Array([x]).buffer);
+    bits[0] += BigInt(steps);
+    const result = new Float64Array(bits.buffer)[0];
+    return Math.min(1, Math.max(0, Number.isNaN(result) ? 0 : result));
+}
+
+/**
+ * @returns {boolean} Whether p lies between the CDF a few doubles below and above the quantile,
+ *     compared in the smaller tail.
+ */
+function quantileBracketsProbability(stats, quantile, p, a, b) {
+    const below = stats.incompleteBetaDetails(stepDouble(quantile, -QUANTILE_ULPS), a, b);
+    const above = stats.incompleteBetaDetails(stepDouble(quantile, QUANTILE_ULPS), a, b);
+    return p <= 0.5 ? below.value <= p && p <= above.value : below.upper >= 1 - p && 1 - p >= above.upper;
+}
+
+function relativeError(actual, expected) {
+    if (actual === expected) return 0;
+    return expected === 0 ? Math.abs(actual) : Math.abs(actual - expected) / Math.abs(expected);
+}
+
+/**
+ * @param {object} stats The statistics.js globals.
+ * @returns {{name: string, ok: boolean, detail: string}[]}
+ */
+function checkReferenceValues(stats) {
+    return REFERENCE_VALUES.map(([name, args, expected, tolerance = DEFAULT_TOLERANCE]) => {
+        const actual = stats[name](...args);
+        const error = relativeError(actual, expected);
+        return {
+            name: `${name}(${args.map(arg => JSON.stringify(arg)).join(', ')})`,
+            ok: error <= tolerance,
+            detail: `got ${actual}, expected ${expected} (error ${error.toExponential(2)}, tolerance ${tolerance.toExponential(0)})`,
+        };
+    });
+}
+
+/**
+ * The quantile inverts the CDF (to within a few doubles), the CDF and the survival function add up to 1 and mirror each
+ * other, and every iterative result converged.
+ * @param {object} stats
+ * @returns {{name: string, ok: boolean, detail: string}[]}
+ */
+function checkInvariants(stats) {
+    const results = [];
+    for (const a of GRID_PARAMETERS) {
+        for (const b of GRID_PARAMETERS) {
+            for (const p of GRID_PROBABILITIES) {
+                const quantile = stats.betaQuantileDetails(p, a, b);
+                const cdf = stats.incompleteBetaDetails(quantile.value, a, b);
+                // Compared in the smaller tail, where the probability is exact.
+                const error = p <= 0.5 ? relativeError(cdf.value, p) : relativeError(cdf.upper, 1 - p);
+                const accurate = error <= INVARIANT_TOLERANCE || quantileBracketsProbability(stats, quantile.value, p, a, b);
+                results.push({
+                    name: `I(Q(${p}), ${a}, ${b}) = p`,
+                    ok: quantile.converged && cdf.converged && accurate,
+                    detail: `Q = ${quantile.value} after ${quantile.iterations} iterations${quantile.converged ? '' : ' (not converged)'}, error ${error.toExponential(2)}`,
+                });
+            }
+            for (const x of GRID_POINTS) {
+                const lower = stats.incompleteBetaDetails(x, a, b);
+                const mirrored = stats.incompleteBetaDetails(1 - x, b, a);
+                const sumError = Math.abs(lower.value + lower.upper - 1);
+                const mirrorError = Math.min(relativeError(lower.value, mirrored.upper), Math.abs(lower.value - mirrored.upper));
+                results.push({
+                    name: `I(${x}, ${a}, ${b}) = 1 - I(1 - x, b, a)`,
+                    ok: lower.converged && mirrored.converged && sumError <= 1e-15 && mirrorError <= INVARIANT_TOLERANCE,
+                    detail: `I = ${lower.value}, mirrored ${mirrored.upper}, after ${lower.iterations} iterations${lower.converged ? '' : ' (not converged)'}`,
+                });
+            }
+        }
+    }
+    return results;
+}
+
+function main() {
+    const verbose = process.argv.includes('--verbose');
+    if (process.argv.includes('-h') || process.argv.includes('--help')) {
+        console.log('Usage: node tools/verify-statistics.js [--verbose]');
+        return;
+    }
+    const stats = loadStatistics();
+    const sections = [['Reference values', checkReferenceValues(stats)], ['Invariants', checkInvariants(stats)]];
+    let failures = 0;
+    for (const [title, results] of sections) {
+        const failed = results.filter(result => !result.ok);
+        failures += failed.length;
+        console.log(`${title}: ${results.length - failed.length}/${results.length} passed`);
+        for (const result of verbose ? results : failed) {
+            console.log(`  ${result.ok ? 'ok  ' : 'FAIL'} ${result.name}: ${result.detail}`);
+        }
+    }
+    if (failures > 0) {
+        console.log(`${failures} check(s) failed.`);
+        process.exitCode = 1;
+    }
+}
+
+main();